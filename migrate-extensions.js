@@ -17,13 +17,32 @@
 //   node migrate-extensions.js --auto-approve            # skip prompts (dangerous!)
 //   node migrate-extensions.js --api-version 2026-01     # specify API version (default: 2026-01)
 //   node migrate-extensions.js --force                   # re-migrate even if already at target version
+//   node migrate-extensions.js --diff                    # show a unified diff of planned changes
+//   node migrate-extensions.js --pager                   # same, paged through $PAGER (default: less -R)
+//   node migrate-extensions.js --interactive             # accept, skip or edit each file or hunk
+//   node migrate-extensions.js --git                     # migrate on a new branch, one commit per extension
+//   node migrate-extensions.js --verify                  # compare legacy and migrated function outputs on test fixtures
+//                                                        #   (runs the functions' code; not a sandbox)
+//   node migrate-extensions.js --merge-discounts discounts  # merge legacy discount functions into one
+//   node migrate-extensions.js rollback                  # restore files from the last run's snapshots
+//   node migrate-extensions.js rollback --extension foo  # restore a single extension
+//   node migrate-extensions.js typegen                   # write functions' generated/api offline
+//
+// Programmatic use (requiring the module does not run the CLI):
+//   const { planMigration, applyPlan } = require("@cnr-mtsn/shopify");
+//   const plan = planMigration(appRoot, { apiVersion: "2026-01" });
 
 "use strict";
 
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const readline = require("readline");
-const { execSync } = require("child_process");
+const vm = require("vm");
+const { createRequire } = require("module");
+const { execSync, spawnSync } = require("child_process");
+const babelParser = require("@babel/parser");
+const { structuredPatch, applyPatch } = require("diff");
 
 // =============================================================================
 // Configuration
@@ -81,6 +100,84 @@ const FUNCTION_OPERATION_RENAMES = {
   },
 };
 
+// Input query fields renamed per function target. Keys are legacy field
+// paths from the query root (cart.lines.cost; inline fragments don't count);
+// a null value drops a field the new API no longer has.
+const FUNCTION_INPUT_FIELD_RENAMES = {
+  "purchase.product-discount.run": { discountNode: "discount" },
+  "purchase.order-discount.run": { discountNode: "discount" },
+  "purchase.shipping-discount.run": { discountNode: "discount" },
+};
+
+// Fields of each cart transform operation (keyed by legacy operation; the new
+// operation names are in FUNCTION_OPERATION_RENAMES). A field maps to its new
+// name, or to { to, fields, each } where `fields` maps a nested object and
+// `each` the objects of a list. Fields missing here cannot be mapped and are
+// reported.
+const CART_TRANSFORM_FIXED_PRICE = {
+  fields: { adjustment: { fields: { fixedPricePerUnit: { fields: { amount: "amount" } } } } },
+};
+const CART_TRANSFORM_PERCENTAGE_PRICE = {
+  fields: { percentageDecrease: { fields: { value: "value" } } },
+};
+const CART_TRANSFORM_IMAGE = { fields: { url: "url" } };
+const CART_TRANSFORM_ATTRIBUTES = { each: { key: "key", value: "value" } };
+
+const CART_TRANSFORM_OUTPUT_FIELDS = {
+  expand: {
+    cartLineId: "cartLineId",
+    expandedCartItems: {
+      each: {
+        merchandiseId: "merchandiseId",
+        quantity: "quantity",
+        price: CART_TRANSFORM_FIXED_PRICE,
+        attributes: CART_TRANSFORM_ATTRIBUTES,
+      },
+    },
+    price: CART_TRANSFORM_PERCENTAGE_PRICE,
+    title: "title",
+    image: CART_TRANSFORM_IMAGE,
+  },
+  merge: {
+    cartLines: { each: { cartLineId: "cartLineId", quantity: "quantity" } },
+    parentVariantId: "parentVariantId",
+    price: CART_TRANSFORM_PERCENTAGE_PRICE,
+    title: "title",
+    image: CART_TRANSFORM_IMAGE,
+    attributes: CART_TRANSFORM_ATTRIBUTES,
+  },
+  update: {
+    cartLineId: "cartLineId",
+    price: CART_TRANSFORM_FIXED_PRICE,
+    title: "title",
+    image: CART_TRANSFORM_IMAGE,
+  },
+};
+
+// Product/order discount outputs: legacy { discountApplicationStrategy, discounts }
+// results become one discount operation. Strategies map from
+// DiscountApplicationStrategy values; order discounts have no ALL strategy.
+const DISCOUNT_OUTPUT_MAP = {
+  "purchase.product-discount.run": {
+    operation: "productDiscountsAdd",
+    strategyEnum: "ProductDiscountSelectionStrategy",
+    strategies: { FIRST: "FIRST", MAXIMUM: "MAXIMUM", ALL: "ALL" },
+  },
+  "purchase.order-discount.run": {
+    operation: "orderDiscountsAdd",
+    strategyEnum: "OrderDiscountSelectionStrategy",
+    strategies: { FIRST: "FIRST", MAXIMUM: "MAXIMUM", ALL: "MAXIMUM" },
+  },
+};
+
+// Discount class (generated DiscountClass member) of each legacy discount
+// function, for merging several into one with --merge-discounts
+const DISCOUNT_FUNCTION_CLASSES = {
+  "purchase.product-discount.run": "Product",
+  "purchase.order-discount.run": "Order",
+  "purchase.shipping-discount.run": "Shipping",
+};
+
 // React component → Web component mapping
 const COMPONENT_MAP = {
   // Layout & Structure
@@ -528,6 +625,36 @@ const ALIGNMENT_MAP = {
   trailing: "end",
 };
 
+// Attribute transformations applied to any component whose ATTRIBUTE_MAP
+// entry has no rule for the prop
+const GLOBAL_ATTRIBUTE_MAP = {
+  onPress: "onClick",
+  status: "tone",
+  spacing: {
+    name: "gap",
+    valueMap: SPACING_MAP,
+  },
+  padding: {
+    name: "padding",
+    valueMap: { loose: "base", tight: "small", extraTight: "small-100", extraLoose: "large" },
+  },
+  alignment: {
+    name: "alignItems",
+    valueMap: ALIGNMENT_MAP,
+  },
+  blockAlignment: {
+    name: "alignContent",
+    valueMap: ALIGNMENT_MAP,
+  },
+  inlineAlignment: {
+    name: "justifyContent",
+    valueMap: ALIGNMENT_MAP,
+  },
+  cornerRadius: "borderRadius",
+  appearance: "variant",
+  kind: "variant",
+};
+
 // React hooks → shopify.* API mapping
 const HOOK_TO_API_MAP = {
   useCartLines: "shopify.lines.value",
@@ -557,6 +684,41 @@ const HOOK_TO_API_MAP = {
   useOrderStatus: "shopify.orderStatus.value",
 };
 
+// React exports → the Preact module that provides them. Anything else
+// imported from react (including types) comes from preact/compat.
+const REACT_TO_PREACT_MAP = {
+  Component: "preact",
+  Fragment: "preact",
+  cloneElement: "preact",
+  createContext: "preact",
+  createElement: "preact",
+  createRef: "preact",
+  isValidElement: "preact",
+  useCallback: "preact/hooks",
+  useContext: "preact/hooks",
+  useDebugValue: "preact/hooks",
+  useEffect: "preact/hooks",
+  useId: "preact/hooks",
+  useImperativeHandle: "preact/hooks",
+  useLayoutEffect: "preact/hooks",
+  useMemo: "preact/hooks",
+  useReducer: "preact/hooks",
+  useRef: "preact/hooks",
+  useState: "preact/hooks",
+  Children: "preact/compat",
+  PureComponent: "preact/compat",
+  StrictMode: "preact/compat",
+  Suspense: "preact/compat",
+  forwardRef: "preact/compat",
+  lazy: "preact/compat",
+  memo: "preact/compat",
+  startTransition: "preact/compat",
+  useDeferredValue: "preact/compat",
+  useInsertionEffect: "preact/compat",
+  useSyncExternalStore: "preact/compat",
+  useTransition: "preact/compat",
+};
+
 // =============================================================================
 // Logging & UI Helpers
 // =============================================================================
@@ -637,928 +799,5566 @@ function apiVersionToPackageVersion(apiVersion) {
 }
 
 // =============================================================================
-// TOML Helpers
+// Project Configuration
 // =============================================================================
+//
+// An optional shopify-migrate.config.json (or .js) at the app root extends or
+// overrides the built-in maps and sets default CLI options:
+//
+//   {
+//     "apiVersion": "2026-01",
+//     "include": ["extensions/checkout-*"],
+//     "exclude": ["extensions/legacy-*"],
+//     "components": { "BrandButton": "s-button" },
+//     "attributes": { "BrandButton": { "intent": { "name": "variant", "valueMap": { "main": "primary" } } } },
+//     "spacing": { "extraExtraLoose": "large-300" },
+//     "hooks": { "useBrandSettings": "shopify.settings.value" }
+//   }
+//
+// A null entry in components, hooks or spacing drops the built-in mapping;
+// in attributes it removes the prop, as in ATTRIBUTE_MAP.
+
+const CONFIG_FILES = ["shopify-migrate.config.json", "shopify-migrate.config.js", "shopify-migrate.config.cjs"];
+
+const CONFIG_KEYS = {
+  apiVersion: "string",
+  include: "array",
+  exclude: "array",
+  components: "object",
+  attributes: "object",
+  spacing: "object",
+  hooks: "object",
+};
 
-function extractTarget(tomlContent) {
-  const match = tomlContent.match(/target\s*=\s*"([^"]+)"/);
-  return match ? match[1] : null;
+// Find and load the project config. An explicit path wins over the default
+// file names. Returns { config, path, warnings }; throws on invalid files.
+function loadConfig(appRoot, configPath = null) {
+  const candidates = configPath
+    ? [path.resolve(appRoot, configPath)]
+    : CONFIG_FILES.map(f => path.join(appRoot, f));
+  const file = candidates.find(f => fs.existsSync(f));
+
+  if (!file) {
+    if (configPath) throw new Error(`Config file not found: ${candidates[0]}`);
+    return { config: {}, path: null, warnings: [] };
+  }
+
+  let config;
+  try {
+    config = file.endsWith(".json") ? JSON.parse(readFile(file)) : require(file);
+  } catch (err) {
+    throw new Error(`Could not load ${path.basename(file)}: ${err.message}`);
+  }
+
+  const warnings = validateConfig(config, path.basename(file));
+  return { config, path: file, warnings };
 }
 
-function extractApiVersion(tomlContent) {
-  const m = tomlContent.match(/api_version\s*=\s*"([^"]+)"/);
-  return m ? m[1] : null;
+function validateConfig(config, fileName) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${fileName} must export an object`);
+  }
+
+  const warnings = [];
+  for (const [key, value] of Object.entries(config)) {
+    const expected = CONFIG_KEYS[key];
+    if (!expected) {
+      warnings.push(`${fileName}: unknown option "${key}" ignored`);
+      continue;
+    }
+    const actual = Array.isArray(value) ? "array" : typeof value;
+    if (actual !== expected || value === null) {
+      throw new Error(`${fileName}: "${key}" must be ${expected === "array" ? "an array" : `a ${expected}`}`);
+    }
+  }
+
+  for (const [component, props] of Object.entries(config.attributes || {})) {
+    if (!props || typeof props !== "object") {
+      throw new Error(`${fileName}: attributes.${component} must be an object of prop rules`);
+    }
+  }
+  return warnings;
 }
 
-function extractExtensionType(tomlContent) {
-  const m = tomlContent.match(/type\s*=\s*"([^"]+)"/);
-  return m ? m[1] : null;
+// Copy a map with overrides applied; a null override removes the entry
+function mergeMap(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
 }
 
-function rewriteApiVersion(tomlContent, newVersion) {
-  return tomlContent.replace(
-    /(api_version\s*=\s*)"[^"]*"/,
-    `$1"${newVersion}"`
-  );
+// Build the rule set used by the UI source migration from the built-in maps
+// and an optional project config
+function buildRules(config = {}) {
+  const spacing = mergeMap(SPACING_MAP, config.spacing);
+
+  // Rules that point at SPACING_MAP pick up the project's spacing overrides
+  const withSpacing = (props) => {
+    const out = {};
+    for (const [prop, transform] of Object.entries(props)) {
+      out[prop] = transform && transform.valueMap === SPACING_MAP ? { ...transform, valueMap: spacing } : transform;
+    }
+    return out;
+  };
+
+  const customAttributes = config.attributes || {};
+  const attributes = {};
+  for (const component of new Set([...Object.keys(ATTRIBUTE_MAP), ...Object.keys(customAttributes)])) {
+    attributes[component] = withSpacing({ ...ATTRIBUTE_MAP[component], ...customAttributes[component] });
+  }
+
+  return {
+    components: mergeMap(COMPONENT_MAP, config.components),
+    attributes,
+    globalAttributes: withSpacing(GLOBAL_ATTRIBUTE_MAP),
+    spacing,
+    hooks: mergeMap(HOOK_TO_API_MAP, config.hooks),
+    // Project components and hooks are rewritten even when imported from the
+    // project's own modules
+    customComponents: new Set(Object.keys(config.components || {}).filter(k => config.components[k] !== null)),
+    customHooks: new Set(Object.keys(config.hooks || {}).filter(k => config.hooks[k] !== null)),
+  };
 }
 
-function rewriteFunctionToml(content, oldTarget, newTarget) {
-  const snake = toSnake(newTarget);
-  const kebab = toKebab(newTarget);
+const DEFAULT_RULES = buildRules();
+
+// Convert a glob (*, **, ?) to a RegExp matched against a /-separated path
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") { re += "(?:.*/)?"; i += 2; } else { re += ".*"; i++; }
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
 
-  let out = content;
-  out = out.replace(
-    /(\s*target\s*=\s*)"[^"]*"/,
-    `$1"${newTarget}"`
-  );
-  out = out.replace(
-    /(\s*input_query\s*=\s*)"[^"]*"/,
-    `$1"src/${snake}.graphql"`
-  );
-  out = out.replace(
-    /(\s*export\s*=\s*)"[^"]*"/,
-    `$1"${kebab}"`
-  );
-  return out;
+// Apply include/exclude globs to extensions. Globs match the extension path
+// relative to the app root (extensions/my-ext) or the extension name.
+function filterExtensions(extensions, appRoot, include = [], exclude = []) {
+  const matches = (globs, ext) => {
+    const rel = path.relative(appRoot, ext.path).split(path.sep).join("/");
+    return globs.some(g => globToRegExp(g).test(rel) || globToRegExp(g).test(ext.name));
+  };
+
+  const selected = [];
+  const excluded = [];
+  for (const ext of extensions) {
+    if ((include.length > 0 && !matches(include, ext)) || matches(exclude, ext)) excluded.push(ext);
+    else selected.push(ext);
+  }
+  return { selected, excluded };
 }
 
 // =============================================================================
-// Function Migration Helpers
+// TOML Helpers
 // =============================================================================
+//
+// shopify.extension.toml is read with a small lossless TOML parser. Besides
+// the data, parseToml() records the source range of every value and the end
+// of every table, so writes splice into the original text and keep comments,
+// blank lines and key order intact (the same approach as applyEdits()).
+
+const TOML_BARE_KEY = /[A-Za-z0-9_-]+/y;
+const TOML_DATE_TIME = /\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(?:\.\d+)?/y;
+const TOML_NUMBER = /[+-]?(?:inf|nan)|0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?/y;
+const TOML_ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", e: "\x1b", '"': '"', "\\": "\\" };
+
+// Key for the values/tables maps. Array-of-tables elements are addressed by
+// index: ["extensions", 0, "targeting", 1, "target"].
+function tomlPathKey(keyPath) {
+  return keyPath.join("\u0000");
+}
 
-function migrateGraphql(content, newTarget) {
-  const pascal = toPascal(newTarget);
-  return content.replace(
-    /query\s+\w+Input/,
-    `query ${pascal}Input`
-  );
+function isTomlTable(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
 }
 
-function migrateFunctionJs(content, oldTarget, newTarget) {
-  const pascal = toPascal(newTarget);
-  const camel = toCamel(newTarget);
+// Parse TOML into { data, values, tables }. values maps a key path to the
+// { start, end } range of its value; tables maps a table path to the range
+// of its header and the offset after its last key (where new keys go).
+// Throws an Error naming the line and column of invalid input.
+function parseToml(content) {
+  const src = content;
+  let pos = 0;
+  const root = {};
+  const values = new Map();
+  const tables = new Map([[tomlPathKey([]), { start: 0, headerEnd: 0, end: 0, indent: "" }]]);
+  const explicitTables = new Set();
+  const arrayTables = new Set();
+  let currentPath = [];
+  let current = root;
+
+  const fail = (message, at = pos) => {
+    const lines = src.slice(0, at).split("\n");
+    throw new Error(`Invalid TOML at line ${lines.length}, column ${lines[lines.length - 1].length + 1}: ${message}`);
+  };
+  const skipSpaces = () => {
+    while (src[pos] === " " || src[pos] === "\t") pos++;
+  };
+  const skipComment = () => {
+    if (src[pos] === "#") while (pos < src.length && src[pos] !== "\n") pos++;
+  };
+  const atNewline = () => src[pos] === "\n" || (src[pos] === "\r" && src[pos + 1] === "\n");
+  const skipNewline = () => {
+    pos += src[pos] === "\r" ? 2 : 1;
+  };
+  // Whitespace, comments and newlines between array items
+  const skipBlank = () => {
+    while (pos < src.length) {
+      skipSpaces();
+      skipComment();
+      if (!atNewline()) return;
+      skipNewline();
+    }
+  };
+  // Optional comment, then a newline or the end of input. Returns the offset
+  // of the next line.
+  const endOfLine = () => {
+    skipSpaces();
+    skipComment();
+    if (pos >= src.length) return pos;
+    if (!atNewline()) fail("expected end of line");
+    skipNewline();
+    return pos;
+  };
 
-  let out = content;
+  const parseString = () => {
+    const quote = src[pos];
+    const multi = src.startsWith(quote.repeat(3), pos);
+    pos += multi ? 3 : 1;
+    if (multi && atNewline()) skipNewline();
+
+    let out = "";
+    while (true) {
+      if (pos >= src.length) fail("unterminated string");
+      const ch = src[pos];
+
+      if (ch === quote && (!multi || src.startsWith(quote.repeat(3), pos))) {
+        if (!multi) {
+          pos++;
+          return out;
+        }
+        // Up to two quotes right before the closing delimiter belong to the string
+        let run = 0;
+        while (src[pos + run] === quote) run++;
+        if (run > 5) fail("too many quotes in string");
+        out += quote.repeat(run - 3);
+        pos += run;
+        return out;
+      }
+      if (!multi && atNewline()) fail("newline in single-line string");
+
+      if (ch === "\\" && quote === '"') {
+        const esc = src[pos + 1];
+        if (multi && /[ \t\r\n]/.test(esc || "")) {
+          // Line-ending backslash: drop the newline and following whitespace
+          let p = pos + 1;
+          while (src[p] === " " || src[p] === "\t") p++;
+          if (src[p] !== "\n" && src[p] !== "\r") fail("invalid escape");
+          pos = p;
+          while (/[ \t\r\n]/.test(src[pos] || "")) pos++;
+          continue;
+        }
+        if (esc in TOML_ESCAPES) {
+          out += TOML_ESCAPES[esc];
+          pos += 2;
+          continue;
+        }
+        if (esc === "u" || esc === "U") {
+          const hex = src.slice(pos + 2, pos + (esc === "u" ? 6 : 10));
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== (esc === "u" ? 4 : 8)) fail("invalid unicode escape");
+          out += String.fromCodePoint(parseInt(hex, 16));
+          pos += 2 + hex.length;
+          continue;
+        }
+        fail(`invalid escape \\${esc}`);
+      }
 
-  // JSDoc types
-  out = out.replace(/RunInput/g, `${pascal}Input`);
-  out = out.replace(/FunctionRunResult/g, `${pascal}Result`);
-  out = out.replace(/FunctionResult/g, `${pascal}Result`);
+      out += ch;
+      pos++;
+    }
+  };
 
-  // Function name
-  out = out.replace(
-    /export\s+function\s+run\b/,
-    `export function ${camel}`
-  );
+  // Dotted key: bare, "quoted" or 'literal' parts
+  const parseKey = () => {
+    const parts = [];
+    while (true) {
+      skipSpaces();
+      if (src[pos] === '"' || src[pos] === "'") {
+        if (src.startsWith(src[pos].repeat(3), pos)) fail("multi-line strings cannot be keys");
+        parts.push(parseString());
+      } else {
+        TOML_BARE_KEY.lastIndex = pos;
+        const m = TOML_BARE_KEY.exec(src);
+        if (!m) fail("expected a key");
+        parts.push(m[0]);
+        pos += m[0].length;
+      }
+      skipSpaces();
+      if (src[pos] !== ".") return parts;
+      pos++;
+    }
+  };
 
-  // Target reference in comments
-  out = out.replace(
-    new RegExp(`'${oldTarget.replace(/\./g, "\\.")}'`, "g"),
-    `'${newTarget}'`
-  );
+  const parseArray = (keyPath) => {
+    pos++;
+    const arr = [];
+    while (true) {
+      skipBlank();
+      if (src[pos] === "]") break;
+      arr.push(parseValue([...keyPath, arr.length]));
+      skipBlank();
+      if (src[pos] === ",") {
+        pos++;
+        continue;
+      }
+      if (src[pos] !== "]") fail("expected , or ] in array");
+      break;
+    }
+    pos++;
+    return arr;
+  };
 
-  // Operation key renames
-  const renames = FUNCTION_OPERATION_RENAMES[oldTarget];
-  if (renames) {
-    for (const [oldOp, newOp] of Object.entries(renames)) {
-      const pattern = new RegExp(`(\\{\\s*|,\\s*|^\\s*)${oldOp}(\\s*:)`, "gm");
-      out = out.replace(pattern, `$1${newOp}$2`);
+  const parseInlineTable = (keyPath) => {
+    pos++;
+    const table = {};
+    skipSpaces();
+    if (src[pos] === "}") {
+      pos++;
+      return table;
+    }
+    while (true) {
+      assignValue(table, keyPath, parseKeyAndEquals());
+      skipSpaces();
+      if (src[pos] === ",") {
+        pos++;
+        continue;
+      }
+      if (src[pos] !== "}") fail("expected , or } in inline table");
+      pos++;
+      return table;
+    }
+  };
+
+  const parseValue = (keyPath) => {
+    const start = pos;
+    const ch = src[pos];
+    let value;
+
+    if (ch === '"' || ch === "'") {
+      value = parseString();
+    } else if (ch === "[") {
+      value = parseArray(keyPath);
+    } else if (ch === "{") {
+      value = parseInlineTable(keyPath);
+    } else if (src.startsWith("true", pos) || src.startsWith("false", pos)) {
+      value = ch === "t";
+      pos += value ? 4 : 5;
+    } else {
+      TOML_DATE_TIME.lastIndex = pos;
+      TOML_NUMBER.lastIndex = pos;
+      const date = TOML_DATE_TIME.exec(src);
+      const number = date ? null : TOML_NUMBER.exec(src);
+      if (date) {
+        // Dates and times are kept as their source text
+        value = date[0];
+        pos += date[0].length;
+      } else if (number) {
+        const text = number[0].replace(/_/g, "");
+        value = /inf$/.test(text) ? (text[0] === "-" ? -Infinity : Infinity)
+          : /nan$/.test(text) ? NaN
+            : Number(text);
+        pos += number[0].length;
+      } else {
+        fail("expected a value");
+      }
+    }
+
+    values.set(tomlPathKey(keyPath), { start, end: pos });
+    return value;
+  };
+
+  const parseKeyAndEquals = () => {
+    const key = parseKey();
+    if (src[pos] !== "=") fail("expected =");
+    pos++;
+    skipSpaces();
+    return key;
+  };
+
+  // Assign the value at pos to a (dotted) key of a table
+  const assignValue = (table, tablePath, key) => {
+    let obj = table;
+    for (const part of key.slice(0, -1)) {
+      if (obj[part] === undefined) obj[part] = {};
+      else if (!isTomlTable(obj[part])) fail(`key "${part}" is already defined`);
+      obj = obj[part];
+    }
+    const last = key[key.length - 1];
+    if (Object.prototype.hasOwnProperty.call(obj, last)) fail(`duplicate key "${key.join(".")}"`);
+    obj[last] = parseValue([...tablePath, ...key]);
+  };
+
+  // [table] or [[array.of.tables]]. Intermediate keys that are arrays of
+  // tables resolve to their last element, so [[extensions.targeting]]
+  // belongs to the most recent [[extensions]].
+  const parseHeader = (indent) => {
+    const start = pos;
+    const isArray = src.startsWith("[[", pos);
+    pos += isArray ? 2 : 1;
+    const key = parseKey();
+    const close = isArray ? "]]" : "]";
+    if (!src.startsWith(close, pos)) fail(`expected ${close}`);
+    pos += close.length;
+    const headerEnd = endOfLine();
+
+    let obj = root;
+    const tablePath = [];
+    key.forEach((part, i) => {
+      tablePath.push(part);
+      const last = i === key.length - 1;
+
+      if (last && isArray) {
+        if (obj[part] === undefined) {
+          obj[part] = [];
+          arrayTables.add(tomlPathKey(tablePath));
+        } else if (!arrayTables.has(tomlPathKey(tablePath))) {
+          fail(`key "${key.join(".")}" is not an array of tables`, start);
+        }
+        obj[part].push({});
+        tablePath.push(obj[part].length - 1);
+        obj = obj[part][obj[part].length - 1];
+        return;
+      }
+
+      if (obj[part] === undefined) obj[part] = {};
+      let next = obj[part];
+      if (Array.isArray(next)) {
+        if (last || !arrayTables.has(tomlPathKey(tablePath))) fail(`key "${key.slice(0, i + 1).join(".")}" is already defined`, start);
+        tablePath.push(next.length - 1);
+        next = next[next.length - 1];
+      } else if (!isTomlTable(next)) {
+        fail(`key "${key.slice(0, i + 1).join(".")}" is already defined`, start);
+      }
+      obj = next;
+    });
+
+    if (!isArray) {
+      if (explicitTables.has(tomlPathKey(tablePath))) fail(`table [${key.join(".")}] is defined twice`, start);
+      explicitTables.add(tomlPathKey(tablePath));
+    }
+    tables.set(tomlPathKey(tablePath), { start, headerEnd, end: headerEnd, indent });
+    currentPath = tablePath;
+    current = obj;
+  };
+
+  while (pos < src.length) {
+    const lineStart = pos;
+    skipSpaces();
+    const indent = src.slice(lineStart, pos);
+    skipComment();
+    if (pos >= src.length) break;
+    if (atNewline()) {
+      skipNewline();
+      continue;
+    }
+    if (src[pos] === "[") {
+      parseHeader(indent);
+      continue;
     }
+
+    assignValue(current, currentPath, parseKeyAndEquals());
+    const table = tables.get(tomlPathKey(currentPath));
+    table.end = endOfLine();
+    table.indent = indent;
   }
 
-  // Shipping discount special handling
-  if (oldTarget === "purchase.shipping-discount.run") {
-    out = out.replace(/discounts\s*:/g, "operations:");
-    out = rewriteShippingDiscountOutput(out);
+  return { data: root, values, tables };
+}
+
+function formatTomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function formatTomlValue(value) {
+  if (typeof value === "string") return JSON.stringify(value).replace(/\u007f/g, "\\u007f");
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) return `[${value.map(formatTomlValue).join(", ")}]`;
+  if (isTomlTable(value)) {
+    const entries = Object.entries(value).map(([k, v]) => `${formatTomlKey(k)} = ${formatTomlValue(v)}`);
+    return entries.length > 0 ? `{ ${entries.join(", ")} }` : "{}";
   }
+  throw new Error(`Cannot write ${value === null ? "null" : typeof value} to TOML`);
+}
 
-  return out;
+// Set the value at a key path. An existing value is replaced in place;
+// a missing key is added after the last key of its table, which must exist.
+function setTomlValue(content, keyPath, value) {
+  const { values, tables } = parseToml(content);
+  const text = formatTomlValue(value);
+
+  const existing = values.get(tomlPathKey(keyPath));
+  if (existing) return content.slice(0, existing.start) + text + content.slice(existing.end);
+
+  const tablePath = keyPath.slice(0, -1);
+  const table = tables.get(tomlPathKey(tablePath));
+  if (!table) throw new Error(`No [${tablePath.join(".")}] table in TOML to add "${keyPath[keyPath.length - 1]}" to`);
+
+  const line = `${table.indent}${formatTomlKey(keyPath[keyPath.length - 1])} = ${text}\n`;
+  const needsNewline = table.end > 0 && content[table.end - 1] !== "\n";
+  return content.slice(0, table.end) + (needsNewline ? "\n" : "") + line + content.slice(table.end);
 }
 
-function migrateFunctionTest(content, oldTarget, newTarget) {
-  const pascal = toPascal(newTarget);
-  const camel = toCamel(newTarget);
-  const snake = toSnake(newTarget);
+// The extensions declared in a shopify.extension.toml, in file order. Legacy
+// single-extension files (type and extension_points at the root) are read as
+// one extension. Throws on invalid TOML.
+function readExtensionToml(content) {
+  const { data } = parseToml(content);
+  const legacy = !Array.isArray(data.extensions) && data.type !== undefined;
+  const declared = legacy ? [data] : (Array.isArray(data.extensions) ? data.extensions : []);
+
+  return {
+    apiVersion: typeof data.api_version === "string" ? data.api_version : null,
+    extensions: declared.map((ext, index) => {
+      const targets = legacy
+        ? (ext.extension_points || []).map(target => ({ target }))
+        : (Array.isArray(ext.targeting) ? ext.targeting : []);
+      return {
+        index,
+        name: ext.name || null,
+        handle: ext.handle || null,
+        type: ext.type || null,
+        apiVersion: ext.api_version || data.api_version || null,
+        targets,
+        modules: [...new Set(targets.map(t => t.module).filter(Boolean))],
+        settings: ext.settings || (legacy ? null : data.settings) || null,
+        capabilities: ext.capabilities || (legacy ? null : data.capabilities) || null,
+      };
+    }),
+  };
+}
+
+function rewriteApiVersion(tomlContent, newVersion) {
+  const { data } = parseToml(tomlContent);
+  const perExtension = (Array.isArray(data.extensions) ? data.extensions : [])
+    .map((ext, i) => ext.api_version !== undefined ? i : -1)
+    .filter(i => i !== -1);
+
+  // api_version normally sits at the root; some apps set it per extension
+  if (data.api_version !== undefined || perExtension.length === 0) {
+    return setTomlValue(tomlContent, ["api_version"], newVersion);
+  }
+  return perExtension.reduce((out, i) => setTomlValue(out, ["extensions", i, "api_version"], newVersion), tomlContent);
+}
+
+// Point every targeting entry for oldTarget at newTarget, along with its
+// input_query and export. JS exports are kebab-case; Rust exports are the
+// snake_case function name. A null inputQuery leaves input_query as it is.
+function rewriteFunctionToml(content, oldTarget, newTarget, exportName = toKebab(newTarget), inputQuery = `src/${toSnake(newTarget)}.graphql`) {
+  const { data } = parseToml(content);
 
   let out = content;
+  (Array.isArray(data.extensions) ? data.extensions : []).forEach((ext, i) => {
+    (Array.isArray(ext.targeting) ? ext.targeting : []).forEach((t, j) => {
+      if (t.target !== oldTarget) return;
+      const base = ["extensions", i, "targeting", j];
+      out = setTomlValue(out, [...base, "target"], newTarget);
+      if (t.input_query !== undefined && inputQuery) out = setTomlValue(out, [...base, "input_query"], inputQuery);
+      if (t.export !== undefined) out = setTomlValue(out, [...base, "export"], exportName);
+    });
+  });
+  return out;
+}
 
-  out = out.replace(
-    /import\s*\{\s*run\s*\}\s*from\s*['"][^'"]*['"]/,
-    `import { ${camel} } from './${snake}'`
-  );
+// =============================================================================
+// Source Parsing Helpers
+// =============================================================================
 
-  out = out.replace(/FunctionRunResult/g, `${pascal}Result`);
-  out = out.replace(/FunctionResult/g, `${pascal}Result`);
-  out = out.replace(/RunInput/g, `${pascal}Input`);
-  out = out.replace(/\brun\(/g, `${camel}(`);
+// Parse JS/JSX/TS/TSX source into a Babel AST. Plain .ts files are parsed
+// without the JSX plugin so `<Type>value` assertions keep working.
+function parseSource(content, filePath = "") {
+  const plugins = [];
+  if (/\.[cm]?tsx?$/.test(filePath)) plugins.push("typescript");
+  if (!/\.[cm]?ts$/.test(filePath)) plugins.push("jsx");
+  return babelParser.parse(content, {
+    sourceType: "module",
+    allowReturnOutsideFunction: true,
+    plugins,
+  });
+}
 
-  if (oldTarget === "purchase.shipping-discount.run") {
-    out = out.replace(/discounts\s*:\s*\[\s*\]/g, "operations: []");
+const AST_SKIP_KEYS = new Set(["loc", "extra", "comments", "leadingComments", "trailingComments", "innerComments"]);
+
+// Depth-first walk over an AST. The visitor receives (node, parent, key) and
+// can return false to skip the node's children.
+function walkAst(node, visitor, parent = null, key = null) {
+  if (!node || typeof node.type !== "string") return;
+  if (visitor(node, parent, key) === false) return;
+  for (const k of Object.keys(node)) {
+    if (AST_SKIP_KEYS.has(k)) continue;
+    const child = node[k];
+    if (Array.isArray(child)) child.forEach(c => walkAst(c, visitor, node, k));
+    else if (child && typeof child.type === "string") walkAst(child, visitor, node, k);
   }
+}
 
-  return out;
+// Splice { start, end, text } edits into the source. Everything outside the
+// edited ranges is kept byte-for-byte. An edit nested inside a wider one is
+// dropped, so removing a node wins over rewriting something inside it.
+function applyEdits(content, edits) {
+  const sorted = edits
+    .map((edit, order) => ({ ...edit, order }))
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.order - b.order);
+
+  let out = "";
+  let pos = 0;
+  for (const edit of sorted) {
+    if (edit.start < pos) continue;
+    out += content.slice(pos, edit.start) + edit.text;
+    pos = edit.end;
+  }
+  return out + content.slice(pos);
 }
 
-function migrateFunctionIndex(content, newTarget) {
-  const snake = toSnake(newTarget);
-  return content.replace(
-    /export\s*\*\s*from\s*['"][^'"]*['"]/,
-    `export * from './${snake}'`
-  );
+function nodeText(content, node) {
+  return content.slice(node.start, node.end);
 }
 
-function migrateFunctionPackageJson(pkgPath) {
-  const raw = readFile(pkgPath);
-  let pkg;
-  try { pkg = JSON.parse(raw); } catch { return { changed: false }; }
+// Edit that deletes a node together with the whitespace in front of it
+function removeNodeEdit(content, node) {
+  let start = node.start;
+  while (start > 0 && /\s/.test(content[start - 1])) start--;
+  return { start, end: node.end, text: "" };
+}
 
-  if (!pkg.dependencies || !pkg.dependencies.javy) return { changed: false };
+// Edit that deletes a statement and the line break after it, along with its
+// indentation when the statement sits on a line of its own
+function removeStatementEdit(content, node) {
+  let start = node.start;
+  while (start > 0 && /[ \t]/.test(content[start - 1])) start--;
+  if (start > 0 && content[start - 1] !== "\n") start = node.start;
+  let end = node.end;
+  if (content[end] === "\r") end++;
+  if (content[end] === "\n") end++;
+  return { start, end, text: "" };
+}
 
-  delete pkg.dependencies.javy;
-  const trailing = raw.endsWith("\n") ? "\n" : "";
-  return { changed: true, content: JSON.stringify(pkg, null, 2) + trailing };
+// Edit that deletes one item of a comma-separated list (import specifiers, ...)
+function removeListItemEdit(content, node) {
+  let end = node.end;
+  while (end < content.length && /\s/.test(content[end])) end++;
+  if (content[end] === ",") {
+    end++;
+    while (end < content.length && /\s/.test(content[end])) end++;
+    return { start: node.start, end, text: "" };
+  }
+  // Last item: take the comma in front of it instead
+  let start = node.start;
+  while (start > 0 && /\s/.test(content[start - 1])) start--;
+  if (content[start - 1] === ",") start--;
+  return { start, end: node.end, text: "" };
 }
 
-// Shipping discount output restructuring helpers
-function findBalancedEnd(str, pos) {
-  const open = str[pos];
-  const close = open === '{' ? '}' : ']';
-  let depth = 0, i = pos;
-  while (i < str.length) {
-    const ch = str[i];
-    if (ch === '"' || ch === "'") { i = skipQuoted(str, i); continue; }
-    else if (ch === '`') { i = skipTemplate(str, i); continue; }
-    if (ch === open) depth++;
-    else if (ch === close) { depth--; if (depth === 0) return i; }
-    i++;
+// Edits that delete some elements of an array literal, with their commas.
+// Consecutive elements go in one edit, so the edits never overlap.
+function removeArrayItemsEdits(content, array, removed) {
+  const elements = array.elements;
+  if (elements.every(e => removed.has(e))) return [{ start: array.start + 1, end: array.end - 1, text: "" }];
+
+  const edits = [];
+  for (let i = 0; i < elements.length; i++) {
+    if (!removed.has(elements[i])) continue;
+    let j = i;
+    while (j + 1 < elements.length && removed.has(elements[j + 1])) j++;
+    // Up to the next kept element, or from the previous one at the end
+    edits.push(j + 1 < elements.length
+      ? { start: elements[i].start, end: elements[j + 1].start, text: "" }
+      : { start: elements[i - 1].end, end: elements[j].end, text: "" });
+    i = j;
   }
-  return -1;
+  return edits;
 }
 
-function skipQuoted(str, pos) {
-  const q = str[pos]; let i = pos + 1;
-  while (i < str.length) {
-    if (str[i] === '\\') { i += 2; continue; }
-    if (str[i] === q) return i + 1;
-    i++;
+// Whether an Identifier is a variable reference (not a property name, key or import)
+function isReferenceIdentifier(node, parent, key) {
+  if (!parent) return true;
+  switch (parent.type) {
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      return key !== "property" || parent.computed;
+    case "ObjectProperty":
+    case "ObjectMethod":
+    case "ClassProperty":
+    case "ClassMethod":
+      return key !== "key" || parent.computed;
+    case "ImportSpecifier":
+    case "ImportDefaultSpecifier":
+    case "ImportNamespaceSpecifier":
+    case "ExportSpecifier":
+    case "LabeledStatement":
+    case "BreakStatement":
+    case "ContinueStatement":
+      return false;
+    default:
+      return true;
   }
-  return i;
 }
 
-function skipTemplate(str, pos) {
-  let i = pos + 1;
-  while (i < str.length) {
-    if (str[i] === '\\') { i += 2; continue; }
-    if (str[i] === '$' && str[i + 1] === '{') {
-      i += 2; let d = 1;
-      while (i < str.length && d > 0) {
-        if (str[i] === '{') d++;
-        else if (str[i] === '}') d--;
-        i++;
-      }
-      continue;
-    }
-    if (str[i] === '`') return i + 1;
-    i++;
+// Names bound by a declaration pattern (const { a, b: [c] } = ...)
+function collectPatternNames(pattern, names = []) {
+  if (!pattern) return names;
+  switch (pattern.type) {
+    case "Identifier":
+      names.push(pattern.name);
+      break;
+    case "ObjectPattern":
+      pattern.properties.forEach(p => collectPatternNames(p.type === "RestElement" ? p.argument : p.value, names));
+      break;
+    case "ArrayPattern":
+      pattern.elements.forEach(e => collectPatternNames(e, names));
+      break;
+    case "AssignmentPattern":
+      collectPatternNames(pattern.left, names);
+      break;
+    case "RestElement":
+      collectPatternNames(pattern.argument, names);
+      break;
   }
-  return i;
+  return names;
 }
 
-function extractProp(body, name) {
-  let i = 0;
-  while (i < body.length) {
-    while (i < body.length && /\s/.test(body[i])) i++;
-    if (i >= body.length) break;
-
-    if (body.substring(i, i + name.length) === name) {
-      let j = i + name.length;
-      while (j < body.length && body[j] === ' ') j++;
-      if (body[j] === ':') {
-        j++;
-        while (j < body.length && body[j] === ' ') j++;
-        let end;
-        if (body[j] === '{') end = findBalancedEnd(body, j) + 1;
-        else if (body[j] === '[') end = findBalancedEnd(body, j) + 1;
-        else if (body[j] === '`') end = skipTemplate(body, j);
-        else if (body[j] === '"' || body[j] === "'") end = skipQuoted(body, j);
-        else {
-          end = j;
-          while (end < body.length && body[end] !== ',' && body[end] !== '\n') end++;
-        }
-        return { value: body.substring(j, end) };
-      }
+// Top-level bindings of a module: name → import source (null for local declarations)
+function collectTopLevelBindings(program) {
+  const bindings = new Map();
+  for (const stmt of program.body) {
+    const decl = stmt.type.startsWith("Export") && stmt.declaration ? stmt.declaration : stmt;
+    if (decl.type === "ImportDeclaration") {
+      decl.specifiers.forEach(s => bindings.set(s.local.name, decl.source.value));
+    } else if ((decl.type === "FunctionDeclaration" || decl.type === "ClassDeclaration") && decl.id) {
+      bindings.set(decl.id.name, null);
+    } else if (decl.type === "VariableDeclaration") {
+      decl.declarations.forEach(d => collectPatternNames(d.id).forEach(n => bindings.set(n, null)));
     }
-
-    if (body[i] === '{') { i = findBalancedEnd(body, i) + 1; continue; }
-    if (body[i] === '[') { i = findBalancedEnd(body, i) + 1; continue; }
-    if (body[i] === '`') { i = skipTemplate(body, i); continue; }
-    if (body[i] === '"' || body[i] === "'") { i = skipQuoted(body, i); continue; }
-    while (i < body.length && !/[\s{[\`"',}\]]/.test(body[i])) i++;
-    if (i < body.length && (body[i] === ',' || body[i] === ':')) i++;
   }
-  return null;
+  return bindings;
 }
 
-function reindentLines(text, extra) {
-  return text.split('\n').map((line, idx) =>
-    idx === 0 || line.trim() === '' ? line : extra + line
-  ).join('\n');
+// =============================================================================
+// Function Migration Helpers
+// =============================================================================
+
+// Name a legacy target's files and export go by: src/run.js and run() for
+// purchase.validation.run, src/fetch.js and fetch() for purchase.validation.fetch
+function legacyEntryName(target) {
+  return target.split(".").pop();
 }
 
-function detectIndentUnit(content) {
-  return content.includes('\n\t') ? '\t' : '  ';
+// Modules an index file re-exports: export * from "./run" and
+// export { run } from "./run"
+const REEXPORT_PATTERN = /export\s*(?:\*|\{[^}]*\})\s*from\s*(['"])(\.[^'"]*)\1/g;
+
+// Source file a relative import resolves to within an extension, or null
+function resolveSourceFile(extPath, fromFile, specifier) {
+  const base = path.posix.join(path.posix.dirname(fromFile), specifier);
+  const stem = base.replace(/\.[cm]?[jt]s$/, "");
+  return [base, `${stem}.js`, `${stem}.ts`, `${base}/index.js`, `${base}/index.ts`].find(f => {
+    const file = path.join(extPath, f);
+    return fs.existsSync(file) && fs.statSync(file).isFile();
+  }) || null;
 }
 
-function rewriteShippingDiscountOutput(content) {
-  if (content.includes('deliveryDiscountsAdd')) return content;
+// Whether a module defines and exports a function under this name
+// (re-exports from other modules don't count)
+function exportsFunction(content, name) {
+  return new RegExp(
+    `export\\s+(?:async\\s+)?function\\s*\\*?\\s*${name}\\b|export\\s+(?:const|let|var)\\s+${name}\\b|export\\s*\\{[^}]*\\b${name}\\s*[,}]`
+  ).test(content.replace(REEXPORT_PATTERN, ""));
+}
 
-  const unit = detectIndentUnit(content);
-  let searchFrom = 0;
+// Files of one targeting entry, from the TOML rather than the scaffold's
+// file names: the query named by input_query, the module exporting the
+// entry's `export` (looked for among src/index re-exports, then src/run.js|ts,
+// then every other source file) and that module's test. Rust modules are
+// src/run.rs (or src/fetch.rs). Returns { query, module, test, exportName,
+// warnings } with paths relative to the extension and null for files not
+// found.
+function resolveFunctionEntry(extPath, targeting, rust = false) {
+  const legacy = legacyEntryName(targeting.target);
+  const exportName = toCamel(targeting.export || legacy);
+  const isFile = (rel) => fs.existsSync(path.join(extPath, rel)) && fs.statSync(path.join(extPath, rel)).isFile();
+  const warnings = [];
 
-  while (searchFrom < content.length) {
-    const idx = content.indexOf('operations:', searchFrom);
-    if (idx === -1) break;
+  const declared = targeting.input_query ? path.posix.normalize(targeting.input_query) : null;
+  const query = [declared, `src/${legacy}.graphql`].find(f => f && isFile(f)) || null;
+  if (declared && query !== declared) {
+    warnings.push(`input_query ${declared} of ${targeting.target} not found${query ? ` — using ${query}` : ""}`);
+  }
 
-    let bi = idx + 'operations:'.length;
-    while (bi < content.length && /\s/.test(content[bi])) bi++;
-    if (content[bi] !== '[') { searchFrom = bi; continue; }
+  if (rust) {
+    const module = isFile(`src/${legacy}.rs`) ? `src/${legacy}.rs` : null;
+    if (!module) warnings.push(`No src/${legacy}.rs for ${targeting.target} — only its TOML entry was migrated`);
+    return { query, module, test: null, exportName, warnings };
+  }
 
-    let elemStart = -1;
-    for (let i = bi + 1; i < content.length; i++) {
-      if (content[i] === '{') { elemStart = i; break; }
-      if (content[i] === ']') break;
-      if (!/\s/.test(content[i])) break;
+  const candidates = [];
+  for (const index of ["src/index.js", "src/index.ts"].filter(isFile)) {
+    for (const match of readFile(path.join(extPath, index)).matchAll(REEXPORT_PATTERN)) {
+      const file = resolveSourceFile(extPath, index, match[2]);
+      if (file) candidates.push(file);
     }
-    if (elemStart === -1) { searchFrom = bi + 1; continue; }
+  }
+  candidates.push(`src/${legacy}.js`, `src/${legacy}.ts`);
+  candidates.push(...findFilesRecursive(path.join(extPath, "src"), f => /\.[jt]s$/.test(f) && !/\.(test|spec|d)\.[jt]s$/.test(f))
+    .map(f => path.relative(extPath, f).split(path.sep).join("/"))
+    .sort());
+  const module = candidates.find(f => isFile(f) && exportsFunction(readFile(path.join(extPath, f)), exportName)) || null;
+  if (!module) {
+    warnings.push(`No module exporting ${exportName}() found for ${targeting.target} — only its TOML entry was migrated; rename and update the function by hand`);
+  }
+
+  const stem = module && module.replace(/\.[jt]s$/, "");
+  const test = module && [`${stem}.test.js`, `${stem}.test.ts`, `${stem}.spec.js`, `${stem}.spec.ts`].find(isFile) || null;
+  return { query, module, test, exportName, warnings };
+}
 
-    const elemEnd = findBalancedEnd(content, elemStart);
-    if (elemEnd === -1) { searchFrom = elemStart + 1; continue; }
+function migrateGraphql(content, newTarget) {
+  const pascal = toPascal(newTarget);
+  return content.replace(
+    /query\s+\w+Input/,
+    `query ${pascal}Input`
+  );
+}
 
-    const body = content.substring(elemStart + 1, elemEnd);
+// Input query: query name and the fields in FUNCTION_INPUT_FIELD_RENAMES.
+// Returns { content, renamed, warnings }; a query that cannot be parsed only
+// gets its name updated.
+function migrateInputQuery(content, oldTarget, newTarget, filePath = "") {
+  const out = migrateGraphql(content, newTarget);
+  const renames = FUNCTION_INPUT_FIELD_RENAMES[oldTarget];
+  if (!renames) return { content: out, renamed: [], warnings: [] };
+
+  let rewritten;
+  try {
+    rewritten = rewriteGraphqlFields(out, renames);
+  } catch (err) {
+    return { content: out, renamed: [], warnings: [`${filePath}: ${err.message} — input fields not renamed`] };
+  }
+  const warnings = rewritten.renamed.map(r => r.to === null
+    ? `${filePath}:${r.line}: input field ${r.path} no longer exists and was removed — remove the code that reads it`
+    : `${filePath}:${r.line}: input field ${r.path} renamed to ${r.to} — reads of it in the function were renamed too`);
+  return { content: rewritten.content, renamed: rewritten.renamed, warnings };
+}
 
-    if (body.includes('deliveryDiscountsAdd')) { searchFrom = elemEnd + 1; continue; }
-    const valueP = extractProp(body, 'value');
-    const targetsP = extractProp(body, 'targets');
-    const messageP = extractProp(body, 'message');
-    if (!valueP || !targetsP || !messageP) { searchFrom = elemEnd + 1; continue; }
+// Rename reads of renamed input fields (input.discountNode → input.discount)
+// in function code and test inputs. fieldName maps a GraphQL field name to
+// the name used in code (snake_case in Rust).
+function renameInputFieldReads(content, renamed, fieldName = (name) => name) {
+  let out = content;
+  for (const { from, to } of renamed) {
+    if (to !== null) out = out.replace(new RegExp(`\\b${fieldName(from)}\\b`, "g"), fieldName(to));
+  }
+  return out;
+}
 
-    let ls = elemStart;
-    while (ls > 0 && content[ls - 1] !== '\n') ls--;
-    const elemIndent = content.substring(ls, elemStart).match(/^(\s*)/)[1];
-    const i1 = elemIndent + unit;
-    const i2 = i1 + unit;
-    const i3 = i2 + unit;
-    const i4 = i3 + unit;
-    const extra = unit.repeat(3);
+// Check a migrated input query against the function's schema.graphql
+// offline. Until `shopify app function schema` is run that schema is the
+// legacy API's, so renamed fields are also looked up by their legacy names.
+// Returns warnings.
+function checkInputQuery(extPath, query, filePath, oldTarget) {
+  const schemaPath = path.join(extPath, "schema.graphql");
+  if (!fs.existsSync(schemaPath)) {
+    return [`No schema.graphql — ${filePath} not checked; run \`shopify app function schema\` to fetch it`];
+  }
 
-    const newElem =
-      elemIndent + '{\n' +
-      i1 + 'deliveryDiscountsAdd: {\n' +
-      i2 + 'selectionStrategy: "ALL",\n' +
-      i2 + 'candidates: [\n' +
-      i3 + '{\n' +
-      i4 + 'targets: ' + reindentLines(targetsP.value, extra) + ',\n' +
-      i4 + 'value: ' + reindentLines(valueP.value, extra) + ',\n' +
-      i4 + 'message: ' + messageP.value.trim() + ',\n' +
-      i4 + 'associatedDiscountCode: null,\n' +
-      i3 + '},\n' +
-      i2 + '],\n' +
-      i1 + '},\n' +
-      elemIndent + '}';
+  let schema;
+  try {
+    schema = parseGraphqlSchema(readFile(schemaPath));
+  } catch (err) {
+    return [`schema.graphql: ${err.message} — ${filePath} not checked`];
+  }
 
-    return content.substring(0, ls) + newElem + content.substring(elemEnd + 1);
+  // New field path → legacy field name
+  const renames = FUNCTION_INPUT_FIELD_RENAMES[oldTarget] || {};
+  const fallbacks = {};
+  for (const [legacyPath, to] of Object.entries(renames)) {
+    if (to === null) continue;
+    const segments = legacyPath.split(".");
+    const newPath = segments.map((seg, i) => renames[segments.slice(0, i + 1).join(".")] || seg).join(".");
+    fallbacks[newPath] = segments[segments.length - 1];
   }
 
-  return content;
+  let problems;
+  try {
+    problems = validateGraphqlQuery(query, schema, fallbacks);
+  } catch (err) {
+    return [`${filePath}: ${err.message}`];
+  }
+  return problems.map(p => `${filePath}:${p.line}: ${p.message} — typegen will fail until it is fixed`);
 }
 
-// =============================================================================
-// UI Extension Migration Helpers
-// =============================================================================
+function migrateFunctionJs(content, oldTarget, newTarget, filePath = "", warnings = [], entry = {}) {
+  const pascal = toPascal(newTarget);
+  const camel = toCamel(newTarget);
+  const legacy = legacyEntryName(oldTarget);
+  const legacyPascal = toPascal(legacy);
+  const legacyExport = entry.exportName || legacy;
 
-function migrateUIPackageJson(pkgPath, targetPkgVersion) {
+  let out = content;
+
+  // Generated type names, in JSDoc and in TypeScript
+  // (import type { RunInput, FunctionRunResult } from "../generated/api")
+  out = out.replace(new RegExp(`\\b${legacyPascal}Input\\b`, "g"), `${pascal}Input`);
+  out = out.replace(new RegExp(`\\bFunction${legacyPascal}Result\\b`, "g"), `${pascal}Result`);
+  out = out.replace(/\bFunctionResult\b/g, `${pascal}Result`);
+
+  // Function name: export function run(...) or export const run = (...) =>
+  out = out.replace(
+    new RegExp(`export\\s+(async\\s+)?function\\s+${legacyExport}\\b`),
+    `export $1function ${camel}`
+  );
+  out = out.replace(
+    new RegExp(`export\\s+(const|let)\\s+${legacyExport}\\b`),
+    `export $1 ${camel}`
+  );
+
+  // Target reference in comments
+  out = out.replace(
+    new RegExp(`'${oldTarget.replace(/\./g, "\\.")}'`, "g"),
+    `'${newTarget}'`
+  );
+
+  // Operation key renames; cart transform operations are restructured below
+  const renames = FUNCTION_OPERATION_RENAMES[oldTarget];
+  if (renames && oldTarget !== "purchase.cart-transform.run") {
+    out = renameOperationKeys(out, renames);
+  }
+
+  // Shipping discounts: discounts[] → deliveryDiscountsAdd
+  if (oldTarget === "purchase.shipping-discount.run") {
+    const rewritten = rewriteShippingDiscountOutput(out, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+
+  // Product/order discounts: discounts[] → productDiscountsAdd / orderDiscountsAdd
+  if (DISCOUNT_OUTPUT_MAP[oldTarget]) {
+    const rewritten = rewriteDiscountOutput(out, oldTarget, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+
+  // Validation: errors[] → validationAdd
+  if (oldTarget === "purchase.validation.run") {
+    const rewritten = rewriteValidationOutput(out, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+
+  // Cart transform: operation keys and fields
+  if (oldTarget === "purchase.cart-transform.run") {
+    const rewritten = rewriteCartTransformOutput(out, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+
+  return out;
+}
+
+// Rename operation keys ({ hide: ... } → { paymentMethodHide: ... }) wherever
+// they start an object entry
+function renameOperationKeys(content, renames) {
+  let out = content;
+  for (const [oldOp, newOp] of Object.entries(renames)) {
+    const pattern = new RegExp(`(\\{\\s*|,\\s*|^\\s*)${oldOp}(\\s*:)`, "gm");
+    out = out.replace(pattern, `$1${newOp}$2`);
+  }
+  return out;
+}
+
+function migrateFunctionTest(content, oldTarget, newTarget, filePath = "", warnings = [], entry = {}) {
+  const pascal = toPascal(newTarget);
+  const camel = toCamel(newTarget);
+  const legacy = legacyEntryName(oldTarget);
+  const legacyPascal = toPascal(legacy);
+  const legacyExport = entry.exportName || legacy;
+  const module = entry.module || `./${toSnake(newTarget)}`;
+
+  // Expected discount targets, while the inputs still go to run()
+  let out = DISCOUNT_OUTPUT_MAP[oldTarget] ? resolveExpectedCartLines(content, filePath, legacyExport) : content;
+
+  // Keep the quote style and an explicit extension (./run.js in ESM TypeScript)
+  const entryImport = new RegExp(`import\\s*\\{\\s*${legacyExport}\\s*\\}\\s*from\\s*(['"])[^'"]*?(\\.[jt]s)?\\1`);
+  const importsEntry = entryImport.test(out) || new RegExp(`\\{\\s*${legacyExport}\\s*\\}\\s*=\\s*require\\(`).test(out);
+  out = out.replace(entryImport, `import { ${camel} } from $1${module}$2$1`);
+
+  out = out.replace(new RegExp(`\\bFunction${legacyPascal}Result\\b`, "g"), `${pascal}Result`);
+  out = out.replace(/\bFunctionResult\b/g, `${pascal}Result`);
+  out = out.replace(new RegExp(`\\b${legacyPascal}Input\\b`, "g"), `${pascal}Input`);
+  // Calls of the imported (or required) entry function. Without the import,
+  // fetch() is the global; globalThis.fetch(url) and obj.fetch() never are.
+  if (importsEntry) out = out.replace(new RegExp(`(?<![.\\w$])${legacyExport}\\(`, "g"), `${camel}(`);
+
+  // Expected results get the same operation renames and restructuring as
+  // the function's output
+  const renames = FUNCTION_OPERATION_RENAMES[oldTarget];
+  if (renames && oldTarget !== "purchase.cart-transform.run") {
+    out = renameOperationKeys(out, renames);
+  }
+  if (oldTarget === "purchase.shipping-discount.run") {
+    const rewritten = rewriteShippingDiscountOutput(out, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+  if (DISCOUNT_OUTPUT_MAP[oldTarget]) {
+    const rewritten = rewriteDiscountOutput(out, oldTarget, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+  if (oldTarget === "purchase.validation.run") {
+    const rewritten = rewriteValidationOutput(out, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+  if (oldTarget === "purchase.cart-transform.run") {
+    const rewritten = rewriteCartTransformOutput(out, filePath);
+    out = rewritten.content;
+    warnings.push(...rewritten.warnings);
+  }
+
+  return out;
+}
+
+// src/index.js: re-exports of the entry modules. entries are
+// { from, to, exportName, newExport }: module paths relative to src/ without
+// extension (run → cart_validations_generate_run) and the function each
+// exports. Both export * and export { run } re-exports are updated; an entry
+// the index does not re-export yet is added, so a function with fetch and
+// run targets exports both.
+function migrateFunctionIndex(content, entries) {
+  const exportPattern = /export\s*(\*|\{[^}]*\})\s*from\s*(['"])\.\/([^'"]*?)(\.[jt]s)?\2/g;
+  const exported = new Set();
+  let style = null;
+  const out = content.replace(exportPattern, (match, what, quote, name, ext) => {
+    style = style || { quote, ext: ext || "" };
+    const entry = entries.find(e => e.from === name || e.to === name);
+    if (!entry) return match;
+    exported.add(entry);
+    const names = what === "*" ? "*" : what.replace(new RegExp(`\\b${entry.exportName}\\b`, "g"), entry.newExport);
+    return `export ${names} from ${quote}./${entry.to}${ext || ""}${quote}`;
+  });
+
+  const missing = entries.filter(e => !exported.has(e));
+  if (!style || missing.length === 0) return out;
+  const lines = missing.map(e => `export * from ${style.quote}./${e.to}${style.ext}${style.quote};`);
+  return out.replace(/\n*$/, "\n") + lines.join("\n") + "\n";
+}
+
+function migrateFunctionPackageJson(pkgPath) {
   const raw = readFile(pkgPath);
   let pkg;
-  try { pkg = JSON.parse(raw); } catch { return { changed: false, changes: [] }; }
+  try { pkg = JSON.parse(raw); } catch { return { changed: false }; }
 
-  const changes = [];
+  if (!pkg.dependencies || !pkg.dependencies.javy) return { changed: false };
+
+  delete pkg.dependencies.javy;
+  const trailing = raw.endsWith("\n") ? "\n" : "";
+  return { changed: true, content: JSON.stringify(pkg, null, 2) + trailing };
+}
+
+// GraphQL query helpers
+
+function graphqlError(source, offset, message) {
+  const before = source.slice(0, offset).split("\n");
+  return new Error(`Invalid GraphQL at line ${before.length}, column ${before[before.length - 1].length + 1}: ${message}`);
+}
+
+function graphqlLine(source, offset) {
+  return source.slice(0, offset).split("\n").length;
+}
+
+// Tokens of a GraphQL document with their offsets. Commas, whitespace and
+// comments are insignificant in GraphQL and are dropped.
+function tokenizeGraphql(source) {
+  const tokens = [];
+  const word = /[_A-Za-z][_0-9A-Za-z]*|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  let pos = 0;
+  while (pos < source.length) {
+    const ch = source[pos];
+    const start = pos;
+    if (/[\s,]/.test(ch)) {
+      pos++;
+    } else if (ch === "#") {
+      while (pos < source.length && source[pos] !== "\n") pos++;
+    } else if (source.startsWith("...", pos)) {
+      pos += 3;
+      tokens.push({ type: "...", value: "...", start, end: pos });
+    } else if ("{}()[]:=@$!|&".includes(ch)) {
+      pos++;
+      tokens.push({ type: ch, value: ch, start, end: pos });
+    } else if (source.startsWith('"""', pos)) {
+      const close = source.indexOf('"""', pos + 3);
+      if (close === -1) throw graphqlError(source, start, "unterminated block string");
+      pos = close + 3;
+      tokens.push({ type: "string", value: source.slice(start, pos), start, end: pos });
+    } else if (ch === '"') {
+      pos++;
+      while (pos < source.length && source[pos] !== '"' && source[pos] !== "\n") pos += source[pos] === "\\" ? 2 : 1;
+      if (source[pos] !== '"') throw graphqlError(source, start, "unterminated string");
+      pos++;
+      tokens.push({ type: "string", value: source.slice(start, pos), start, end: pos });
+    } else {
+      word.lastIndex = pos;
+      const match = word.exec(source);
+      if (!match) throw graphqlError(source, pos, `unexpected character "${ch}"`);
+      pos += match[0].length;
+      tokens.push({ type: /^[_A-Za-z]/.test(match[0]) ? "name" : "number", value: match[0], start, end: pos });
+    }
+  }
+  return tokens;
+}
+
+// Parse a GraphQL document into { operations, fragments }. Selections are
+// { kind: "field", alias, name, args, directives, selections },
+// { kind: "inline", typeCondition, directives, selections } or
+// { kind: "spread", name, directives }, each with its start and end offsets
+// (fields also with nameStart and nameEnd); fragments keep their start. Arguments, directives and
+// variable definitions are kept as source text; argsKey compares arguments
+// while ignoring formatting.
+function parseGraphql(source) {
+  const tokens = tokenizeGraphql(source);
+  let i = 0;
+
+  const peek = () => tokens[i] || null;
+  const at = (type, value) => peek() !== null && peek().type === type && (value === undefined || peek().value === value);
+  const fail = (message) => { throw graphqlError(source, peek() ? peek().start : source.length, message); };
+  const expect = (type, value) => {
+    if (!at(type, value)) fail(`expected ${value || type}`);
+    return tokens[i++];
+  };
+  const textFrom = (first) => source.slice(tokens[first].start, tokens[i - 1].end).replace(/\s+/g, " ");
+  const keyFrom = (first) => tokens.slice(first, i).map(t => t.value).join(" ");
+
+  // Skip a bracketed group, returning its first token index
+  const skipGroup = () => {
+    const first = i;
+    const pairs = { "(": ")", "[": "]", "{": "}" };
+    const stack = [];
+    do {
+      const token = peek();
+      if (!token) fail(`unclosed ${tokens[first].value}`);
+      if (pairs[token.type]) stack.push(pairs[token.type]);
+      else if (token.type === stack[stack.length - 1]) stack.pop();
+      i++;
+    } while (stack.length > 0);
+    return first;
+  };
+
+  const directives = () => {
+    const parts = [];
+    while (at("@")) {
+      const first = i++;
+      expect("name");
+      if (at("(")) skipGroup();
+      parts.push(textFrom(first));
+    }
+    return parts.join(" ");
+  };
+
+  const selectionSet = () => {
+    expect("{");
+    const selections = [];
+    while (!at("}")) {
+      if (!peek()) fail("unclosed {");
+      selections.push(selection());
+    }
+    i++;
+    return selections;
+  };
+
+  const selection = () => {
+    const start = peek().start;
+    const located = (s) => ({ ...s, start, end: tokens[i - 1].end });
+
+    if (at("...")) {
+      i++;
+      if (at("name") && peek().value !== "on") {
+        const name = tokens[i++].value;
+        return located({ kind: "spread", name, directives: directives() });
+      }
+      const typeCondition = at("name", "on") ? (i++, expect("name").value) : null;
+      const dirs = directives();
+      return located({ kind: "inline", typeCondition, directives: dirs, selections: selectionSet() });
+    }
+
+    let nameToken = expect("name");
+    let alias = null;
+    if (at(":")) {
+      i++;
+      alias = nameToken.value;
+      nameToken = expect("name");
+    }
+    let args = "";
+    let argsKey = "";
+    if (at("(")) {
+      const first = skipGroup();
+      args = textFrom(first);
+      argsKey = keyFrom(first);
+    }
+    const dirs = directives();
+    return located({
+      kind: "field",
+      alias,
+      name: nameToken.value,
+      nameStart: nameToken.start,
+      nameEnd: nameToken.end,
+      args,
+      argsKey,
+      directives: dirs,
+      selections: at("{") ? selectionSet() : null,
+    });
+  };
+
+  const variableDefinitions = () => {
+    const variables = [];
+    if (!at("(")) return variables;
+    i++;
+    while (!at(")")) {
+      if (!peek()) fail("unclosed (");
+      const first = i;
+      expect("$");
+      const name = expect("name").value;
+      expect(":");
+      while (peek() && !at("$") && !at(")")) {
+        if (at("(") || at("[") || at("{")) skipGroup();
+        else i++;
+      }
+      variables.push({ name, text: textFrom(first) });
+    }
+    i++;
+    return variables;
+  };
+
+  const doc = { operations: [], fragments: [] };
+  while (peek()) {
+    if (at("{")) {
+      doc.operations.push({ operation: "query", name: null, variables: [], directives: "", selections: selectionSet() });
+    } else if (at("name", "fragment")) {
+      const start = tokens[i++].start;
+      const name = expect("name").value;
+      expect("name", "on");
+      const typeCondition = expect("name").value;
+      const dirs = directives();
+      doc.fragments.push({ name, typeCondition, directives: dirs, selections: selectionSet(), start });
+    } else if (at("name") && ["query", "mutation", "subscription"].includes(peek().value)) {
+      const operation = tokens[i++].value;
+      const name = at("name") ? tokens[i++].value : null;
+      const variables = variableDefinitions();
+      const dirs = directives();
+      doc.operations.push({ operation, name, variables, directives: dirs, selections: selectionSet() });
+    } else {
+      fail(`unexpected "${peek().value}"`);
+    }
+  }
+  return doc;
+}
+
+function printGraphqlSelections(selections, indent) {
+  return selections.map(s => {
+    const head = s.kind === "spread" ? `...${s.name}`
+      : s.kind === "inline" ? (s.typeCondition ? `... on ${s.typeCondition}` : "...")
+        : `${s.alias ? `${s.alias}: ` : ""}${s.name}${s.args}`;
+    const line = indent + head + (s.directives ? ` ${s.directives}` : "");
+    return s.selections
+      ? `${line} {\n${printGraphqlSelections(s.selections, indent + "  ")}${indent}}\n`
+      : `${line}\n`;
+  }).join("");
+}
+
+function printGraphql(doc) {
+  const operations = doc.operations.map(op => {
+    const variables = op.variables.length > 0 ? `(${op.variables.map(v => v.text).join(", ")})` : "";
+    const head = [op.operation, op.name ? `${op.name}${variables}` : variables, op.directives].filter(Boolean).join(" ");
+    return `${head} {\n${printGraphqlSelections(op.selections, "  ")}}\n`;
+  });
+  const fragments = doc.fragments.map(f =>
+    `fragment ${f.name} on ${f.typeCondition}${f.directives ? ` ${f.directives}` : ""} {\n${printGraphqlSelections(f.selections, "  ")}}\n`
+  );
+  return [...operations, ...fragments].join("\n");
+}
+
+// Response key a selection merges on
+function graphqlSelectionKey(s) {
+  if (s.kind === "spread") return `...${s.name}`;
+  if (s.kind === "inline") return `... on ${s.typeCondition || ""} ${s.directives}`;
+  return s.alias || s.name;
+}
+
+// Merge selections into `into` (mutated). Fields with the same response key
+// merge their sub-selections; the same key with different arguments cannot
+// be merged and is reported in conflicts.
+function mergeGraphqlSelections(into, from, conflicts, prefix = "") {
+  for (const s of from) {
+    const key = graphqlSelectionKey(s);
+    const existing = into.find(t => graphqlSelectionKey(t) === key);
+    if (!existing) {
+      into.push(structuredClone(s));
+    } else if (s.kind === "field" && (existing.name !== s.name || existing.argsKey !== s.argsKey || existing.directives !== s.directives)) {
+      conflicts.push(`${prefix}${key}`);
+    } else if (existing.selections && s.selections) {
+      mergeGraphqlSelections(existing.selections, s.selections, conflicts, `${prefix}${key}.`);
+    }
+  }
+  return into;
+}
+
+// Merge the first operation of each query into one query named `name`.
+// Variables and fragments are combined by name. Returns { content, warnings };
+// throws on invalid GraphQL.
+function mergeGraphqlQueries(queries, name) {
+  const warnings = [];
+  const merged = { operation: "query", name, variables: [], directives: "", selections: [] };
+  const fragments = [];
+
+  for (const { source, label } of queries) {
+    const doc = parseGraphql(source);
+    if (doc.operations.length !== 1) warnings.push(`${label}: expected one query, found ${doc.operations.length}`);
+    const op = doc.operations[0];
+    if (!op) continue;
+
+    for (const variable of op.variables) {
+      const existing = merged.variables.find(v => v.name === variable.name);
+      if (!existing) merged.variables.push(variable);
+      else if (existing.text !== variable.text) warnings.push(`${label}: variable $${variable.name} is declared differently (${existing.text} kept)`);
+    }
+    const conflicts = [];
+    mergeGraphqlSelections(merged.selections, op.selections, conflicts);
+    conflicts.forEach(c => warnings.push(`${label}: ${c} is already selected with other arguments — rename it with an alias`));
+
+    for (const fragment of doc.fragments) {
+      const existing = fragments.find(f => f.name === fragment.name);
+      if (!existing) fragments.push(fragment);
+      else if (printGraphql({ operations: [], fragments: [existing] }) !== printGraphql({ operations: [], fragments: [fragment] })) {
+        warnings.push(`${label}: fragment ${fragment.name} differs from one already merged (first kept)`);
+      }
+    }
+  }
+
+  return { content: printGraphql({ operations: [merged], fragments }), warnings };
+}
+
+// Schema type kinds whose fields are selected with a selection set
+const GRAPHQL_COMPOSITE_KINDS = ["type", "interface", "union"];
+
+// Types of a GraphQL schema (SDL), enough to check a query against and to
+// generate types from: { queryType, types } where types maps each type name
+// to { kind, fields, values, members, interfaces }. fields maps each field
+// name to its type reference ("[CartLine!]!"), values lists enum values,
+// members union members and interfaces the interfaces an object implements.
+// Descriptions, arguments and directives are skipped. Throws on invalid SDL.
+function parseGraphqlSchema(source) {
+  const tokens = tokenizeGraphql(source);
+  let i = 0;
+
+  const peek = () => tokens[i] || null;
+  const at = (type, value) => peek() !== null && peek().type === type && (value === undefined || peek().value === value);
+  const fail = (message) => { throw graphqlError(source, peek() ? peek().start : source.length, message); };
+  const expect = (type, value) => {
+    if (!at(type, value)) fail(`expected ${value || type}`);
+    return tokens[i++];
+  };
+
+  const skipGroup = () => {
+    const pairs = { "(": ")", "[": "]", "{": "}" };
+    const stack = [];
+    do {
+      if (!peek()) fail("unclosed group");
+      if (pairs[peek().type]) stack.push(pairs[peek().type]);
+      else if (peek().type === stack[stack.length - 1]) stack.pop();
+      i++;
+    } while (stack.length > 0);
+  };
+  const skipDirectives = () => {
+    while (at("@")) {
+      i++;
+      expect("name");
+      if (at("(")) skipGroup();
+    }
+  };
+  // A | B | C, with an optional leading |
+  const nameList = () => {
+    if (at("|")) i++;
+    const names = [expect("name").value];
+    while (at("|")) {
+      i++;
+      names.push(expect("name").value);
+    }
+    return names;
+  };
+  const typeRef = () => {
+    let ref = "";
+    while (at("[")) ref += tokens[i++].value;
+    ref += expect("name").value;
+    while (at("!") || at("]")) ref += tokens[i++].value;
+    return ref;
+  };
+
+  const types = new Map();
+  const define = (kind) => {
+    const name = expect("name").value;
+    if (!types.has(name)) types.set(name, { kind, fields: new Map(), values: [], members: [], interfaces: [] });
+    return types.get(name);
+  };
+
+  const fieldsDefinition = (type) => {
+    expect("{");
+    while (!at("}")) {
+      if (!peek()) fail("unclosed {");
+      if (at("string")) {
+        i++;
+        continue;
+      }
+      const name = expect("name").value;
+      if (at("(")) skipGroup();
+      expect(":");
+      type.fields.set(name, typeRef());
+      // Default value of an input field
+      if (at("=")) {
+        i++;
+        if (at("[") || at("{")) skipGroup();
+        else i++;
+      }
+      skipDirectives();
+    }
+    i++;
+  };
+
+  let queryType = null;
+  while (peek()) {
+    if (at("string")) {
+      i++;
+      continue;
+    }
+    const keyword = expect("name").value;
+    if (keyword === "extend") continue;
+
+    if (keyword === "schema") {
+      skipDirectives();
+      expect("{");
+      while (!at("}")) {
+        if (!peek()) fail("unclosed {");
+        const operation = expect("name").value;
+        expect(":");
+        const name = expect("name").value;
+        if (operation === "query") queryType = name;
+      }
+      i++;
+    } else if (keyword === "type" || keyword === "interface" || keyword === "input") {
+      const type = define(keyword);
+      if (at("name", "implements")) {
+        i++;
+        if (at("&")) i++;
+        type.interfaces.push(expect("name").value);
+        while (at("&")) {
+          i++;
+          type.interfaces.push(expect("name").value);
+        }
+      }
+      skipDirectives();
+      if (at("{")) fieldsDefinition(type);
+    } else if (keyword === "union") {
+      const type = define(keyword);
+      skipDirectives();
+      if (at("=")) {
+        i++;
+        type.members.push(...nameList());
+      }
+    } else if (keyword === "enum") {
+      const type = define(keyword);
+      skipDirectives();
+      if (at("{")) {
+        i++;
+        while (!at("}")) {
+          if (!peek()) fail("unclosed {");
+          if (at("string")) {
+            i++;
+            continue;
+          }
+          type.values.push(expect("name").value);
+          skipDirectives();
+        }
+        i++;
+      }
+    } else if (keyword === "scalar") {
+      define(keyword);
+      skipDirectives();
+    } else if (keyword === "directive") {
+      expect("@");
+      expect("name");
+      if (at("(")) skipGroup();
+      if (at("name", "repeatable")) i++;
+      expect("name", "on");
+      nameList();
+    } else {
+      fail(`unexpected "${keyword}"`);
+    }
+  }
+
+  // Function schemas name their query root Input
+  return { queryType: queryType || "Input", types };
+}
+
+// Named type of a type reference: "[CartLine!]!" → "CartLine"
+function graphqlNamedType(ref) {
+  return ref.replace(/[[\]!]/g, "");
+}
+
+// Edit that deletes a selection, with its whole line when it has one to itself
+function removeGraphqlSelectionEdit(source, s) {
+  const lineStart = source.lastIndexOf("\n", s.start - 1) + 1;
+  const newline = source.indexOf("\n", s.end);
+  const lineEnd = newline === -1 ? source.length : newline;
+  if (/^[ \t]*$/.test(source.slice(lineStart, s.start)) && /^[ \t,]*$/.test(source.slice(s.end, lineEnd))) {
+    return { start: lineStart, end: Math.min(lineEnd + 1, source.length), text: "" };
+  }
+  return { start: s.start, end: s.end + source.slice(s.end).match(/^[ \t,]*/)[0].length, text: "" };
+}
+
+// Rename or drop input query fields with a FUNCTION_INPUT_FIELD_RENAMES map,
+// keeping the query's formatting. Returns { content, renamed } where renamed
+// lists { path, from, to, line } for each field touched (to is null for a
+// dropped field). Throws on invalid GraphQL.
+function rewriteGraphqlFields(source, renames) {
+  const doc = parseGraphql(source);
+  const edits = [];
+  const renamed = [];
+
+  const visit = (selections, prefix) => {
+    for (const s of selections) {
+      if (s.kind === "inline") visit(s.selections, prefix);
+      if (s.kind !== "field") continue;
+
+      const fieldPath = prefix + s.name;
+      if (Object.prototype.hasOwnProperty.call(renames, fieldPath)) {
+        const to = renames[fieldPath];
+        renamed.push({ path: fieldPath, from: s.name, to, line: graphqlLine(source, s.start) });
+        if (to === null) {
+          edits.push(removeGraphqlSelectionEdit(source, s));
+          continue;
+        }
+        edits.push({ start: s.nameStart, end: s.nameEnd, text: to });
+      }
+      if (s.selections) visit(s.selections, `${fieldPath}.`);
+    }
+  };
+  doc.operations.forEach(op => visit(op.selections, ""));
+
+  return { content: applyEdits(source, edits), renamed };
+}
+
+// Check a query against a parsed schema offline. Returns [{ line, message }]
+// for unknown fields, types and fragments, and for fields whose
+// sub-selections do not match their type. `fallbacks` maps a field path to
+// a name to try when the field is missing, so a query with renamed fields
+// can still be checked against the schema of the API it came from.
+// Throws on invalid GraphQL.
+function validateGraphqlQuery(source, schema, fallbacks = {}) {
+  const doc = parseGraphql(source);
+  const problems = [];
+  const report = (s, message) => problems.push({ line: graphqlLine(source, s.start), message });
+  const fragments = new Set(doc.fragments.map(f => f.name));
+  const composite = (typeName) => GRAPHQL_COMPOSITE_KINDS.includes((schema.types.get(typeName) || {}).kind);
+
+  const visit = (selections, typeName, prefix) => {
+    const { fields } = schema.types.get(typeName);
+    for (const s of selections) {
+      if (s.kind === "spread") {
+        if (!fragments.has(s.name)) report(s, `Unknown fragment "${s.name}"`);
+        continue;
+      }
+      if (s.kind === "inline") {
+        const condition = s.typeCondition || typeName;
+        if (composite(condition)) visit(s.selections, condition, prefix);
+        else report(s, `Unknown type "${condition}"`);
+        continue;
+      }
+      if (s.name === "__typename") continue;
+
+      const fieldPath = prefix + s.name;
+      const ref = fields.get(s.name) || fields.get(fallbacks[fieldPath]);
+      const fieldType = ref && graphqlNamedType(ref);
+      if (!fieldType) {
+        report(s, `Field "${s.name}" does not exist on type "${typeName}"`);
+      } else if (composite(fieldType) && !s.selections) {
+        report(s, `Field "${s.name}" of type "${fieldType}" must select subfields`);
+      } else if (!composite(fieldType) && s.selections) {
+        report(s, `Field "${s.name}" of type "${fieldType}" has no subfields`);
+      } else if (s.selections && s.selections.length === 0) {
+        report(s, `Field "${s.name}" has an empty selection`);
+      } else if (s.selections) {
+        visit(s.selections, fieldType, `${fieldPath}.`);
+      }
+    }
+  };
+
+  if (!composite(schema.queryType)) {
+    return [{ line: 1, message: `The schema has no query type "${schema.queryType}"` }];
+  }
+  doc.operations.forEach(op => visit(op.selections, schema.queryType, ""));
+  doc.fragments.forEach(f => {
+    if (composite(f.typeCondition)) visit(f.selections, f.typeCondition, "");
+    else report(f, `Unknown type "${f.typeCondition}"`);
+  });
+  return problems;
+}
+
+// Rust function helpers
+
+// shopify_function crate versions the migration moves to, per major version.
+// 0.x keeps the shopify_function_target macro; 1.x uses typegen.
+const RUST_CRATE_VERSIONS = { 0: "0.8", 1: "1.0" };
+
+// Rust field name of a camelCase operation key or input field (`move` is a
+// keyword)
+function rustFieldName(name) {
+  const snake = name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return snake === "move" ? "move_" : snake;
+}
+
+// src/run.rs: function name, query path, generated result type and operation
+// constructors. Handles both the 0.x shopify_function_target macro
+// (input::ResponseData / output::*) and the 1.x #[shopify_function] +
+// typegen style (schema::run::Input / schema::*); input::ResponseData does
+// not depend on the target and stays as is.
+function migrateFunctionRust(content, oldTarget, newTarget) {
+  const pascal = toPascal(newTarget);
+  const snake = toSnake(newTarget);
+  const legacy = legacyEntryName(oldTarget);
+
+  let out = content;
+
+  // Query file referenced by shopify_function_target(query_path = ...)
+  out = out.replace(new RegExp(`"src/${legacy}\\.graphql"`, "g"), `"src/${snake}.graphql"`);
+  // Explicit export name: shopify_function_target(target = "run")
+  out = out.replace(new RegExp(`(\\btarget\\s*=\\s*)"${legacy}"`, "g"), `$1"${snake}"`);
+
+  // Function name, its uses in tests, and the typegen query module
+  out = out.replace(new RegExp(`\\bfn\\s+${legacy}\\s*\\(`, "g"), `fn ${snake}(`);
+  out = out.replace(new RegExp(`\\brun_function_with_input\\((\\s*)${legacy}(\\s*),`, "g"), `run_function_with_input($1${snake}$2,`);
+  out = out.replace(new RegExp(`\\bschema::${legacy}::`, "g"), `schema::${snake}::`);
+
+  // Generated result type
+  out = out.replace(new RegExp(`\\bFunction${toPascal(legacy)}Result\\b`, "g"), `${pascal}Result`);
+  out = out.replace(/\bFunctionResult\b/g, `${pascal}Result`);
+
+  // Target reference in comments
+  out = out.replace(new RegExp(`"${oldTarget.replace(/\./g, "\\.")}"`, "g"), `"${newTarget}"`);
+
+  // Operation renames: HideOperation → PaymentMethodHideOperation,
+  // Operation::Hide(...) → Operation::PaymentMethodHide(...), and the
+  // `hide: Some(...)` / `move_: None` fields of 0.x input-object operations
+  const renames = FUNCTION_OPERATION_RENAMES[oldTarget];
+  if (renames) {
+    for (const [oldOp, newOp] of Object.entries(renames)) {
+      out = out.replace(new RegExp(`\\b${toPascal(oldOp)}Operation\\b`, "g"), `${toPascal(newOp)}Operation`);
+      out = out.replace(new RegExp(`(\\bOperation::)${toPascal(oldOp)}\\b`, "g"), `$1${toPascal(newOp)}`);
+      out = out.replace(new RegExp(`\\b${rustFieldName(oldOp)}(\\s*:\\s*(?:Some\\b|None\\b))`, "g"), `${rustFieldName(newOp)}$1`);
+    }
+  }
+
+  return out;
+}
+
+// src/main.rs: the `mod run;` declaration and the typegen query module of
+// one target
+function migrateRustMain(content, oldTarget, newTarget) {
+  const snake = toSnake(newTarget);
+  const legacy = legacyEntryName(oldTarget);
+  let out = content;
+  out = out.replace(new RegExp(`^(\\s*(?:pub\\s+)?mod\\s+)${legacy}(\\s*;)`, "m"), `$1${snake}$2`);
+  out = out.replace(new RegExp(`("src/)${legacy}(\\.graphql")`, "g"), `$1${snake}$2`);
+  out = out.replace(new RegExp(`(#\\[query\\([^\\]]*\\)\\]\\s*(?:pub\\s+)?mod\\s+)${legacy}(\\s*\\{)`, "g"), `$1${snake}$2`);
+  return out;
+}
+
+// Cargo.toml: bump shopify_function within its major version. Returns the
+// new content and the version change, or null when nothing changes.
+function migrateCargoToml(content) {
+  const { data } = parseToml(content);
+  const dep = data.dependencies && data.dependencies.shopify_function;
+  const keyPath = typeof dep === "string"
+    ? ["dependencies", "shopify_function"]
+    : dep && typeof dep.version === "string" ? ["dependencies", "shopify_function", "version"] : null;
+  if (!keyPath) return null;
+
+  const current = typeof dep === "string" ? dep : dep.version;
+  const major = Number(current.replace(/^[\^~=\s]*/, "").split(".")[0]);
+  const target = RUST_CRATE_VERSIONS[major];
+  if (!target || compareVersions(current.replace(/^[\^~=\s]*/, ""), target) >= 0) return null;
+
+  return { content: setTomlValue(content, keyPath, target), from: current, to: target };
+}
+
+// Compare dotted numeric versions ("0.7.0" vs "0.8")
+function compareVersions(a, b) {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+// Shipping discount output helpers
+
+function reindentLines(text, extra) {
+  return text.split('\n').map((line, idx) =>
+    idx === 0 || line.trim() === '' ? line : extra + line
+  ).join('\n');
+}
+
+function detectIndentUnit(content) {
+  return content.includes('\n\t') ? '\t' : '  ';
+}
+
+// Rewrite legacy shipping discount results into deliveryDiscountsAdd
+// operations, one per discount:
+//
+//   { discounts: [d] }
+//   → { operations: [{ deliveryDiscountsAdd: { selectionStrategy: "ALL", candidates: [{ ...d, associatedDiscountCode: null }] } }] }
+//
+// A computed list (return { discounts }) is mapped the same way at run time.
+// Returns { content, warnings }.
+function rewriteShippingDiscountOutput(content, filePath = "") {
+  if (content.includes("deliveryDiscountsAdd")) return { content, warnings: [] };
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (err) {
+    return { content, warnings: [`${filePath}: could not be parsed (${err.message}) — shipping discount output not restructured`] };
+  }
+
+  const results = [];
+  walkAst(ast, (node) => {
+    if (node.type !== "ObjectExpression") return;
+    const discounts = findObjectProperty(node, "discounts");
+    if (discounts) results.push(discounts);
+  });
+
+  const warnings = [];
+  const unit = detectIndentUnit(content);
+  const mapped = (list) =>
+    `${list}.map((discount) => ({ deliveryDiscountsAdd: { selectionStrategy: "ALL", candidates: [{ ...discount, associatedDiscountCode: null }] } }))`;
+
+  const edits = [];
+  for (const discounts of results) {
+    const value = discounts.value;
+    let text;
+    if (value.type === "ArrayExpression" && value.elements.length === 0) {
+      text = "operations: []";
+    } else if (value.type !== "ArrayExpression") {
+      text = `operations: ${mapped(discounts.shorthand ? "discounts" : nodeText(content, value))}`;
+    } else {
+      const i0 = lineIndentAt(content, discounts.start);
+      const [i1, i2, i3, i4, i5] = [1, 2, 3, 4, 5].map(n => i0 + unit.repeat(n));
+      // Continuation lines move from their own indentation to i5
+      const moved = (node) => {
+        const from = lineIndentAt(content, node.start);
+        const text = nodeText(content, node);
+        return i5.startsWith(from) ? reindentLines(text, i5.slice(from.length)) : text;
+      };
+
+      const operations = value.elements.filter(Boolean).map(el => {
+        if (el.type === "SpreadElement") return i1 + "..." + mapped(nodeText(content, el.argument)) + ",\n";
+
+        let candidate;
+        if (el.type === "ObjectExpression") {
+          candidate = "{\n" +
+            el.properties.map(p => i5 + moved(p) + ",\n").join("") +
+            i5 + "associatedDiscountCode: null,\n" +
+            i4 + "}";
+        } else {
+          candidate = `{ ...${nodeText(content, el)}, associatedDiscountCode: null }`;
+        }
+        return i1 + "{\n" +
+          i2 + "deliveryDiscountsAdd: {\n" +
+          i3 + 'selectionStrategy: "ALL",\n' +
+          i3 + "candidates: [\n" +
+          i4 + candidate + ",\n" +
+          i3 + "],\n" +
+          i2 + "},\n" +
+          i1 + "},\n";
+      });
+      text = "operations: [\n" + operations.join("") + i0 + "]";
+    }
+    edits.push({ start: discounts.start, end: discounts.end, text });
+  }
+
+  if (results.length === 0 && /\bdiscounts\b/.test(content)) {
+    warnings.push(`${filePath}: no { discounts } result found — return operations: [{ deliveryDiscountsAdd: { ... } }] by hand`);
+  }
+  return { content: applyEdits(content, edits), warnings };
+}
+
+// Product and order discount output helpers
+
+// Name of a non-computed object property ({ a: 1 } or { "a": 1 }), else null
+function objectPropertyName(prop) {
+  if (prop.type !== "ObjectProperty" || prop.computed) return null;
+  if (prop.key.type === "Identifier") return prop.key.name;
+  if (prop.key.type === "StringLiteral") return prop.key.value;
+  return null;
+}
+
+function findObjectProperty(obj, name) {
+  return obj.properties.find(p => objectPropertyName(p) === name) || null;
+}
+
+// Leading whitespace of the line a position is on
+function lineIndentAt(content, pos) {
+  const lineStart = content.lastIndexOf("\n", pos - 1) + 1;
+  return content.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Edit that deletes an object property: its whole line when it sits on a
+// line of its own, otherwise the list item
+function removePropertyEdit(content, prop) {
+  const lineStart = content.lastIndexOf("\n", prop.start - 1) + 1;
+  const after = content.slice(prop.end).match(/^[ \t]*,?[ \t]*\r?\n/);
+  if (after && /^[ \t]*$/.test(content.slice(lineStart, prop.start))) {
+    return { start: lineStart, end: prop.end + after[0].length, text: "" };
+  }
+  return removeListItemEdit(content, prop);
+}
+
+// Source text of a node with the edits that fall inside it applied
+function nodeTextWithEdits(content, node, edits) {
+  const inner = edits
+    .filter(e => e.start >= node.start && e.end <= node.end)
+    .map(e => ({ ...e, start: e.start - node.start, end: e.end - node.start }));
+  return applyEdits(nodeText(content, node), inner);
+}
+
+// selectionStrategy for a legacy discountApplicationStrategy value. Enum
+// members (DiscountApplicationStrategy.First) stay enum members and string
+// literals stay strings. Returns { text, remapped, unknown }.
+function mapDiscountStrategy(content, node, output, usesEnum) {
+  const enumValue = (value) => `${output.strategyEnum}.${value[0]}${value.slice(1).toLowerCase()}`;
+  if (!node) return { text: usesEnum ? enumValue("FIRST") : '"FIRST"' };
+
+  if (node.type === "MemberExpression" && !node.computed &&
+      node.object.type === "Identifier" && node.object.name === "DiscountApplicationStrategy") {
+    const legacy = node.property.name.toUpperCase();
+    const value = output.strategies[legacy];
+    if (value) return { text: enumValue(value), remapped: value !== legacy };
+  }
+  if (node.type === "StringLiteral" && output.strategies[node.value]) {
+    const quote = content[node.start];
+    return { text: `${quote}${output.strategies[node.value]}${quote}`, remapped: output.strategies[node.value] !== node.value };
+  }
+  return { text: nodeText(content, node), unknown: true };
+}
+
+// Rewrite legacy product/order discount results into a single
+// productDiscountsAdd / orderDiscountsAdd operation:
+//
+//   { discountApplicationStrategy: DiscountApplicationStrategy.First, discounts: [d] }
+//   → { operations: [{ productDiscountsAdd: { candidates: [d], selectionStrategy: ProductDiscountSelectionStrategy.First } }] }
+//
+// Targets move to the new shapes: productVariant targets built from a cart
+// line become cartLine targets, and orderSubtotal.excludedVariantIds becomes
+// excludedCartLineIds. Returns { content, warnings }.
+function rewriteDiscountOutput(content, oldTarget, filePath = "") {
+  const output = DISCOUNT_OUTPUT_MAP[oldTarget];
+  if (!output || content.includes(output.operation)) return { content, warnings: [] };
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (err) {
+    return { content, warnings: [`${filePath}: could not be parsed (${err.message}) — discount output not restructured`] };
+  }
+
+  const warnings = [];
+  const at = (node) => `${filePath}:${node.loc.start.line}`;
+  const unit = detectIndentUnit(content);
+  const usesEnum = /\bDiscountApplicationStrategy\./.test(content);
+
+  // .map() callbacks over cart lines: their first parameter is a cart line
+  const lineCallbacks = [];
+  walkAst(ast, (node) => {
+    if (node.type !== "CallExpression" || node.callee.type !== "MemberExpression" || node.callee.computed) return;
+    const fn = node.arguments[0];
+    if (node.callee.property.name !== "map" || !/\blines\b/.test(nodeText(content, node.callee.object))) return;
+    if (!fn || !/^(Arrow)?FunctionExpression$/.test(fn.type) || !fn.params[0] || fn.params[0].type !== "Identifier") return;
+    lineCallbacks.push({ start: fn.start, end: fn.end, line: fn.params[0].name });
+  });
+  const cartLineAt = (node) => {
+    const enclosing = lineCallbacks.filter(cb => cb.start <= node.start && node.end <= cb.end);
+    return enclosing.length > 0 ? enclosing[enclosing.length - 1].line : null;
+  };
+
+  // Target shapes, and the result objects to restructure
+  const targetEdits = [];
+  const results = [];
+  walkAst(ast, (node) => {
+    if (node.type !== "ObjectExpression") return;
+    if (findObjectProperty(node, "discounts")) results.push(node);
+    if (node.properties.length !== 1) return;
+
+    const [prop] = node.properties;
+    const name = objectPropertyName(prop);
+    if (name === "productVariant" && prop.value.type === "ObjectExpression") {
+      const id = findObjectProperty(prop.value, "id");
+      const idText = id && nodeText(content, id.value);
+      const lineId = !id ? null
+        : /\.merchandise\.id$/.test(idText) ? idText.replace(/\.merchandise\.id$/, ".id")
+          : cartLineAt(node) && `${cartLineAt(node)}.id`;
+      if (lineId) {
+        targetEdits.push({ start: prop.key.start, end: prop.key.end, text: "cartLine" });
+        targetEdits.push({ start: id.start, end: id.end, text: `id: ${lineId}` });
+      } else {
+        warnings.push(`${at(node)}: productVariant targets are gone — target the variant's cart line with cartLine: { id }`);
+      }
+    } else if (name === "orderSubtotal" && prop.value.type === "ObjectExpression") {
+      const excluded = findObjectProperty(prop.value, "excludedVariantIds");
+      if (!excluded) return;
+      targetEdits.push(excluded.shorthand
+        ? { start: excluded.start, end: excluded.end, text: "excludedCartLineIds: excludedVariantIds" }
+        : { start: excluded.key.start, end: excluded.key.end, text: "excludedCartLineIds" });
+      if (excluded.value.type !== "ArrayExpression" || excluded.value.elements.length > 0) {
+        warnings.push(`${at(excluded)}: excludedVariantIds became excludedCartLineIds — pass cart line IDs instead of variant IDs`);
+      }
+    }
+  });
+
+  const edits = [...targetEdits];
+  for (const result of results) {
+    const discounts = findObjectProperty(result, "discounts");
+    const strategyProp = findObjectProperty(result, "discountApplicationStrategy");
+    const strategy = mapDiscountStrategy(content, strategyProp && strategyProp.value, output, usesEnum);
+    if (strategy.unknown) {
+      warnings.push(`${at(strategyProp)}: selectionStrategy ${strategy.text} must be a ${output.strategyEnum} value`);
+    } else if (strategy.remapped) {
+      warnings.push(`${at(strategyProp)}: ${output.strategyEnum} has no ALL strategy — MAXIMUM used instead`);
+    }
+
+    const value = discounts.value;
+    let text;
+    if (value.type === "ArrayExpression" && value.elements.length === 0) {
+      text = "operations: []";
+    } else {
+      const i0 = lineIndentAt(content, discounts.start);
+      const i1 = i0 + unit;
+      const i2 = i1 + unit;
+      const i3 = i2 + unit;
+      const i4 = i3 + unit;
+      const candidates = value.type === "ArrayExpression"
+        ? "[\n" + value.elements.filter(Boolean).map(el =>
+          i4 + reindentLines(nodeTextWithEdits(content, el, targetEdits), unit.repeat(3)) + ",\n"
+        ).join("") + i3 + "]"
+        : nodeTextWithEdits(content, value, targetEdits);
+      const operations =
+        "[\n" +
+        i1 + "{\n" +
+        i2 + output.operation + ": {\n" +
+        i3 + "candidates: " + candidates + ",\n" +
+        i3 + "selectionStrategy: " + strategy.text + ",\n" +
+        i2 + "},\n" +
+        i1 + "},\n" +
+        i0 + "]";
+      // A computed list may be empty, which is no operation at all
+      text = /^(Identifier|MemberExpression)$/.test(value.type)
+        ? `operations: ${nodeText(content, value)}.length === 0 ? [] : ${operations}`
+        : `operations: ${operations}`;
+    }
+
+    edits.push({ start: discounts.start, end: discounts.end, text });
+    if (strategyProp) edits.push(removePropertyEdit(content, strategyProp));
+  }
+
+  const out = applyEdits(content, edits).replace(/\bDiscountApplicationStrategy\b/g, output.strategyEnum);
+  return { content: out, warnings };
+}
+
+// In tests, expected targets can name cart lines: a variant ID in a
+// productVariant target or excludedVariantIds becomes the ID of the line
+// holding that variant in the literal inputs the file passes to run().
+// Variants on several different lines are left for rewriteDiscountOutput
+// to report.
+function resolveExpectedCartLines(content, filePath = "", fnName = "run") {
+  let ast;
+  let inputs;
+  try {
+    ast = parseSource(content, filePath);
+    inputs = testFixtures(content, filePath, fnName).fixtures.map(f => f.input);
+  } catch {
+    return content;
+  }
+
+  const lineIds = new Map();
+  for (const input of inputs) {
+    const lines = input && input.cart && Array.isArray(input.cart.lines) ? input.cart.lines : [];
+    for (const line of lines) {
+      const variantId = line && line.merchandise && line.merchandise.id;
+      if (typeof variantId !== "string" || typeof line.id !== "string") continue;
+      lineIds.set(variantId, lineIds.has(variantId) && lineIds.get(variantId) !== line.id ? null : line.id);
+    }
+  }
+  const lineIdFor = (node) => (node && node.type === "StringLiteral" && lineIds.get(node.value)) || null;
+  const quoted = (node, value) => `${content[node.start]}${value}${content[node.start]}`;
+
+  const edits = [];
+  walkAst(ast, (node) => {
+    if (node.type !== "ObjectExpression" || node.properties.length !== 1) return;
+    const [prop] = node.properties;
+    const name = objectPropertyName(prop);
+
+    if (name === "productVariant" && prop.value.type === "ObjectExpression") {
+      const id = findObjectProperty(prop.value, "id");
+      const lineId = id && lineIdFor(id.value);
+      if (!lineId) return;
+      edits.push({ start: prop.key.start, end: prop.key.end, text: "cartLine" });
+      edits.push({ start: id.value.start, end: id.value.end, text: quoted(id.value, lineId) });
+    } else if (name === "orderSubtotal" && prop.value.type === "ObjectExpression") {
+      const excluded = findObjectProperty(prop.value, "excludedVariantIds");
+      if (!excluded || excluded.value.type !== "ArrayExpression") return;
+      const ids = excluded.value.elements;
+      if (ids.length === 0 || !ids.every(lineIdFor)) return;
+      edits.push({ start: excluded.key.start, end: excluded.key.end, text: "excludedCartLineIds" });
+      ids.forEach(el => edits.push({ start: el.start, end: el.end, text: quoted(el, lineIdFor(el)) }));
+    }
+  });
+  return applyEdits(content, edits);
+}
+
+// Validation output helpers
+
+// Rewrite legacy validation results ({ errors: [{ localizedMessage, target }] })
+// into one validationAdd operation:
+//
+//   { errors }  →  { operations: [{ validationAdd: { errors } }] }
+//
+// Error objects get `message` instead of `localizedMessage`, and the legacy
+// "cart" target becomes "$.cart". Returns { content, warnings }.
+function rewriteValidationOutput(content, filePath = "") {
+  if (content.includes("validationAdd")) return { content, warnings: [] };
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (err) {
+    return { content, warnings: [`${filePath}: could not be parsed (${err.message}) — validation output not restructured`] };
+  }
+
+  const errorEdits = [];
+  const results = [];
+  walkAst(ast, (node) => {
+    if (node.type !== "ObjectExpression") return;
+
+    const message = findObjectProperty(node, "localizedMessage");
+    const target = findObjectProperty(node, "target");
+    if (message && target) {
+      errorEdits.push(message.shorthand
+        ? { start: message.start, end: message.end, text: "message: localizedMessage" }
+        : { start: message.key.start, end: message.key.end, text: "message" });
+      if (target.value.type === "StringLiteral" && target.value.value === "cart") {
+        const quote = content[target.value.start];
+        errorEdits.push({ start: target.value.start, end: target.value.end, text: `${quote}$.cart${quote}` });
+      }
+    }
+
+    // A legacy result has errors as its only key
+    if (node.properties.length === 1 && objectPropertyName(node.properties[0]) === "errors") {
+      results.push(node.properties[0]);
+    }
+  });
+
+  const warnings = [];
+  if (results.length === 0 && errorEdits.length > 0) {
+    warnings.push(`${filePath}: no { errors } result found — return operations: [{ validationAdd: { errors } }] by hand`);
+  }
+
+  const unit = detectIndentUnit(content);
+  const edits = [...errorEdits];
+  for (const errors of results) {
+    const value = errors.shorthand ? "errors" : nodeTextWithEdits(content, errors.value, errorEdits);
+    let text;
+    if (!value.includes("\n")) {
+      text = `operations: [{ validationAdd: { ${errors.shorthand ? "errors" : `errors: ${value}`} } }]`;
+    } else {
+      // Multi-line error lists keep their layout, three levels deeper
+      const i0 = lineIndentAt(content, errors.start);
+      const i1 = i0 + unit;
+      const i2 = i1 + unit;
+      const i3 = i2 + unit;
+      text =
+        "operations: [\n" +
+        i1 + "{\n" +
+        i2 + "validationAdd: {\n" +
+        i3 + "errors: " + reindentLines(value, unit.repeat(3)) + ",\n" +
+        i2 + "},\n" +
+        i1 + "},\n" +
+        i0 + "]";
+    }
+    edits.push({ start: errors.start, end: errors.end, text });
+  }
+  return { content: applyEdits(content, edits), warnings };
+}
+
+// Cart transform output helpers
+
+// Map the fields of an object literal through a CART_TRANSFORM_OUTPUT_FIELDS
+// spec, pushing key renames to edits. Nested objects and lists are mapped in
+// turn; fields the spec does not know are passed to report().
+function mapOutputFields(obj, spec, fieldPath, edits, report) {
+  for (const prop of obj.properties) {
+    const name = objectPropertyName(prop);
+    if (name === null) {
+      report(prop, `${fieldPath} has a spread or computed field that cannot be mapped`);
+      continue;
+    }
+    if (!Object.prototype.hasOwnProperty.call(spec, name)) {
+      report(prop, `${fieldPath}.${name} cannot be mapped to the new output`);
+      continue;
+    }
+
+    const rule = spec[name];
+    const to = typeof rule === "string" ? rule : rule.to || name;
+    if (to !== name) {
+      edits.push(prop.shorthand
+        ? { start: prop.start, end: prop.end, text: `${to}: ${name}` }
+        : { start: prop.key.start, end: prop.key.end, text: to });
+    }
+    if (rule.fields && prop.value.type === "ObjectExpression") {
+      mapOutputFields(prop.value, rule.fields, `${fieldPath}.${to}`, edits, report);
+    } else if (rule.each && prop.value.type === "ArrayExpression") {
+      prop.value.elements
+        .filter(el => el && el.type === "ObjectExpression")
+        .forEach(el => mapOutputFields(el, rule.each, `${fieldPath}.${to}[]`, edits, report));
+    }
+  }
+}
+
+// Rewrite cart transform operation objects ({ expand: {...} }, { merge: ... },
+// { update: ... }) to the new operation keys, mapping each operation's fields
+// through CART_TRANSFORM_OUTPUT_FIELDS. Only operation objects are touched,
+// not other keys that happen to share a name. Returns { content, warnings }.
+function rewriteCartTransformOutput(content, filePath = "") {
+  const renames = FUNCTION_OPERATION_RENAMES["purchase.cart-transform.run"];
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (err) {
+    return {
+      content: renameOperationKeys(content, renames),
+      warnings: [`${filePath}: could not be parsed (${err.message}) — operation keys renamed, fields not checked`],
+    };
+  }
+
+  const edits = [];
+  const warnings = [];
+  const report = (node, message) => warnings.push(`${filePath}:${node.loc.start.line}: ${message} — check it by hand`);
+
+  walkAst(ast, (node) => {
+    if (node.type !== "ObjectExpression" || node.properties.length !== 1) return;
+    const [prop] = node.properties;
+    const name = objectPropertyName(prop);
+    if (!Object.prototype.hasOwnProperty.call(CART_TRANSFORM_OUTPUT_FIELDS, name)) return;
+
+    const operation = renames[name];
+    edits.push(prop.shorthand
+      ? { start: prop.start, end: prop.end, text: `${operation}: ${name}` }
+      : { start: prop.key.start, end: prop.key.end, text: operation });
+    if (prop.value.type === "ObjectExpression") {
+      mapOutputFields(prop.value, CART_TRANSFORM_OUTPUT_FIELDS[name], operation, edits, report);
+    } else {
+      report(prop, `${operation} is built outside the operation object, so its fields were not mapped`);
+    }
+  });
+
+  return { content: applyEdits(content, edits), warnings };
+}
+
+// Discount merge helpers
+
+// Files of a legacy discount function that are not carried into a merged
+// one: its own TOML, lockfiles, and the schema and types that are
+// regenerated for the new extension
+const MERGE_SKIPPED_FILES = /^(shopify\.extension\.toml$|package-lock\.json$|yarn\.lock$|pnpm-lock\.yaml$|schema\.graphql$|generated\/)/;
+
+// Extension keys written fresh for a merged function rather than copied
+const MERGE_TOML_SKIP_KEYS = new Set(["name", "handle", "type", "uid", "description", "api_version", "targeting"]);
+
+const JS_RESERVED_WORDS = new Set([
+  "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do",
+  "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "implements", "import",
+  "in", "instanceof", "interface", "let", "new", "null", "package", "private", "protected", "public",
+  "return", "static", "super", "switch", "this", "throw", "true", "try", "typeof", "var", "void", "while",
+  "with", "yield", "arguments", "eval", "undefined",
+]);
+
+// Identifiers that appear in source code, as a conservative set of names a
+// new identifier must not take (strings and comments included)
+function sourceIdentifiers(content) {
+  return new Set(content.match(/[A-Za-z_$][\w$]*/g) || []);
+}
+
+// Function name and module file for a source merged into a composed target
+// module: the source's handle in camelCase and snake_case, prefixed with
+// discount when that is not a valid identifier or is a reserved word
+// (10-off → discount10Off, discount_10_off), and numbered while the name is
+// taken. renamed tells whether the function name differs from the handle's.
+function mergedModuleNames(handle, takenNames, takenModules) {
+  const words = handle.split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+  const camel = words.map((w, i) => (i === 0 ? w[0].toLowerCase() : w[0].toUpperCase()) + w.slice(1)).join("");
+  const valid = /^[A-Za-z_$][\w$]*$/.test(camel) && !JS_RESERVED_WORDS.has(camel);
+  const base = valid ? camel : `discount${camel ? camel[0].toUpperCase() + camel.slice(1) : ""}`;
+  const baseModule = valid ? words.join("_").toLowerCase() : ["discount", ...words].join("_").toLowerCase();
+
+  let exportName = base;
+  for (let i = 2; takenNames.has(exportName); i++) exportName = `${base}${i}`;
+  let module = baseModule;
+  for (let i = 2; takenModules.has(module); i++) module = `${baseModule}_${i}`;
+  return { exportName, module, renamed: exportName !== camel };
+}
+
+// Deep-merge TOML tables into `into`, keeping the first value of a key that
+// is set differently
+function mergeTomlTables(into, from, label, warnings, prefix = "") {
+  for (const [key, value] of Object.entries(from)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (into[key] === undefined) {
+      into[key] = structuredClone(value);
+    } else if (isTomlTable(into[key]) && isTomlTable(value)) {
+      mergeTomlTables(into[key], value, label, warnings, keyPath);
+    } else if (JSON.stringify(into[key]) !== JSON.stringify(value)) {
+      warnings.push(`${label}: ${keyPath} = ${formatTomlValue(value)} conflicts with ${formatTomlValue(into[key])} (first kept)`);
+    }
+  }
+  return into;
+}
+
+// [header] table lines: scalar keys first, then sub-tables
+function tomlTableLines(table, header, indent) {
+  const entries = Object.entries(table);
+  const scalars = entries.filter(([, v]) => !isTomlTable(v));
+  const subtables = entries.filter(([, v]) => isTomlTable(v));
+  const lines = [];
+  if (scalars.length > 0 || subtables.length === 0) {
+    lines.push("", `${indent}[${header}]`, ...scalars.map(([k, v]) => `${indent}${formatTomlKey(k)} = ${formatTomlValue(v)}`));
+  }
+  for (const [key, value] of subtables) lines.push(...tomlTableLines(value, `${header}.${formatTomlKey(key)}`, indent));
+  return lines;
+}
+
+// shopify.extension.toml of a merged discount function: one targeting entry
+// per target, and the other extension settings (build, ui, input variables)
+// merged from the sources
+function mergedDiscountToml(sources, handle, targetApiVersion, targets, warnings) {
+  const settings = {};
+  const names = sources.map(s => s.name);
+  const description = `Discount function merged from ${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+  for (const ext of sources) {
+    const { data } = parseToml(ext.tomlContent);
+    const declared = Array.isArray(data.extensions) ? data.extensions[0] : null;
+    if (!declared) continue;
+    const rest = Object.fromEntries(Object.entries(declared).filter(([k]) => !MERGE_TOML_SKIP_KEYS.has(k)));
+    mergeTomlTables(settings, rest, ext.name, warnings);
+  }
+
+  const lines = [
+    `api_version = ${formatTomlValue(targetApiVersion)}`,
+    "",
+    "[[extensions]]",
+    `name = ${formatTomlValue(handle)}`,
+    `handle = ${formatTomlValue(handle)}`,
+    `type = "function"`,
+  ];
+  lines.push(`description = ${formatTomlValue(description)}`);
+  for (const [key, value] of Object.entries(settings)) {
+    if (!isTomlTable(value)) lines.push(`${formatTomlKey(key)} = ${formatTomlValue(value)}`);
+  }
+  for (const target of targets) {
+    lines.push(
+      "",
+      "  [[extensions.targeting]]",
+      `  target = ${formatTomlValue(target)}`,
+      `  input_query = ${formatTomlValue(`src/${toSnake(target)}.graphql`)}`,
+      `  export = ${formatTomlValue(toKebab(target))}`
+    );
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    if (isTomlTable(value)) lines.push(...tomlTableLines(value, `extensions.${formatTomlKey(key)}`, "  "));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// package.json of a merged function: the first source's manifest with the
+// other sources' dependencies added
+function mergedFunctionPackageJson(handle, manifests, warnings) {
+  const merged = {};
+  for (const { label, text } of manifests) {
+    let pkg;
+    try { pkg = JSON.parse(text); } catch {
+      warnings.push(`${label}: package.json is not valid JSON — not merged`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(pkg)) {
+      if (merged[key] === undefined) {
+        merged[key] = value;
+      } else if (/^(dev|peer)?[dD]ependencies$/.test(key)) {
+        for (const [dep, version] of Object.entries(value || {})) {
+          if (merged[key][dep] === undefined) merged[key][dep] = version;
+          else if (merged[key][dep] !== version) warnings.push(`${label}: ${dep}@${version} conflicts with ${merged[key][dep]} (first kept)`);
+        }
+      }
+    }
+  }
+  merged.name = handle;
+  return JSON.stringify(merged, null, 2) + "\n";
+}
+
+// Target module of a merged discount function: runs each source function
+// (now a module of its own) for discounts of its class and returns all of
+// their operations
+function composedDiscountModule(target, modules, lang) {
+  const pascal = toPascal(target);
+  const camel = toCamel(target);
+  const names = modules.map(m => m.source);
+  const summary = ` * Runs the ${names.slice(0, -1).join(", ")} and ${names[names.length - 1]} discount functions, each for discounts of its class.`;
+  const body = [
+    "  const classes = input.discount.discountClasses;",
+    "  return {",
+    "    operations: [",
+    ...modules.map(m => `      ...(classes.includes(DiscountClass.${m.discountClass}) ? ${m.exportName}(input).operations : []),`),
+    "    ],",
+    "  };",
+    "}",
+  ];
+  const imports = modules.map(m => `import { ${m.exportName} } from "./${m.module}";`);
+
+  if (lang === "ts") {
+    return [
+      `import { DiscountClass } from "../generated/api";`,
+      `import type { ${pascal}Input, ${pascal}Result } from "../generated/api";`,
+      ...imports,
+      "",
+      "/**",
+      summary,
+      " */",
+      `export function ${camel}(input: ${pascal}Input): ${pascal}Result {`,
+      ...body,
+    ].join("\n") + "\n";
+  }
+  return [
+    "// @ts-check",
+    `import { DiscountClass } from "../generated/api";`,
+    ...imports,
+    "",
+    "/**",
+    ` * @typedef {import("../generated/api").${pascal}Input} ${pascal}Input`,
+    ` * @typedef {import("../generated/api").${pascal}Result} ${pascal}Result`,
+    " */",
+    "",
+    "/**",
+    summary,
+    ` * @param {${pascal}Input} input`,
+    ` * @returns {${pascal}Result}`,
+    " */",
+    `export function ${camel}(input) {`,
+    ...body,
+  ].join("\n") + "\n";
+}
+
+// =============================================================================
+// UI Extension Migration Helpers
+// =============================================================================
+
+function migrateUIPackageJson(pkgPath, targetPkgVersion) {
+  const raw = readFile(pkgPath);
+  let pkg;
+  try { pkg = JSON.parse(raw); } catch { return { changed: false, changes: [] }; }
+
+  const changes = [];
+
+  // Remove React-related dependencies
+  const depsToRemove = ["react", "@shopify/ui-extensions-react", "react-reconciler"];
+  const devDepsToRemove = ["@types/react"];
+
+  ["dependencies", "devDependencies"].forEach(section => {
+    if (pkg[section]) {
+      depsToRemove.concat(devDepsToRemove).forEach(dep => {
+        if (pkg[section][dep]) {
+          delete pkg[section][dep];
+          changes.push(`removed ${dep} from ${section}`);
+        }
+      });
+    }
+  });
+
+  // Add Preact dependencies
+  if (!pkg.dependencies) pkg.dependencies = {};
+
+  if (!pkg.dependencies.preact) {
+    pkg.dependencies.preact = "^10.10.0";
+    changes.push(`added preact ^10.10.0`);
+  }
+
+  if (!pkg.dependencies["@preact/signals"]) {
+    pkg.dependencies["@preact/signals"] = "^2.3.0";
+    changes.push(`added @preact/signals ^2.3.0`);
+  }
+
+  // Update @shopify/ui-extensions
+  if (pkg.dependencies["@shopify/ui-extensions"]) {
+    const old = pkg.dependencies["@shopify/ui-extensions"];
+    if (old !== targetPkgVersion) {
+      pkg.dependencies["@shopify/ui-extensions"] = targetPkgVersion;
+      changes.push(`@shopify/ui-extensions ${old} → ${targetPkgVersion}`);
+    }
+  } else {
+    pkg.dependencies["@shopify/ui-extensions"] = targetPkgVersion;
+    changes.push(`added @shopify/ui-extensions ${targetPkgVersion}`);
+  }
+
+  if (changes.length === 0) return { changed: false, changes };
+
+  const trailing = raw.endsWith("\n") ? "\n" : "";
+  return { changed: true, content: JSON.stringify(pkg, null, 2) + trailing, changes };
+}
+
+const UI_REACT_PACKAGE_PATTERN = /^@shopify\/ui-extensions-react\/(?:checkout|customer-account)$/;
+
+function migrateUISourceFile(content, extensionType, filePath = "", rules = DEFAULT_RULES) {
+  const warnings = [];
+
+  // Determine surface (checkout or customer-account)
+  const surface = extensionType === "customer-account" ? "customer-account" : "checkout";
+
+  let ast;
+  try {
+    ast = parseSource(content, filePath);
+  } catch (err) {
+    warnings.push(`${filePath || "Source file"} could not be parsed (${err.message}) — left unchanged`);
+    return { content, warnings };
+  }
+
+  const program = ast.program;
+  const bindings = collectTopLevelBindings(program);
+  const edits = [];
+
+  // Transform imports
+  // Remove React imports and collect @shopify/ui-extensions-react imports
+  const importedComponents = new Map(); // local name → React component name
+  const importedHooks = new Map(); // local name → imported hook name
+  const reactImports = new Map(); // local name → { imported, type }
+  const reactNamespaces = new Set(); // import React / import * as React
+  for (const stmt of program.body) {
+    if (stmt.type !== "ImportDeclaration") continue;
+    const source = stmt.source.value;
+    if (source === "react") {
+      for (const spec of stmt.specifiers) {
+        if (spec.type !== "ImportSpecifier") {
+          reactNamespaces.add(spec.local.name);
+          continue;
+        }
+        const imported = spec.imported.name || spec.imported.value;
+        reactImports.set(spec.local.name, { imported, type: stmt.importKind === "type" || spec.importKind === "type" });
+      }
+      edits.push(removeStatementEdit(content, stmt));
+    } else if (UI_REACT_PACKAGE_PATTERN.test(source)) {
+      for (const spec of stmt.specifiers) {
+        if (spec.type !== "ImportSpecifier") continue;
+        const imported = spec.imported.name || spec.imported.value;
+        // Check if it's a hook (starts with 'use' or is reactExtension)
+        if (imported.startsWith("use") || imported === "reactExtension") {
+          importedHooks.set(spec.local.name, imported);
+        } else {
+          importedComponents.set(spec.local.name, imported);
+        }
+      }
+      edits.push(removeStatementEdit(content, stmt));
+    }
+  }
+
+  // Names that are bound to something other than the UI extensions package
+  // (local components, other libraries) are never rewritten, except project
+  // components and hooks from the config, which may come from project modules
+  const isProjectImport = (name, custom) => custom.has(name) && bindings.get(name) != null;
+  const resolveComponent = (name) => {
+    const component = importedComponents.has(name) ? importedComponents.get(name) : name;
+    if (!rules.components[component]) return null;
+    if (importedComponents.has(name) || !bindings.has(name)) return component;
+    return isProjectImport(name, rules.customComponents) ? name : null;
+  };
+  const resolveHook = (name) => {
+    if (importedHooks.has(name)) return importedHooks.get(name);
+    if (!rules.hooks[name] && name !== "reactExtension") return null;
+    if (!bindings.has(name)) return name;
+    return isProjectImport(name, rules.customHooks) ? name : null;
+  };
+
+  const references = {}; // local name → { total, rewritten }
+  const countReference = (name, field) => {
+    references[name] = references[name] || { total: 0, rewritten: 0 };
+    references[name][field]++;
+  };
+  const isFullyRewritten = (name) => !!references[name] && references[name].total === references[name].rewritten;
+
+  // const { query, lines } = useApi() → shopify.query, shopify.lines.value at each use
+  const subscriptionCalls = new Set();
+  walkAst(program, (node) => {
+    if (node.type === "ImportDeclaration") return false;
+    if (!FUNCTION_NODE_TYPES.has(node.type) || node.body.type !== "BlockStatement") return;
+    rewriteApiDestructures(node, content, resolveHook, edits, warnings, filePath)
+      .forEach(call => subscriptionCalls.add(call));
+  });
+
+  // React names still referenced, to import from Preact: local name → { imported, type }
+  const preactNames = new Map();
+  const useReactName = (local, imported = local, type = false) => {
+    if (!preactNames.has(local)) preactNames.set(local, { imported, type });
+  };
+
+  let handlersTransformed = false;
+  let valueHandlerFunctions = false;
+
+  walkAst(program, (node, parent, key) => {
+    switch (node.type) {
+      case "ImportDeclaration":
+        return false;
+
+      case "Identifier":
+        if ((resolveHook(node.name) || isProjectImport(node.name, rules.customComponents)) &&
+            isReferenceIdentifier(node, parent, key)) {
+          countReference(node.name, "total");
+        }
+        if (reactImports.has(node.name) && isReferenceIdentifier(node, parent, key)) {
+          const { imported, type } = reactImports.get(node.name);
+          useReactName(node.name, imported, type);
+        }
+        if (reactNamespaces.has(node.name) && isReferenceIdentifier(node, parent, key)) {
+          warnings.push(`${filePath || "Source file"}:${node.loc.start.line}: ${node.name} is used as a value — replace it with Preact imports by hand`);
+        }
+        return;
+
+      // Transform React namespace types: React.ReactNode → ReactNode from preact/compat
+      case "TSQualifiedName":
+        if (node.left.type !== "Identifier" || !reactNamespaces.has(node.left.name)) return;
+        edits.push({ start: node.start, end: node.end, text: node.right.name });
+        useReactName(node.right.name, node.right.name, true);
+        return false;
+
+      // Transform React components to web components
+      case "JSXOpeningElement":
+      case "JSXClosingElement": {
+        // <React.Fragment> → <Fragment>
+        if (node.name.type === "JSXMemberExpression" && node.name.object.type === "JSXIdentifier" &&
+            reactNamespaces.has(node.name.object.name)) {
+          edits.push({ start: node.name.start, end: node.name.end, text: node.name.property.name });
+          useReactName(node.name.property.name);
+          return false;
+        }
+        if (node.name.type !== "JSXIdentifier") return;
+        if (reactImports.has(node.name.name)) useReactName(node.name.name, reactImports.get(node.name.name).imported);
+        const component = resolveComponent(node.name.name);
+        if (!component) return;
+        edits.push({ start: node.name.start, end: node.name.end, text: rules.components[component] });
+        if (node.type === "JSXClosingElement") return;
+        countReference(node.name.name, "total");
+        countReference(node.name.name, "rewritten");
+        if (transformAttributes(node, component, content, edits, rules)) handlersTransformed = true;
+        return;
+      }
+
+      // Transform reactExtension to async function
+      case "ExportDefaultDeclaration": {
+        const call = node.declaration;
+        if (call.type !== "CallExpression" || call.callee.type !== "Identifier") return;
+        if (resolveHook(call.callee.name) !== "reactExtension") return;
+        if (transformReactExtension(node, call, edits, warnings)) countReference(call.callee.name, "rewritten");
+        return;
+      }
+
+      case "VariableDeclarator": {
+        const init = node.init;
+        if (init && (init.type === "ArrowFunctionExpression" || init.type === "FunctionExpression")) {
+          if (isValueHandlerFunction(init)) valueHandlerFunctions = true;
+        }
+        return;
+      }
+
+      case "FunctionDeclaration":
+        if (isValueHandlerFunction(node)) valueHandlerFunctions = true;
+        return;
+
+      // Transform useBuyerJourneyIntercept to useEffect pattern
+      case "ExpressionStatement": {
+        const call = node.expression;
+        if (call.type !== "CallExpression" || call.callee.type !== "Identifier") return;
+        if (resolveHook(call.callee.name) !== "useBuyerJourneyIntercept") return;
+        const handler = call.arguments[0];
+        if (!handler || (handler.type !== "ArrowFunctionExpression" && handler.type !== "FunctionExpression")) return;
+        edits.push({
+          start: node.start,
+          end: handler.start,
+          text: "useEffect(() => {\n    let teardown;\n    shopify.buyerJourney.intercept(",
+        });
+        edits.push({
+          start: handler.end,
+          end: node.end,
+          text: ").then(td => { teardown = td; });\n    return () => { if (teardown) teardown(); };\n  });",
+        });
+        countReference(call.callee.name, "rewritten");
+        useReactName("useEffect");
+        warnings.push("useBuyerJourneyIntercept converted to useEffect pattern - review for correctness");
+        return;
+      }
+
+      // Transform applyAttributeChange calls: api.applyAttributeChange → shopify.applyAttributeChange
+      // and React namespace members: React.useState → useState from preact/hooks
+      case "MemberExpression":
+      case "OptionalMemberExpression":
+        if (!node.computed && node.object.type === "Identifier" && reactNamespaces.has(node.object.name)) {
+          edits.push({ start: node.start, end: node.end, text: node.property.name });
+          useReactName(node.property.name);
+          return false;
+        }
+        if (!node.computed && node.property.name === "applyAttributeChange" &&
+            node.object.type === "Identifier" && node.object.name !== "shopify") {
+          edits.push({ start: node.object.start, end: node.object.end, text: "shopify" });
+        }
+        return;
+
+      case "AwaitExpression": {
+        const call = node.argument;
+        if (call && call.type === "CallExpression" && call.callee.type === "Identifier" &&
+            call.callee.name === "applyAttributeChange") {
+          edits.push({ start: call.callee.start, end: call.callee.end, text: "shopify.applyAttributeChange" });
+        }
+        return;
+      }
+
+      case "CallExpression": {
+        if (node.callee.type !== "Identifier") return;
+        const arg = node.arguments[0];
+        // Transform useDeliveryGroup usage: useDeliveryGroup(groups?.[0]) → useDeliveryGroup(shopify.deliveryGroups.value[0])
+        if (node.callee.name === "useDeliveryGroup" &&
+            arg && arg.type === "OptionalMemberExpression" && arg.computed &&
+            arg.object.type === "Identifier" && arg.property.type === "NumericLiteral" && arg.property.value === 0) {
+          edits.push({ start: arg.start, end: arg.end, text: "shopify.deliveryGroups.value[0]" });
+        }
+
+        // Transform hook calls to shopify.* API wherever they appear:
+        // const { a } = useHook(), {useHook().length}, useHook({ ...args })
+        const hook = resolveHook(node.callee.name);
+        if (!hook || hook === "reactExtension") return;
+        if (subscriptionCalls.has(node)) {
+          countReference(node.callee.name, "rewritten");
+          return;
+        }
+        const at = `${filePath || "Source file"}:${node.loc.start.line}`;
+        if (!rules.hooks[hook]) {
+          warnings.push(`${at}: ${hook} has no shopify.* mapping — left unchanged`);
+          return;
+        }
+        // Statement calls are rewritten by the ExpressionStatement case
+        if (hook === "useBuyerJourneyIntercept" && parent.type === "ExpressionStatement" &&
+            arg && (arg.type === "ArrowFunctionExpression" || arg.type === "FunctionExpression")) return;
+        const replacement = hookCallReplacement(hook, node, content, rules);
+        if (replacement === null) {
+          warnings.push(`${at}: ${hook}(${node.arguments.map(a => nodeText(content, a)).join(", ")}) could not be rewritten to ${rules.hooks[hook]} — left unchanged`);
+          return;
+        }
+        edits.push({ start: node.start, end: node.end, text: replacement });
+        countReference(node.callee.name, "rewritten");
+        return;
+      }
+    }
+  });
+
+  for (const component of new Set(importedComponents.values())) {
+    if (!rules.components[component]) warnings.push(`${component} has no web component mapping — left unchanged`);
+  }
+
+  // Drop project imports whose every use was rewritten
+  for (const stmt of program.body) {
+    if (stmt.type !== "ImportDeclaration" || stmt.source.value === "react" ||
+        UI_REACT_PACKAGE_PATTERN.test(stmt.source.value)) continue;
+    const unused = stmt.specifiers.filter(s =>
+      (rules.customComponents.has(s.local.name) || rules.customHooks.has(s.local.name)) &&
+      isFullyRewritten(s.local.name)
+    );
+    if (unused.length === 0) continue;
+    if (unused.length === stmt.specifiers.length) edits.push(removeStatementEdit(content, stmt));
+    else unused.forEach(s => edits.push(removeListItemEdit(content, s)));
+  }
+
+  // Nothing React-specific in this file (e.g. a module that only re-exports)
+  if (edits.length === 0) return { content, warnings };
+
+  let out = applyEdits(content, edits);
+
+  // Import the React APIs that are still referenced from their Preact module
+  const preactModules = { "preact": ["render"], "preact/hooks": [], "preact/compat": [] };
+  for (const [local, { imported, type }] of preactNames) {
+    const module = REACT_TO_PREACT_MAP[imported];
+    if (!module && !type) {
+      warnings.push(`${imported} has no Preact mapping — imported from preact/compat, check that it exists there`);
+    }
+    preactModules[module || "preact/compat"].push(`${type ? "type " : ""}${local === imported ? imported : `${imported} as ${local}`}`);
+  }
+
+  // Add new Preact imports at the top
+  const newImports = [`import '@shopify/ui-extensions/preact';`];
+  for (const [module, names] of Object.entries(preactModules)) {
+    if (names.length > 0) newImports.push(`import { ${names.join(", ")} } from '${module}';`);
+  }
+
+  // Add Shopify hooks import for hooks that still have call sites after the rewrite
+  const shopifyHooks = [];
+  for (const [local, imported] of importedHooks) {
+    if (imported === "reactExtension") continue;
+    if (!isFullyRewritten(local)) {
+      shopifyHooks.push(local === imported ? imported : `${imported} as ${local}`);
+    }
+  }
+  if (shopifyHooks.length > 0) {
+    newImports.push(`import { ${shopifyHooks.join(', ')} } from '@shopify/ui-extensions/${surface}/preact';`);
+  }
+
+  // Insert new imports at the beginning. The blank line that followed the
+  // removed imports goes with them, so only one separates the new imports
+  // from the code.
+  out = newImports.join('\n') + '\n\n' + out.replace(/^(?:[ \t]*\r?\n)+/, "");
+
+  if (valueHandlerFunctions) {
+    warnings.push("Some event handler functions may need manual updating to use (e) => e.target.value or e.target.checked");
+  }
+  if (handlersTransformed) {
+    warnings.push("Event handlers transformed to use e.target.value/e.target.checked - verify correctness");
+  }
+
+  // Add note about manual review needed
+  if (importedHooks.size > 0 || importedComponents.size > 0) {
+    warnings.push("Manual review recommended: verify all API calls use global shopify object");
+  }
+
+  return { content: out, warnings };
+}
+
+// shopify.* expression that replaces a hook call, or null when the hook's
+// arguments have no equivalent. Hooks without arguments become their mapped
+// value; hooks that take arguments select from it.
+function hookCallReplacement(hook, call, content, rules = DEFAULT_RULES) {
+  const api = rules.hooks[hook];
+  const args = call.arguments;
+  if (args.length === 0) return api;
+  if (args.length > 1 || args[0].type === "SpreadElement") return null;
+
+  // useExtensionCapability('block_progress') → shopify.extension.capabilities.value.includes('block_progress')
+  if (hook === "useExtensionCapability") {
+    return `${api}.value.includes(${nodeText(content, args[0])})`;
+  }
+
+  // useMetafield({ namespace, key }) → shopify.metafields.value.find(...)
+  if (hook === "useMetafield" && args[0].type === "ObjectExpression") {
+    const conditions = [];
+    for (const prop of args[0].properties) {
+      const name = objectPropertyName(prop);
+      if (prop.type !== "ObjectProperty" || !["namespace", "key"].includes(name)) return null;
+      conditions.push(`metafield.${name} === ${nodeText(content, prop.value)}`);
+    }
+    if (conditions.length === 0) return api;
+    return `${api}.find((metafield) => ${conditions.join(" && ")})`;
+  }
+
+  return null;
+}
+
+const FUNCTION_NODE_TYPES = new Set([
+  "FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression", "ObjectMethod", "ClassMethod",
+]);
+
+// Whether an expression is one of the names, or a property chain on one
+// (lines, cost.totalAmount)
+function isMemberChainOf(node, names) {
+  while (node.type === "MemberExpression" || node.type === "OptionalMemberExpression") node = node.object;
+  return node.type === "Identifier" && names.has(node.name);
+}
+
+// Replace `const { query, lines: cartLines } = useApi()` declared in a
+// function body with direct shopify.* accesses: the declaration is removed and
+// each use of a member becomes shopify.<member>. Subscribables are signals on
+// the shopify global, so useSubscription(x) and x.current become x.value
+// reads: useSubscription(cost.totalAmount) → shopify.cost.totalAmount.value.
+// Patterns with defaults, rest elements or names rebound inside the function
+// keep the destructure (its useApi() call becomes shopify). Returns the
+// useSubscription() calls that were replaced.
+function rewriteApiDestructures(fn, content, resolveHook, edits, warnings, filePath = "") {
+  const replacedCalls = [];
+
+  for (const stmt of fn.body.body) {
+    if (stmt.type !== "VariableDeclaration") continue;
+    for (const decl of stmt.declarations) {
+      const init = decl.init;
+      if (decl.id.type !== "ObjectPattern" || !init || init.type !== "CallExpression" ||
+          init.callee.type !== "Identifier" || resolveHook(init.callee.name) !== "useApi" || init.arguments.length > 0) continue;
+
+      const members = new Map(); // local name → useApi() member
+      const simple = decl.id.properties.every(p =>
+        p.type === "ObjectProperty" && !p.computed && p.value.type === "Identifier" && objectPropertyName(p) &&
+        members.set(p.value.name, objectPropertyName(p))
+      );
+      const rebound = new Set();
+      walkAst(fn.body, (node) => {
+        if (node === decl) return false;
+        if (node.type === "VariableDeclarator") collectPatternNames(node.id).forEach(n => rebound.add(n));
+        else if (FUNCTION_NODE_TYPES.has(node.type)) node.params.forEach(p => collectPatternNames(p).forEach(n => rebound.add(n)));
+        else if (node.type === "CatchClause") collectPatternNames(node.param).forEach(n => rebound.add(n));
+        if (node.type === "FunctionDeclaration" && node.id) rebound.add(node.id.name);
+      });
+      const clashes = [...members.keys()].filter(n => rebound.has(n));
+      if (!simple || clashes.length > 0) {
+        warnings.push(`${filePath || "Source file"}:${decl.loc.start.line}: useApi() destructure kept as \`= shopify\`` +
+          (clashes.length > 0 ? ` (${clashes.join(", ")} declared again in the same function)` : ""));
+        continue;
+      }
+
+      edits.push(stmt.declarations.length === 1 ? removeStatementEdit(content, stmt) : removeListItemEdit(content, decl));
+      const dropped = new Set();
+      walkAst(fn.body, (node, parent, key) => {
+        if (node === decl || dropped.has(node)) return false;
+
+        // shopify.* members never change, so they are dropped from hook
+        // dependency arrays: useEffect(..., [query]) → useEffect(..., [])
+        const deps = node.type === "CallExpression" && node.callee.type === "Identifier" && /^use[A-Z]/.test(node.callee.name) &&
+          node.arguments.length > 1 ? node.arguments[node.arguments.length - 1] : null;
+        if (deps && deps.type === "ArrayExpression") {
+          const globals = deps.elements.filter(e => e && e.type === "Identifier" && members.has(e.name));
+          globals.forEach(e => dropped.add(e));
+          if (globals.length > 0) edits.push(...removeArrayItemsEdits(content, deps, new Set(globals)));
+        }
+
+        const arg = node.type === "CallExpression" ? node.arguments[0] : null;
+        if (arg && isMemberChainOf(arg, members) && node.callee.type === "Identifier" &&
+            resolveHook(node.callee.name) === "useSubscription") {
+          edits.push({ start: node.start, end: arg.start, text: "" });
+          edits.push({ start: arg.end, end: node.end, text: ".value" });
+          replacedCalls.push(node);
+        } else if ((node.type === "MemberExpression" || node.type === "OptionalMemberExpression") && !node.computed &&
+            node.property.name === "current" && isMemberChainOf(node.object, members)) {
+          edits.push({ start: node.property.start, end: node.property.end, text: "value" });
+        }
+        if (node.type !== "Identifier" || !members.has(node.name) || !isReferenceIdentifier(node, parent, key)) return;
+        const access = `shopify.${members.get(node.name)}`;
+        const shorthand = parent.type === "ObjectProperty" && parent.shorthand;
+        edits.push({ start: node.start, end: node.end, text: shorthand ? `${node.name}: ${access}` : access });
+      });
+    }
+  }
+
+  return replacedCalls;
+}
+
+// Rewrite `export default reactExtension('target', () => <App />)` into
+// `export default async () => { render(<App />, document.body); }`. Only the
+// wrapper is replaced, so edits inside the rendered JSX are kept.
+function transformReactExtension(stmt, call, edits, warnings) {
+  const callback = call.arguments[1];
+  if (!callback || (callback.type !== "ArrowFunctionExpression" && callback.type !== "FunctionExpression")) {
+    warnings.push("reactExtension() without an inline render callback — convert to render() manually");
+    return false;
+  }
+  if (callback.params.length > 0) {
+    warnings.push("reactExtension() callback parameters are not passed in Preact — use the global shopify object");
+  }
+
+  const prefix = "export default async () => {\n  render(";
+  const suffix = ", document.body);\n};";
+
+  let root = callback.body;
+  if (root.type === "BlockStatement") {
+    const [only] = root.body;
+    if (root.body.length !== 1 || only.type !== "ReturnStatement" || !only.argument) {
+      // Keep the callback body intact and invoke it inline
+      edits.push({ start: stmt.start, end: callback.start, text: `${prefix}(` });
+      edits.push({ start: callback.end, end: stmt.end, text: `)()${suffix}` });
+      return true;
+    }
+    root = only.argument;
+  }
+
+  edits.push({ start: stmt.start, end: root.start, text: prefix });
+  edits.push({ start: root.end, end: stmt.end, text: suffix });
+  return true;
+}
+
+// Handler functions that take the new value directly, e.g. const handleChange = (value) => ...
+function isValueHandlerFunction(fn) {
+  return fn.params.length === 1 &&
+    fn.params[0].type === "Identifier" &&
+    ["value", "v", "checked", "isChecked"].includes(fn.params[0].name);
+}
+
+// Transform an event handler to use e.target.value / e.target.checked
+// Handles patterns like: onChange={(value) => setValue(value)} → onChange={(e) => setValue(e.target.value)}
+function transformEventHandler(attr, propName, webComp, edits) {
+  // Components that use e.target.value (text-based inputs)
+  const valueComponents = [
+    's-text-field', 's-phone-field', 's-number-field', 's-select',
+    's-text-area', 's-email-field', 's-date-field', 's-password-field',
+    's-money-field', 's-url-field', 's-search-field'
+  ];
+
+  // Components that use e.target.checked (boolean inputs)
+  const checkedComponents = ['s-checkbox', 's-switch'];
+
+  // Common parameter names that might be used for the value
+  const valueParamNames = ['value', 'v', 'val', 'newValue', 'inputValue', 'text', 'input'];
+  const checkedParamNames = ['checked', 'isChecked', 'value', 'v', 'selected', 'active'];
+
+  let replacement, paramNames;
+  if (valueComponents.includes(webComp) && (propName === "onInput" || propName === "onChange")) {
+    replacement = "e.target.value";
+    paramNames = valueParamNames;
+  } else if (checkedComponents.includes(webComp) && propName === "onChange") {
+    replacement = "e.target.checked";
+    paramNames = checkedParamNames;
+  } else {
+    return false;
+  }
+
+  const handler = attr.value && attr.value.type === "JSXExpressionContainer" ? attr.value.expression : null;
+  if (!handler || (handler.type !== "ArrowFunctionExpression" && handler.type !== "FunctionExpression")) return false;
+  if (handler.params.length !== 1 || handler.params[0].type !== "Identifier") return false;
+
+  const param = handler.params[0].name;
+  if (!paramNames.includes(param) && !/^[a-z]$/.test(param)) return false;
+
+  // Replace uses of the param in the body; bail out if it is already used as an event
+  const references = [];
+  let alreadyEvent = false;
+  walkAst(handler.body, (node, parent, key) => {
+    if (node.type !== "Identifier" || node.name !== param || !isReferenceIdentifier(node, parent, key)) return;
+    if (key === "object" && !parent.computed && ["target", "currentTarget"].includes(parent.property.name)) {
+      alreadyEvent = true;
+    }
+    references.push({ node, shorthand: parent.type === "ObjectProperty" && parent.shorthand });
+  });
+  if (alreadyEvent) return false;
+
+  const p = handler.params[0];
+  edits.push({ start: p.start, end: p.end, text: "e" });
+  references.forEach(({ node, shorthand }) => {
+    edits.push({ start: node.start, end: node.end, text: shorthand ? `${param}: ${replacement}` : replacement });
+  });
+  return true;
+}
+
+// Literal value of a JSX attribute (prop="x", prop={"x"}, prop={3}, bare prop),
+// or undefined when the value is an expression
+function attributeLiteralValue(attr) {
+  const value = attr.value;
+  if (value === null) return "true";
+  if (value.type === "StringLiteral") return value.value;
+  if (value.type !== "JSXExpressionContainer") return undefined;
+  const expr = value.expression;
+  if (expr.type === "StringLiteral" || expr.type === "NumericLiteral" || expr.type === "BooleanLiteral") {
+    return String(expr.value);
+  }
+  if (expr.type === "TemplateLiteral" && expr.expressions.length === 0) return expr.quasis[0].value.cooked;
+  return undefined;
+}
+
+// Apply ATTRIBUTE_MAP / GLOBAL_ATTRIBUTE_MAP rules to the attributes of a JSX
+// opening element. Returns true if an event handler body was rewritten.
+function transformAttributes(opening, componentName, content, edits, rules = DEFAULT_RULES) {
+  const componentMap = rules.attributes[componentName] || {};
+  const webComp = rules.components[componentName];
+  const isGrid = ["Grid", "BlockLayout", "InlineLayout"].includes(componentName);
+  let hasDirection = false;
+  let handlersTransformed = false;
+
+  for (const attr of opening.attributes) {
+    // Spread attributes ({...props}) and namespaced names are left as-is
+    if (attr.type !== "JSXAttribute" || attr.name.type !== "JSXIdentifier") continue;
+    const prop = attr.name.name;
+    if (prop === "direction") hasDirection = true;
+
+    // Transform columns for Grid: columns={2} → gridTemplateColumns="repeat(2, 1fr)"
+    if (isGrid && prop === "columns") {
+      const expr = attr.value && attr.value.type === "JSXExpressionContainer" ? attr.value.expression : null;
+      if (expr && expr.type === "NumericLiteral") {
+        edits.push({ start: attr.start, end: attr.end, text: `gridTemplateColumns="repeat(${expr.value}, 1fr)"` });
+      } else {
+        edits.push({ start: attr.name.start, end: attr.name.end, text: "gridTemplateColumns" });
+      }
+      continue;
+    }
+
+    // Component-specific rules win over global ones
+    const transform = Object.prototype.hasOwnProperty.call(componentMap, prop)
+      ? componentMap[prop]
+      : rules.globalAttributes[prop];
+
+    if (transform === undefined) {
+      if (transformEventHandler(attr, prop, webComp, edits)) handlersTransformed = true;
+      continue;
+    }
+
+    if (transform === null) {
+      // Remove this prop (it's deprecated/removed)
+      edits.push(removeNodeEdit(content, attr));
+      continue;
+    }
+
+    const newProp = typeof transform === "string" ? transform : transform.name;
+    const valueMap = typeof transform === "object" ? transform.valueMap : null;
+
+    if (valueMap) {
+      // Transform prop with value mapping: prop="value", prop={"value"}, bare prop
+      const value = attributeLiteralValue(attr);
+      if (value !== undefined && Object.prototype.hasOwnProperty.call(valueMap, value)) {
+        const newValue = valueMap[value];
+        if (newValue === null) {
+          edits.push(removeNodeEdit(content, attr)); // Remove if mapped to null
+        } else {
+          edits.push({ start: attr.start, end: attr.end, text: `${newProp}="${newValue}"` });
+        }
+        continue;
+      }
+    }
+
+    // Simple prop rename: oldProp → newProp (expression values are kept)
+    if (newProp !== prop) {
+      edits.push({ start: attr.name.start, end: attr.name.end, text: newProp });
+    }
+    if (transformEventHandler(attr, newProp, webComp, edits)) handlersTransformed = true;
+  }
+
+  // Direction for Stack components (BlockStack → direction="block", InlineStack → direction="inline")
+  const direction = componentName === "BlockStack" ? "block" : componentName === "InlineStack" ? "inline" : null;
+  if (direction && !hasDirection) {
+    const last = opening.attributes[opening.attributes.length - 1];
+    const at = last ? last.end : opening.name.end;
+    edits.push({ start: at, end: at, text: ` direction="${direction}"` });
+  }
+
+  return handlersTransformed;
+}
+
+const SOURCE_EXTENSIONS = [".tsx", ".ts", ".jsx", ".js"];
+
+// Extension targets live under the surface they render in
+function surfaceForTarget(target) {
+  return target && target.startsWith("customer-account.") ? "customer-account" : "checkout";
+}
+
+// Resolve a relative import specifier to a file, trying source extensions
+// and index files like a bundler would. Package imports resolve to null.
+function resolveLocalImport(fromFile, specifier) {
+  if (!specifier.startsWith(".")) return null;
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    base,
+    ...SOURCE_EXTENSIONS.map(ext => base + ext),
+    ...SOURCE_EXTENSIONS.map(ext => path.join(base, `index${ext}`)),
+  ];
+  return candidates.find(c => fs.existsSync(c) && fs.statSync(c).isFile()) || null;
+}
+
+// A target's module plus every source file inside the extension it imports,
+// directly or transitively. Files that fail to parse are kept but not followed.
+function collectModuleFiles(entry, extPath) {
+  const files = [];
+  const seen = new Set();
+  const queue = [entry];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (seen.has(file)) continue;
+    seen.add(file);
+    if (!file.startsWith(extPath + path.sep) || !/\.[cm]?[jt]sx?$/.test(file)) continue;
+    files.push(file);
+
+    let ast;
+    try {
+      ast = parseSource(readFile(file), file);
+    } catch {
+      continue;
+    }
+    for (const node of ast.program.body) {
+      if (!node.source || !/^(Import|ExportNamed|ExportAll)Declaration$/.test(node.type)) continue;
+      const resolved = resolveLocalImport(file, node.source.value);
+      if (resolved) queue.push(resolved);
+    }
+  }
+  return files;
+}
+
+// extraDirs: top-level directories besides src/ that hold target modules
+function generateTsConfig(extraDirs = []) {
+  return JSON.stringify({
+    compilerOptions: {
+      jsx: "react-jsx",
+      jsxImportSource: "preact",
+      target: "ES2020",
+      checkJs: true,
+      allowJs: true,
+      moduleResolution: "node",
+      esModuleInterop: true
+    },
+    include: ["./src", ...extraDirs.map(d => `./${d}`), "./shopify.d.ts"]
+  }, null, 2);
+}
+
+// =============================================================================
+// Extension Discovery
+// =============================================================================
+
+// Read a single extension directory, or return null if it has no shopify.extension.toml
+function loadExtension(extDir) {
+  const toml = path.join(extDir, "shopify.extension.toml");
+  if (!fs.existsSync(toml)) return null;
+
+  const content = readFile(toml);
+  const ext = { path: extDir, name: path.basename(extDir), tomlContent: content };
+
+  let declared;
+  try {
+    declared = readExtensionToml(content);
+  } catch (err) {
+    return { ...ext, type: null, apiVersion: null, target: null, targets: [], modules: [], tomlError: err.message };
+  }
+
+  // The first [[extensions]] entry describes the extension directory
+  const primary = declared.extensions[0] || { targets: [], modules: [] };
+  return {
+    ...ext,
+    type: primary.type || null,
+    handle: primary.handle || null,
+    apiVersion: declared.apiVersion || primary.apiVersion || null,
+    target: primary.targets[0] ? primary.targets[0].target : null,
+    targets: primary.targets,
+    modules: primary.modules,
+    settings: primary.settings || null,
+    capabilities: primary.capabilities || null,
+  };
+}
+
+function discoverExtensions(baseDir) {
+  const results = [];
+  if (!fs.existsSync(baseDir)) return results;
+
+  const entries = fs.readdirSync(baseDir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const ext = loadExtension(path.join(baseDir, entry.name));
+    if (ext) results.push(ext);
+  }
+  return results;
+}
+
+// Resolve CLI/API paths (extension dirs or dirs of extensions) relative to a base directory.
+// With no paths, scans <baseDir>/extensions. Returns { extensions, missing }.
+function resolveExtensions(baseDir, paths = []) {
+  if (paths.length === 0) {
+    return { extensions: discoverExtensions(path.resolve(baseDir, "extensions")), missing: [] };
+  }
+
+  const extensions = [];
+  const missing = [];
+  for (const p of paths) {
+    const resolved = path.resolve(baseDir, p);
+    const ext = loadExtension(resolved);
+    if (ext) {
+      extensions.push(ext);
+    } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      extensions.push(...discoverExtensions(resolved));
+    } else {
+      missing.push(resolved);
+    }
+  }
+  return { extensions, missing };
+}
+
+// =============================================================================
+// Migration Planning
+// =============================================================================
+//
+// Planners are pure: they read the extension from disk and return a plan
+// without prompting, printing or writing anything. Each planned change is a
+// fileChange() — { file, desc, from, to, before, after, apply } — where
+// apply() performs the write.
+
+// A planned change to one file. `from` and `to` are paths relative to the
+// extension root and differ for renames; `before` and `after` are the file
+// contents, null when the file is created or deleted.
+function fileChange(extPath, from, to, before, after, desc) {
+  const fromPath = from && path.join(extPath, from);
+  const toPath = to && path.join(extPath, to);
+  return {
+    file: !from ? to : !to || from === to ? from : `${from} → ${to}`,
+    desc,
+    root: extPath,
+    from,
+    to,
+    before,
+    after,
+    apply: () => {
+      if (toPath) writeFile(toPath, after);
+      if (fromPath && fromPath !== toPath) fs.unlinkSync(fromPath);
+    },
+  };
+}
+
+// Record that a change only holds together with others: a TOML export naming
+// a renamed module, an index re-exporting it. Missing changes (nothing to
+// change) are ignored.
+function requireChanges(change, required) {
+  const files = required.filter(Boolean).map(c => c.file);
+  if (change && files.length > 0) change.requires = [...new Set([...(change.requires || []), ...files])];
+}
+
+function planFunctionMigration(ext, targetApiVersion, force = false) {
+  const toml = "shopify.extension.toml";
+
+  // Every legacy targeting entry is migrated (network access functions have
+  // a fetch and a run target); the run target is reported as the function's
+  const legacyTargets = [...new Set((ext.targets || []).map(t => t.target).filter(t => t && !t.startsWith("cart.")))];
+  const oldTarget = legacyTargets.find(t => t.endsWith(".run")) || legacyTargets[0] || ext.target;
+
+  // Already using new cart.* target format — only the API version may need a bump
+  if (oldTarget && oldTarget.startsWith("cart.")) {
+    if (ext.apiVersion === targetApiVersion && !force) {
+      return { migrate: false, type: "function", reason: "Already at target version" };
+    }
+    const newToml = rewriteApiVersion(ext.tomlContent, targetApiVersion);
+    return {
+      migrate: true,
+      type: "function",
+      versionBumpOnly: true,
+      apiVersion: targetApiVersion,
+      changes: [fileChange(ext.path, toml, toml, ext.tomlContent, newToml, `api_version bumped to ${targetApiVersion}`)],
+      warnings: [],
+    };
+  }
+
+  const newTarget = FUNCTION_TARGET_MAP[oldTarget];
+
+  if (!newTarget) {
+    return { migrate: false, type: "function", oldTarget, reason: "No target mapping available" };
+  }
+
+  const changes = [];
+  const warnings = [];
+
+  const rust = fs.existsSync(path.join(ext.path, "Cargo.toml"));
+
+  // Files of each target, resolved from its targeting entry. Files named
+  // after the legacy target (src/run.*) move to the new target's name
+  // (src/cart_validations_generate_run.*); custom names are kept.
+  const targets = legacyTargets.filter(t => FUNCTION_TARGET_MAP[t]).map(t => {
+    const newTarget = FUNCTION_TARGET_MAP[t];
+    const oldSnake = legacyEntryName(t);
+    const newSnake = toSnake(newTarget);
+    const entry = resolveFunctionEntry(ext.path, ext.targets.find(e => e.target === t), rust);
+    const moved = (file) => file && file.replace(new RegExp(`^src/${oldSnake}(?=\\.)`), `src/${newSnake}`);
+    warnings.push(...entry.warnings);
+    return {
+      oldTarget: t,
+      newTarget,
+      exportName: entry.exportName,
+      query: entry.query,
+      module: entry.module,
+      test: entry.test,
+      migratedQuery: moved(entry.query),
+      migratedModule: moved(entry.module),
+      migratedTest: moved(entry.test),
+    };
+  });
+  legacyTargets.filter(t => !FUNCTION_TARGET_MAP[t]).forEach(t =>
+    warnings.push(`No migration mapping for target "${t}" — its targeting entry and files are left as they are`)
+  );
+
+  // Move a file of the extension (paths relative to it), rewriting its
+  // content. The migrate callback gets the content and the file's path; desc
+  // may be a function called after it. Files kept in place are skipped when
+  // nothing in them changes, and a file shared by several targets is
+  // migrated for the first. Returns the planned change, if any.
+  const planned = new Set();
+  const renameSource = (from, to, migrate, desc) => {
+    const oldPath = path.join(ext.path, from);
+    if (!fs.existsSync(oldPath)) return null;
+    if (planned.has(from)) {
+      warnings.push(`${from} is used by several targets — migrated for the first only`);
+      return null;
+    }
+    planned.add(from);
+    const before = readFile(oldPath);
+    const after = migrate(before, from);
+    if (from === to && after === before) return null;
+    const change = fileChange(ext.path, from, to, before, after, typeof desc === "function" ? desc() : desc);
+    changes.push(change);
+    return change;
+  };
+
+  // 1. TOML changes
+  let newToml = targets.reduce((content, t) =>
+    rewriteFunctionToml(content, t.oldTarget, t.newTarget, rust ? toSnake(t.newTarget) : toKebab(t.newTarget), t.migratedQuery),
+  ext.tomlContent);
+  newToml = rewriteApiVersion(newToml, targetApiVersion);
+  const tomlChange = fileChange(ext.path, toml, toml, ext.tomlContent, newToml, `target, input_query, export, api_version updated`);
+  changes.push(tomlChange);
+
+  // 2. package.json
+  const pkgPath = path.join(ext.path, "package.json");
+  if (fs.existsSync(pkgPath)) {
+    const { changed, content } = migrateFunctionPackageJson(pkgPath);
+    if (changed) {
+      changes.push(fileChange(ext.path, "package.json", "package.json", readFile(pkgPath), content, "removed javy dependency"));
+    }
+  }
+
+  // Changes the TOML, index and main.rs point at: they only hold together
+  // when applied with them (see holdBackDependents)
+  const queryChanges = [];
+  const moduleChanges = [];
+
+  for (const t of targets) {
+    const { oldTarget, newTarget } = t;
+
+    // 3. GraphQL file: query name and renamed input fields, then a check
+    // against the function's schema
+    let renamedInputs = [];
+    const queryChange = t.query && renameSource(t.query, t.migratedQuery, (c) => {
+      const query = migrateInputQuery(c, oldTarget, newTarget, t.migratedQuery);
+      renamedInputs = query.renamed;
+      warnings.push(...query.warnings, ...checkInputQuery(ext.path, query.content, t.migratedQuery, oldTarget));
+      return query.content;
+    }, () => (renamedInputs.length > 0 ? "query name, input fields updated" : "query name updated"));
+    queryChanges.push(queryChange);
+    if (!t.module) continue;
+
+    // 4-5. Main and test files, in JavaScript or TypeScript
+    if (!rust) {
+      const moduleChange = renameSource(t.module, t.migratedModule,
+        (c, file) => renameInputFieldReads(migrateFunctionJs(c, oldTarget, newTarget, file, warnings, t), renamedInputs),
+        "function name, types, operations updated");
+      moduleChanges.push(moduleChange);
+      if (t.test) {
+        const module = `./${path.posix.basename(t.migratedModule).replace(/\.[jt]s$/, "")}`;
+        const testChange = renameSource(t.test, t.migratedTest,
+          (c, file) => renameInputFieldReads(migrateFunctionTest(c, oldTarget, newTarget, file, warnings, { ...t, module }), renamedInputs),
+          "import, call, types, expected results updated");
+        requireChanges(testChange, [moduleChange]);
+      }
+    }
+
+    // 6. Rust module, which reads the query
+    if (rust) {
+      const rustModuleChange = renameSource(t.module, t.migratedModule,
+        (c) => renameInputFieldReads(migrateFunctionRust(c, oldTarget, newTarget), renamedInputs, rustFieldName),
+        "function name, query path, types, operations updated");
+      requireChanges(rustModuleChange, [queryChange]);
+      requireChanges(queryChange, [rustModuleChange]);
+      moduleChanges.push(rustModuleChange);
+    }
+  }
+
+  // 7. Index files re-export every target's module
+  let indexChange = null;
+  if (!rust) {
+    const specifier = (file) => file.replace(/^src\//, "").replace(/\.[jt]s$/, "");
+    const entries = targets.filter(t => t.module && t.module.startsWith("src/")).map(t => ({
+      from: specifier(t.module),
+      to: specifier(t.migratedModule),
+      exportName: t.exportName,
+      newExport: toCamel(t.newTarget),
+    }));
+    for (const index of ["src/index.js", "src/index.ts"]) {
+      if (entries.some(e => `src/${e.from}.js` === index || `src/${e.from}.ts` === index)) continue;
+      indexChange = renameSource(index, index,
+        (c) => migrateFunctionIndex(c, entries), entries.length > 1 ? "re-export paths updated" : "re-export path updated") || indexChange;
+    }
+  }
+
+  // 8. Rust: main.rs and the shopify_function crate
+  let mainChange = null;
+  if (rust) {
+    mainChange = renameSource("src/main.rs", "src/main.rs",
+      (c) => targets.reduce((content, t) => migrateRustMain(content, t.oldTarget, t.newTarget), c),
+      targets.length > 1 ? "module declarations and typegen queries updated" : "module declaration and typegen query updated");
+
+    const cargo = readFile(path.join(ext.path, "Cargo.toml"));
+    const bump = migrateCargoToml(cargo);
+    if (bump) {
+      changes.push(fileChange(ext.path, "Cargo.toml", "Cargo.toml", cargo, bump.content,
+        `shopify_function ${bump.from} → ${bump.to}`));
+    }
+  }
+
+  // The TOML names every renamed query and module, the index re-exports the
+  // modules and main.rs declares the Rust ones; a renamed file leaves them
+  // pointing at a file that is gone. The links go both ways.
+  const renamed = [...queryChanges, ...moduleChanges];
+  requireChanges(tomlChange, renamed);
+  renamed.forEach(c => requireChanges(c, [tomlChange]));
+  const entryOwner = rust ? mainChange : indexChange;
+  requireChanges(entryOwner, moduleChanges);
+  moduleChanges.forEach(c => requireChanges(c, [entryOwner]));
+
+  // Special warnings
+  if (oldTarget === "purchase.shipping-discount.run") {
+    warnings.push(rust
+      ? "Rust output not restructured: move discounts[] into operations[].deliveryDiscountsAdd by hand"
+      : "Output restructured from flat discounts[] to operations[].deliveryDiscountsAdd - review carefully");
+  }
+  if (DISCOUNT_OUTPUT_MAP[oldTarget]) {
+    const { operation } = DISCOUNT_OUTPUT_MAP[oldTarget];
+    warnings.push(rust
+      ? `Rust output not restructured: move discounts[] into operations[].${operation} by hand`
+      : `Output restructured from discounts[] to operations[].${operation} - review carefully`);
+    warnings.push(`${newTarget} also runs for other discount classes: return no ${operation} unless input.discount.discountClasses includes ${operation === "productDiscountsAdd" ? "PRODUCT" : "ORDER"}`);
+  }
+  if (oldTarget === "purchase.validation.run") {
+    warnings.push(rust
+      ? "Rust output not restructured: move errors into operations[].validationAdd and rename localized_message to message by hand"
+      : "Output restructured from errors[] to operations[].validationAdd - review carefully");
+  }
+  if (oldTarget === "purchase.cart-transform.run") {
+    warnings.push(rust
+      ? "Rust output: operation names renamed only - check each operation's fields (price adjustments, images, attributes) by hand"
+      : "Cart transform operations restructured field by field - review price adjustments carefully");
+  }
+
+  return {
+    migrate: true,
+    type: "function",
+    oldTarget,
+    newTarget,
+    targets,
+    apiVersion: targetApiVersion,
+    changes,
+    warnings,
+  };
+}
+
+// Plan one discount function from the legacy JavaScript/TypeScript discount
+// functions among extensions (--merge-discounts). Each source is migrated on
+// its own. A target with one source gets that source's migrated files; a
+// target several sources map to (product and order discounts) gets one module
+// per source, their input queries merged, and a target module that runs each
+// for its discount class. The merged extension is created next to the
+// sources, which stay as they are. With fewer than two sources there is
+// nothing to merge: the plan has no sources and they migrate one by one.
+function planDiscountMerge(extensions, handle, targetApiVersion) {
+  const warnings = [];
+  const legacy = extensions.filter(e => e.type === "function" && DISCOUNT_FUNCTION_CLASSES[e.target]);
+  const sources = legacy.filter(e => !fs.existsSync(path.join(e.path, "Cargo.toml")));
+  if (sources.length < legacy.length) {
+    warnings.push(`Rust discount functions are not merged: ${legacy.filter(e => !sources.includes(e)).map(e => e.name).join(", ")}`);
+  }
+  if (sources.length < 2) {
+    return {
+      migrate: false,
+      type: "function",
+      sources: [],
+      reason: `At least two legacy discount functions are needed to merge, found ${sources.length}`,
+      warnings,
+    };
+  }
+
+  const mergedPath = path.join(path.dirname(sources[0].path), handle);
+  if (fs.existsSync(mergedPath)) {
+    return { migrate: false, type: "function", path: mergedPath, sources: sources.map(s => s.name), reason: `${handle} already exists`, warnings };
+  }
+
+  const files = new Map();
+  const addFile = (file, content, label, desc) => {
+    if (!files.has(file)) files.set(file, { content, desc });
+    else if (files.get(file).content !== content) warnings.push(`${label}: ${file} differs from the copy already merged (first kept)`);
+  };
+
+  // Migrate each source and group them by their new target
+  const groups = new Map();
+  for (const ext of sources) {
+    const plan = planFunctionMigration(ext, targetApiVersion, true);
+    const migrated = new Map(plan.changes.filter(c => c.to).map(c => [c.to, c.after]));
+    const consumed = new Set(plan.changes.map(c => c.from).filter(Boolean));
+    for (const file of findFilesRecursive(ext.path, () => true)) {
+      const rel = path.relative(ext.path, file).split(path.sep).join("/");
+      if (!consumed.has(rel)) migrated.set(rel, readFile(file));
+    }
+    if (!groups.has(plan.newTarget)) groups.set(plan.newTarget, []);
+    groups.get(plan.newTarget).push({ ext, plan, migrated });
+  }
+
+  // Names taken by every composed module, and module files taken in src/
+  const takenModules = new Set(["index", ...[...groups.keys()].map(t => toSnake(t))]);
+  const takenNames = new Set(["input", "classes", "DiscountClass", ...[...groups.keys()].flatMap(t => [toCamel(t), `${toPascal(t)}Input`, `${toPascal(t)}Result`])]);
+
+  const targets = [];
+  for (const [target, members] of groups) {
+    const snake = toSnake(target);
+    const composed = members.length > 1;
+    const lang = members[0].migrated.has(`src/${snake}.ts`) ? "ts" : "js";
+    const modules = [];
+    const queries = [];
+
+    for (const { ext, plan, migrated } of members) {
+      // Class checks are added by the composed target module
+      plan.warnings
+        .filter(w => !composed || !w.includes("discountClasses"))
+        .forEach(w => warnings.push(`${ext.name}: ${w}`));
+
+      // The source's own identifiers are taken too, since its function is
+      // renamed throughout its module
+      const own = [...migrated].filter(([file]) => file.startsWith(`src/${snake}.`)).map(([, content]) => content).join("\n");
+      const handle = ext.handle || ext.name;
+      const { exportName, module, renamed } = mergedModuleNames(handle, new Set([...takenNames, ...sourceIdentifiers(own)]), takenModules);
+      if (composed) {
+        takenNames.add(exportName);
+        takenModules.add(module);
+        if (renamed) {
+          warnings.push(`${ext.name}: the handle ${handle} is not a valid function name or is already used, so its function is exported as ${exportName}()`);
+        }
+        modules.push({ source: ext.name, module, exportName, discountClass: DISCOUNT_FUNCTION_CLASSES[ext.target] });
+        if (!migrated.has(`src/${snake}.js`) && !migrated.has(`src/${snake}.ts`)) {
+          warnings.push(`${ext.name}: no src/run.js or src/run.ts — the merged ${target} module expects one`);
+        }
+      }
+
+      for (const [file, content] of migrated) {
+        if (MERGE_SKIPPED_FILES.test(file) || file === "package.json" || /^src\/index\.[jt]s$/.test(file)) continue;
+        if (!composed || !file.startsWith(`src/${snake}.`)) {
+          addFile(file, content, ext.name, `from ${ext.name}`);
+        } else if (file.endsWith(".graphql")) {
+          queries.push({ source: content, label: `${ext.name}/${file}` });
+        } else {
+          // The source's function becomes a module of its own
+          const renamed = content
+            .replace(new RegExp(`\\b${toCamel(target)}\\b`, "g"), exportName)
+            .split(`./${snake}`).join(`./${module}`);
+          addFile(`src/${module}${file.slice(`src/${snake}`.length)}`, renamed, ext.name, `${ext.name}'s function as ${exportName}()`);
+        }
+      }
+    }
+
+    if (composed) {
+      let query;
+      try {
+        query = mergeGraphqlQueries(
+          [...queries, { source: "{ discount { discountClasses } }", label: handle }],
+          `${toPascal(target)}Input`
+        );
+      } catch (err) {
+        return { migrate: false, type: "function", reason: `Could not merge the input queries for ${target}: ${err.message}` };
+      }
+      warnings.push(...query.warnings);
+      addFile(`src/${snake}.graphql`, query.content, handle, `input queries of ${members.map(m => m.ext.name).join(", ")} merged`);
+      addFile(`src/${snake}.${lang}`, composedDiscountModule(target, modules, lang), handle, "runs each merged function for its discount class");
+      if (members.some(m => m.migrated.has(`src/${snake}.${lang === "ts" ? "js" : "ts"}`))) {
+        warnings.push(`${target}: sources mix JavaScript and TypeScript — check the imports in src/${snake}.${lang}`);
+      }
+    }
+    targets.push({ target, sources: members.map(m => m.ext.name), module: `src/${snake}.${lang}` });
+  }
+
+  const all = [...groups.values()].flat();
+  const manifests = all
+    .filter(m => m.migrated.has("package.json"))
+    .map(m => ({ label: m.ext.name, text: m.migrated.get("package.json") }));
+  if (manifests.length > 0) {
+    addFile("package.json", mergedFunctionPackageJson(handle, manifests, warnings), handle, "dependencies of every source");
+  }
+  const indexLang = ["ts", "js"].find(l => all.some(m => m.migrated.has(`src/index.${l}`)));
+  if (indexLang) {
+    const exports = targets.map(t => `export * from "./${toSnake(t.target)}";`).join("\n") + "\n";
+    addFile(`src/index.${indexLang}`, exports, handle, "re-exports every target module");
+  }
+
+  const toml = "shopify.extension.toml";
+  const changes = [
+    fileChange(mergedPath, null, toml, null, mergedDiscountToml(sources, handle, targetApiVersion, targets.map(t => t.target), warnings),
+      `created with targets ${targets.map(t => t.target).join(", ")}`),
+    ...[...files.keys()].sort((a, b) => (a === "package.json" ? -1 : b === "package.json" ? 1 : a.localeCompare(b)))
+      .map(file => fileChange(mergedPath, null, file, null, files.get(file).content, files.get(file).desc)),
+  ];
+
+  warnings.push(`Discounts created from ${sources.map(s => s.name).join(", ")} keep using those functions — recreate them on ${handle} before removing the old extensions`);
+
+  return {
+    migrate: true,
+    type: "function",
+    path: mergedPath,
+    name: handle,
+    sources: sources.map(s => s.name),
+    apiVersion: targetApiVersion,
+    targets,
+    changes,
+    warnings,
+  };
+}
+
+function planUIExtensionMigration(ext, targetApiVersion, force = false, options = {}) {
+  const rules = options.rules || DEFAULT_RULES;
+  const targetPkgVersion = apiVersionToPackageVersion(targetApiVersion);
+
+  // Check if already at target version
+  if (ext.apiVersion === targetApiVersion && !force) {
+    return { migrate: false, type: "ui_extension", reason: "Already at target version" };
+  }
+
+  const changes = [];
+  const warnings = [];
+
+  // 1. TOML changes
+  const toml = "shopify.extension.toml";
+  const newToml = rewriteApiVersion(ext.tomlContent, targetApiVersion);
+  changes.push(fileChange(ext.path, toml, toml, ext.tomlContent, newToml, `api_version bumped to ${targetApiVersion}`));
+
+  // 2. package.json
+  const pkgPath = path.join(ext.path, "package.json");
+  if (fs.existsSync(pkgPath)) {
+    const { changed, content, changes: pkgChanges } = migrateUIPackageJson(pkgPath, targetPkgVersion);
+    if (changed) {
+      const before = readFile(pkgPath);
+      pkgChanges.forEach(c => {
+        changes.push(fileChange(ext.path, "package.json", "package.json", before, content, c));
+      });
+    }
+  }
+
+  // 3. Source files: the module of every targeting block and the local files
+  // it imports, keyed by the targets that reach them
+  const sources = new Map();
+  const targets = [];
+  for (const t of ext.targets || []) {
+    if (!t.module) continue;
+    const entry = path.resolve(ext.path, t.module);
+    const result = { target: t.target, module: t.module, files: [], warnings: [] };
+    targets.push(result);
+
+    if (!fs.existsSync(entry)) {
+      result.status = "missing";
+      warnings.push(`${t.target}: module ${t.module} not found`);
+      continue;
+    }
+    for (const file of collectModuleFiles(entry, ext.path)) {
+      result.files.push(path.relative(ext.path, file));
+      if (!sources.has(file)) sources.set(file, []);
+      sources.get(file).push(t.target);
+    }
+  }
+
+  // Plus any other React file under src/ (e.g. legacy extension_points
+  // extensions, or components loaded dynamically)
+  const srcDir = path.join(ext.path, "src");
+  if (fs.existsSync(srcDir)) {
+    const sourceFiles = findFilesRecursive(srcDir, (filename) =>
+      filename.endsWith('.jsx') ||
+      filename.endsWith('.tsx') ||
+      (filename.endsWith('.js') && !filename.endsWith('.test.js'))
+    );
+
+    for (const filePath of sourceFiles) {
+      if (sources.has(filePath)) continue;
+      const content = readFile(filePath);
+
+      // Check if this file uses React patterns
+      if (content.includes('@shopify/ui-extensions-react') ||
+          content.includes('reactExtension') ||
+          content.includes("from 'react'") ||
+          content.includes('from "react"')) {
+        sources.set(filePath, []);
+      }
+    }
+  }
+
+  const fileWarnings = new Map();
+  for (const [filePath, fileTargets] of sources) {
+    const content = readFile(filePath);
+
+    // The target decides the surface; files no target reaches fall back to
+    // looking for customer-account in the source
+    const surface = fileTargets.length > 0
+      ? surfaceForTarget(fileTargets[0])
+      : content.includes('customer-account') ? "customer-account" : "checkout";
+
+    const { content: migratedContent, warnings: migrateWarnings } = migrateUISourceFile(content, surface, filePath, rules);
+
+    // Get relative path from extension root for display
+    const relativePath = path.relative(ext.path, filePath);
+
+    if (migratedContent !== content) {
+      changes.push(fileChange(ext.path, relativePath, relativePath, content, migratedContent,
+        "React → Preact migration (imports, components, hooks)"));
+    }
+
+    fileWarnings.set(relativePath, migrateWarnings);
+    warnings.push(...migrateWarnings);
+  }
+
+  for (const t of targets) {
+    t.warnings.push(...new Set(t.files.flatMap(f => fileWarnings.get(f) || [])));
+  }
+
+  // 4. Create/update tsconfig.json
+  const tsconfigPath = path.join(ext.path, "tsconfig.json");
+  const moduleDirs = [...new Set([...sources.keys()]
+    .map(f => path.relative(ext.path, f).split(path.sep))
+    .filter(parts => parts.length > 1 && parts[0] !== "src")
+    .map(parts => parts[0]))];
+  const newTsConfig = generateTsConfig(moduleDirs);
+  if (!fs.existsSync(tsconfigPath)) {
+    changes.push(fileChange(ext.path, null, "tsconfig.json", null, newTsConfig, "created for Preact JSX support"));
+  } else {
+    const existingConfig = readFile(tsconfigPath);
+    if (!existingConfig.includes('jsxImportSource')) {
+      changes.push(fileChange(ext.path, "tsconfig.json", "tsconfig.json", existingConfig, newTsConfig, "updated for Preact JSX support"));
+    }
+  }
+
+  // 5. Remove deprecated files
+  const deprecatedFiles = ["shopify.d.ts"];
+  deprecatedFiles.forEach(file => {
+    const fp = path.join(ext.path, file);
+    if (fs.existsSync(fp)) {
+      changes.push(fileChange(ext.path, file, null, readFile(fp), null, "removed (will be regenerated by CLI)"));
+    }
+  });
+
+  return {
+    migrate: true,
+    type: "ui_extension",
+    apiVersion: targetApiVersion,
+    packageVersion: targetPkgVersion,
+    targets: targetResults(targets, changes),
+    changes,
+    warnings,
+  };
+}
+
+function planExtensionMigration(ext, targetApiVersion, force = false, options = {}) {
+  if (ext.tomlError) return { migrate: false, type: null, reason: `Could not read shopify.extension.toml: ${ext.tomlError}` };
+  if (ext.type === "function") return planFunctionMigration(ext, targetApiVersion, force);
+  if (ext.type === "ui_extension") return planUIExtensionMigration(ext, targetApiVersion, force, options);
+  return { migrate: false, type: ext.type, reason: `Unsupported extension type "${ext.type}"` };
+}
+
+// Plan the migration of an app without prompting, printing or writing files.
+// Options: { apiVersion, force, paths, include, exclude, config, configPath,
+// mergeDiscounts } — paths are extension directories relative to appRoot (by
+// default <appRoot>/extensions is scanned); config is a config object used
+// instead of reading shopify-migrate.config.* from appRoot; mergeDiscounts is
+// the handle of a function to merge the legacy discount functions into.
+// Explicit options win over the config file.
+// Returns { targetApiVersion, extensions: [{ name, path, extension, migrate, changes, warnings, ... }],
+//           excluded, missing, configPath, configWarnings } where extension is
+// the extension as loadExtension read it, plus discountMerge (see
+// planDiscountMerge) with mergeDiscounts.
+function planMigration(appRoot, options = {}) {
+  const loaded = options.config
+    ? { config: options.config, path: null, warnings: validateConfig(options.config, "config") }
+    : loadConfig(appRoot, options.configPath);
+  const config = loaded.config;
+
+  const targetApiVersion = options.apiVersion || config.apiVersion || DEFAULT_API_VERSION;
+  const rules = buildRules(config);
+  const { extensions, missing } = resolveExtensions(appRoot, options.paths);
+  const { selected, excluded } = filterExtensions(
+    extensions,
+    appRoot,
+    options.include || config.include,
+    options.exclude || config.exclude
+  );
+
+  return {
+    targetApiVersion,
+    extensions: selected.map(ext => ({
+      name: ext.name,
+      path: ext.path,
+      extension: ext,
+      ...planExtensionMigration(ext, targetApiVersion, options.force, { rules }),
+    })),
+    ...(options.mergeDiscounts
+      ? { discountMerge: planDiscountMerge(selected, options.mergeDiscounts, targetApiVersion) }
+      : {}),
+    excluded: excluded.map(ext => ext.name),
+    missing,
+    configPath: loaded.path,
+    configWarnings: loaded.warnings,
+  };
+}
+
+// Write the changes of a single extension plan
+function applyPlan(plan) {
+  return applyChanges(plan.changes);
+}
+
+// Plan and apply one extension without prompting or printing. Options:
+// { force, dryRun, rules } (rules only apply to UI extensions). Returns the plan with the files written ([] on a dry run
+// or when there is nothing to migrate).
+function migrateFunction(ext, targetApiVersion, options = {}) {
+  const plan = planFunctionMigration(ext, targetApiVersion, options.force);
+  return { ...plan, written: plan.migrate && !options.dryRun ? applyPlan(plan) : [] };
+}
+
+function migrateUIExtension(ext, targetApiVersion, options = {}) {
+  const plan = planUIExtensionMigration(ext, targetApiVersion, options.force, options);
+  return { ...plan, written: plan.migrate && !options.dryRun ? applyPlan(plan) : [] };
+}
+
+function summarizeChanges(changes) {
+  return changes.map(c => ({ file: c.file, desc: c.desc }));
+}
+
+// Per-target results of a UI extension: a target is migrated when any file
+// its module reaches is among the (approved) changes
+function targetResults(targets, changes) {
+  const changed = new Set(changes.map(c => c.to));
+  return targets.map(t => ({
+    ...t,
+    status: t.status === "missing" ? "missing" : t.files.some(f => changed.has(f)) ? "migrated" : "unchanged",
+  }));
+}
+
+// Per-file review decisions (interactive mode) for the migration log
+function reviewFields(approval) {
+  return {
+    ...(approval.decisions ? { decisions: approval.decisions } : {}),
+    ...(approval.quit ? { quit: true } : {}),
+  };
+}
+
+function declinedResult(approval, changes, warnings) {
+  return {
+    migrated: false,
+    reason: approval.quit ? "User quit" : "User declined",
+    changes: summarizeChanges(changes),
+    warnings,
+    ...reviewFields(approval),
+  };
+}
+
+// =============================================================================
+// Function Typegen
+// =============================================================================
+//
+// `typegen` writes a function's generated/api from its schema.graphql and the
+// input query of each target, like `shopify app function typegen` but
+// offline. Every function gets generated/api.ts, as the Shopify CLI writes for
+// JavaScript templates too: migrated JavaScript imports enum values such as
+// DiscountClass from it, which a .d.ts could not provide at runtime. An older
+// generated/api.d.ts is replaced. The output follows graphql-codegen's conventions
+// (Maybe, Scalars, enums, one type per query named after it), so code written
+// against the Shopify CLI's types, such as CartLinesDiscountsGenerateRunInput
+// and CartLinesDiscountsGenerateRunResult, checks the same way.
+
+const GENERATED_API_FILE = "generated/api.ts";
+const GENERATED_API_FILES = [GENERATED_API_FILE, "generated/api.d.ts"];
+
+const GRAPHQL_BUILTIN_SCALARS = { ID: "string", String: "string", Boolean: "boolean", Int: "number", Float: "number" };
+
+// Enum member name as graphql-codegen writes it: PERCENTAGE_OFF → PercentageOff
+function enumMemberName(value) {
+  return value.toLowerCase().split("_").filter(Boolean).map(s => s[0].toUpperCase() + s.slice(1)).join("") || value;
+}
+
+// TypeScript for a type reference. leaf gives the type of the named type and
+// nullable wraps a type that may be null.
+function tsTypeRef(ref, leaf, nullable) {
+  if (!ref.endsWith("!")) return nullable(tsTypeRef(`${ref}!`, leaf, nullable));
+  const inner = ref.slice(0, -1);
+  return inner.startsWith("[") ? `Array<${tsTypeRef(inner.slice(1, -1), leaf, nullable)}>` : leaf(inner);
+}
+
+// Type declarations for every type in the schema
+function schemaTypeDeclarations(schema) {
+  const declarations = [];
+  const scalarRef = (kind) => (name) =>
+    schema.types.has(name) && schema.types.get(name).kind !== "scalar" ? name : `Scalars['${name}']['${kind}']`;
+
+  for (const [name, type] of schema.types) {
+    if (name.startsWith("__")) continue;
+    if (type.kind === "enum") {
+      declarations.push(`export enum ${name} {\n${type.values.map(v => `  ${enumMemberName(v)} = '${v}'`).join(",\n")}\n}`);
+    } else if (type.kind === "union") {
+      declarations.push(`export type ${name} = ${type.members.join(" | ") || "never"};`);
+    } else if (type.kind !== "scalar") {
+      const input = type.kind === "input";
+      const lines = type.kind === "type" ? [`  __typename?: '${name}';`] : [];
+      for (const [field, ref] of type.fields) {
+        const optional = ref.endsWith("!") ? "" : "?";
+        const tsType = tsTypeRef(ref, scalarRef(input ? "input" : "output"), t => `${input ? "InputMaybe" : "Maybe"}<${t}>`);
+        lines.push(`  ${field}${optional}: ${tsType};`);
+      }
+      declarations.push(`export type ${name} = {\n${lines.join("\n")}\n};`);
+    }
+  }
+  return declarations;
+}
+
+// TypeScript for the result of a selection set on typeName. Abstract types
+// give one object per possible type, joined as a union.
+function tsSelectionType(schema, typeName, selections, fragments, indent) {
+  const type = schema.types.get(typeName);
+  const possible = type.kind === "union" ? type.members
+    : type.kind === "interface" ? [...schema.types].filter(([, t]) => t.interfaces.includes(typeName)).map(([n]) => n)
+      : [typeName];
+
+  const objects = possible.map(objectName => {
+    const object = schema.types.get(objectName) || { fields: new Map(), interfaces: [] };
+    const applies = (condition) => !condition || condition === objectName || condition === typeName || object.interfaces.includes(condition);
+
+    // Fields selected on this type, directly or through fragments
+    const fields = new Map();
+    const collect = (list) => {
+      for (const s of list) {
+        if (s.kind === "field") {
+          const key = s.alias || s.name;
+          if (!fields.has(key)) fields.set(key, { ...s, selections: s.selections && [...s.selections] });
+          else if (s.selections) fields.get(key).selections.push(...s.selections);
+        } else if (s.kind === "inline" && applies(s.typeCondition)) {
+          collect(s.selections);
+        } else if (s.kind === "spread" && fragments.has(s.name) && applies(fragments.get(s.name).typeCondition)) {
+          collect(fragments.get(s.name).selections);
+        }
+      }
+    };
+    collect(selections);
+
+    const inner = `${indent}  `;
+    const lines = [`${inner}__typename${fields.has("__typename") ? "" : "?"}: '${objectName}';`];
+    for (const [key, s] of fields) {
+      if (s.name === "__typename") continue;
+      const ref = object.fields.get(s.name) || type.fields.get(s.name);
+      if (!ref) {
+        lines.push(`${inner}${key}: any;`);
+        continue;
+      }
+      const leaf = (name) => {
+        const fieldType = schema.types.get(name);
+        if (fieldType && GRAPHQL_COMPOSITE_KINDS.includes(fieldType.kind)) {
+          return tsSelectionType(schema, name, s.selections || [], fragments, inner);
+        }
+        return GRAPHQL_BUILTIN_SCALARS[name] || (fieldType && fieldType.kind === "enum" ? name : "any");
+      };
+      lines.push(`${inner}${key}${ref.endsWith("!") ? "" : "?"}: ${tsTypeRef(ref, leaf, t => `${t} | null`)};`);
+    }
+    return `{\n${lines.join("\n")}\n${indent}}`;
+  });
+
+  return objects.length > 0 ? objects.join(" | ") : "never";
+}
+
+// Variables type of an operation: Exact<{ ... }>
+function tsVariablesType(schema, variables) {
+  if (variables.length === 0) return "Exact<{ [key: string]: never; }>";
+  const scalarRef = (name) => (schema.types.has(name) && schema.types.get(name).kind !== "scalar" ? name : `Scalars['${name}']['input']`);
+  const lines = variables.map(v => {
+    const [, ref, rest] = v.text.match(/^\$\w+\s*:\s*([[\]!\w\s]+?)\s*((?:=|@).*)?$/) || [null, "String", ""];
+    const compact = ref.replace(/\s+/g, "");
+    const optional = !compact.endsWith("!") || (rest || "").startsWith("=");
+    return `  ${v.name}${optional ? "?" : ""}: ${tsTypeRef(compact, scalarRef, t => `InputMaybe<${t}>`)};`;
+  });
+  return `Exact<{\n${lines.join("\n")}\n}>`;
+}
+
+// generated/api contents for a schema and input queries ([{ file, source }]).
+// Throws on invalid GraphQL.
+function generateFunctionTypes(schema, queries, warnings = []) {
+  const scalars = [...Object.keys(GRAPHQL_BUILTIN_SCALARS), ...[...schema.types]
+    .filter(([name, t]) => t.kind === "scalar" && !GRAPHQL_BUILTIN_SCALARS[name])
+    .map(([name]) => name)];
+  const sections = [
+    [
+      `// Generated by migrate-extensions.js typegen from schema.graphql and ${queries.map(q => q.file).join(", ")}.`,
+      "// Do not edit; run `node migrate-extensions.js typegen` again instead.",
+      "export type Maybe<T> = T | null;",
+      "export type InputMaybe<T> = Maybe<T>;",
+      "export type Exact<T extends { [key: string]: unknown }> = { [K in keyof T]: T[K] };",
+    ].join("\n"),
+    [
+      "/** All built-in and custom scalars, mapped to their actual values */",
+      "export type Scalars = {",
+      ...scalars.map(name => {
+        const ts = GRAPHQL_BUILTIN_SCALARS[name] || "any";
+        return `  ${name}: { input: ${ts}; output: ${ts}; }`;
+      }),
+      "};",
+    ].join("\n"),
+    ...schemaTypeDeclarations(schema),
+  ];
+
+  for (const { file, source } of queries) {
+    const doc = parseGraphql(source);
+    const fragments = new Map(doc.fragments.map(f => [f.name, f]));
+    for (const op of doc.operations) {
+      if (!op.name) {
+        warnings.push(`${file}: the query has no name, so no type was generated for it`);
+        continue;
+      }
+      sections.push(`export type ${op.name}Variables = ${tsVariablesType(schema, op.variables)};`);
+      sections.push(`export type ${op.name} = ${tsSelectionType(schema, schema.queryType, op.selections, fragments, "")};`);
+    }
+  }
+
+  return sections.join("\n\n") + "\n";
+}
+
+// Plan generated/api for one function. Returns { generate, file, changes,
+// warnings }, or { generate: false, reason, error } where error marks a
+// schema or query the types cannot be generated from.
+function planFunctionTypegen(ext) {
+  if (ext.type !== "function") return { generate: false, reason: "Not a function" };
+  if (fs.existsSync(path.join(ext.path, "Cargo.toml"))) {
+    return { generate: false, reason: "Rust functions get their types from the shopify_function crate" };
+  }
+
+  const schemaPath = path.join(ext.path, "schema.graphql");
+  if (!fs.existsSync(schemaPath)) {
+    return { generate: false, error: true, reason: "No schema.graphql — fetch it once with `shopify app function schema` and commit it" };
+  }
+  let schema;
+  try {
+    schema = parseGraphqlSchema(readFile(schemaPath));
+  } catch (err) {
+    return { generate: false, error: true, reason: `schema.graphql: ${err.message}` };
+  }
+
+  const warnings = [];
+  const queries = [];
+  for (const { target, input_query: inputQuery } of ext.targets) {
+    if (!inputQuery) continue;
+    const file = path.posix.normalize(inputQuery);
+    if (!fs.existsSync(path.join(ext.path, file))) {
+      return { generate: false, error: true, reason: `${file} (input query of ${target}) not found` };
+    }
+
+    const resultType = `${toPascal(target)}Result`;
+    if (target.startsWith("cart.") && !schema.types.has(resultType)) {
+      return { generate: false, error: true, reason: `schema.graphql has no ${resultType}, so it is for an older API version — fetch it again with \`shopify app function schema\`` };
+    }
+
+    const source = readFile(path.join(ext.path, file));
+    let problems;
+    try {
+      problems = validateGraphqlQuery(source, schema);
+    } catch (err) {
+      return { generate: false, error: true, reason: `${file}: ${err.message}` };
+    }
+    if (problems.length > 0) {
+      return {
+        generate: false,
+        error: true,
+        reason: `${file} does not match schema.graphql`,
+        warnings: problems.map(p => `${file}:${p.line}: ${p.message}`),
+      };
+    }
+    queries.push({ file, source });
+  }
+  if (queries.length === 0) return { generate: false, error: true, reason: "No input_query in shopify.extension.toml" };
+
+  const existing = GENERATED_API_FILES.find(f => fs.existsSync(path.join(ext.path, f)));
+  const file = GENERATED_API_FILE;
+  const before = existing ? readFile(path.join(ext.path, existing)) : null;
+  const after = generateFunctionTypes(schema, queries, warnings);
+  if (existing === file && after === before) return { generate: false, reason: `${file} is up to date`, warnings };
+
+  return {
+    generate: true,
+    file,
+    changes: [fileChange(ext.path, existing || null, file, before, after, `types for ${queries.map(q => q.file).join(", ")}`)],
+    warnings,
+  };
+}
+
+// `typegen [path…] [--dry-run]`: write generated/api for each function
+function runTypegen(args) {
+  const dryRun = args.includes("--dry-run");
+  const paths = args.filter(a => !a.startsWith("--"));
+
+  log(`\n${colors.bright}═══ Typegen${dryRun ? " (dry run)" : ""} ═══${colors.reset}\n`);
+
+  const { extensions, missing } = resolveExtensions(process.cwd(), paths);
+  missing.forEach(p => warn(`Path not found: ${p}`));
+  const functions = extensions.filter(e => e.type === "function");
+  if (functions.length === 0) {
+    log("  No functions found.\n");
+    return;
+  }
+
+  let failed = 0;
+  for (const ext of functions) {
+    const plan = planFunctionTypegen(ext);
+    if (plan.generate && !dryRun) {
+      applyChanges(plan.changes);
+      success(`${ext.name}: wrote ${plan.file}`);
+    } else if (plan.generate) {
+      info(`${ext.name}: would write ${plan.file}`);
+    } else if (plan.error) {
+      failed++;
+      error(`${ext.name}: ${plan.reason}`);
+    } else {
+      info(`${ext.name}: ${plan.reason}`);
+    }
+    (plan.warnings || []).forEach(w => warn(`${ext.name}: ${w}`));
+  }
+  log("");
+  if (failed > 0) process.exit(1);
+}
+
+// =============================================================================
+// Migration Verification
+// =============================================================================
+//
+// --verify checks that a migrated function still does what the legacy one
+// did. Both modules are loaded in Node (TypeScript types stripped, ES modules
+// run as CommonJS) and run on the same fixtures: the literal inputs the
+// legacy tests pass to run(), and the JSON files in tests/fixtures/ or
+// fixtures/. The legacy output is normalized to the new output shape (the
+// operation renames and restructurings the migration applies) and compared
+// with the migrated output.
+
+const VERIFY_FIXTURE_DIRS = ["tests/fixtures", "fixtures"];
+const VERIFY_TIMEOUT_MS = 2000;
+
+// Expressions whose TypeScript part follows (or precedes) a JavaScript one
+const TS_EXPRESSION_WRAPPERS = new Set(["TSAsExpression", "TSSatisfiesExpression", "TSNonNullExpression", "TSTypeAssertion"]);
+// Declarations and class members that are types only
+const TS_TYPE_ONLY = new Set(["TSTypeAliasDeclaration", "TSInterfaceDeclaration", "TSDeclareFunction", "TSDeclareMethod", "TSIndexSignature"]);
+// TypeScript that compiles to code of its own
+const TS_UNSUPPORTED = {
+  TSEnumDeclaration: "enums",
+  TSModuleDeclaration: "namespaces",
+  TSParameterProperty: "constructor parameter properties",
+  TSImportEqualsDeclaration: "import = require()",
+  TSExportAssignment: "export =",
+};
+const TS_MODIFIERS = /\b(public|private|protected|readonly|abstract|override)\s+/g;
+
+// JavaScript for a TypeScript module: annotations, type parameters,
+// type-only imports and exports, type declarations, modifiers and
+// as / satisfies / ! are removed. Throws for TypeScript that compiles to
+// code (enums, namespaces, parameter properties).
+function stripTypeScript(content, filePath) {
+  const ast = parseSource(content, filePath);
+  const edits = [];
+  const remove = (start, end) => edits.push({ start, end, text: "" });
+  // Drop a stretch of TypeScript but keep closing parens of the expression before it
+  const removeKeepingParens = (start, end) => edits.push({ start, end, text: content.slice(start, end).replace(/[^)]/g, "") });
+
+  walkAst(ast.program, (node) => {
+    if (TS_UNSUPPORTED[node.type]) {
+      throw new Error(`${filePath}:${node.loc.start.line}: ${TS_UNSUPPORTED[node.type]} are not supported`);
+    }
+    if (TS_TYPE_ONLY.has(node.type) || node.declare) {
+      remove(node.start, node.end);
+      return false;
+    }
+
+    if (node.type === "ImportDeclaration" || node.type === "ExportNamedDeclaration") {
+      const declaration = node.declaration;
+      if (node.importKind === "type" || node.exportKind === "type" ||
+          (declaration && (TS_TYPE_ONLY.has(declaration.type) || declaration.declare))) {
+        remove(node.start, node.end);
+        return false;
+      }
+      const typeOnly = (node.specifiers || []).filter(s => s.importKind === "type" || s.exportKind === "type");
+      if (typeOnly.length > 0) {
+        // import { type A, b } from "x" → import { b } from "x"
+        const values = node.specifiers.filter(s => !typeOnly.includes(s));
+        const named = values.filter(s => s.type === "ImportSpecifier" || s.type === "ExportSpecifier");
+        const head = values.filter(s => !named.includes(s)).map(s => nodeText(content, s));
+        const list = [...head, `{ ${named.map(s => nodeText(content, s)).join(", ")} }`].join(", ");
+        const keyword = node.type === "ImportDeclaration" ? "import" : "export";
+        const from = node.source ? ` from ${nodeText(content, node.source)}` : "";
+        edits.push({ start: node.start, end: node.end, text: `${keyword} ${list}${from};` });
+        return false;
+      }
+    }
+
+    // Identifiers carry their own annotation, ? and !: `a?: number` → `a`
+    if (node.type === "Identifier") {
+      if (node.end - node.start > node.name.length) edits.push({ start: node.start, end: node.end, text: node.name });
+      return false;
+    }
+
+    if (node.type === "TSTypeAssertion") {
+      remove(node.start, node.expression.start);
+      return true;
+    }
+    if (node.type === "TSNonNullExpression") {
+      removeKeepingParens(node.expression.end, node.end);
+      return true;
+    }
+    if (TS_EXPRESSION_WRAPPERS.has(node.type)) {
+      removeKeepingParens(node.expression.end, node.typeAnnotation.start);
+      remove(node.typeAnnotation.start, node.end);
+      return true;
+    }
+    if (node.type.startsWith("TS")) return false;
+
+    // Classes: abstract, implements, member modifiers and x?: / x!: markers
+    if (/^Class(Declaration|Expression)$/.test(node.type)) {
+      if (node.abstract) remove(node.start, content.indexOf("class", node.start));
+      if (node.implements && node.implements.length > 0) {
+        remove(content.lastIndexOf("implements", node.implements[0].start), node.implements[node.implements.length - 1].end);
+      }
+    }
+    if (/^Class(Private)?(Property|Method)$/.test(node.type) && node.key) {
+      const head = content.slice(node.start, node.key.start);
+      const stripped = head.replace(TS_MODIFIERS, "");
+      if (stripped !== head) edits.push({ start: node.start, end: node.key.start, text: stripped });
+      const next = node.typeAnnotation || node.value || (node.type.includes("Method") ? node.params[0] || node.body : null);
+      if ((node.optional || node.definite) && next) {
+        const gap = content.slice(node.key.end, next.start);
+        edits.push({ start: node.key.end, end: next.start, text: gap.replace(/^(\]?)\s*[?!]/, "$1") });
+      }
+    }
+
+    for (const key of ["typeAnnotation", "returnType", "typeParameters", "typeArguments", "superTypeParameters"]) {
+      const child = node[key];
+      if (child && child.type.startsWith("TS")) remove(child.start, child.end);
+    }
+  });
 
-  // Remove React-related dependencies
-  const depsToRemove = ["react", "@shopify/ui-extensions-react", "react-reconciler"];
-  const devDepsToRemove = ["@types/react"];
+  return applyEdits(content, edits);
+}
 
-  ["dependencies", "devDependencies"].forEach(section => {
-    if (pkg[section]) {
-      depsToRemove.concat(devDepsToRemove).forEach(dep => {
-        if (pkg[section][dep]) {
-          delete pkg[section][dep];
-          changes.push(`removed ${dep} from ${section}`);
+// CommonJS for an ES module. Exports are assigned at the end of the module,
+// after every declaration has run, and the prelude shares the first line so
+// line numbers in errors match the source.
+function toCommonJs(content, filePath) {
+  const ast = parseSource(content, filePath.replace(/\.[cm]?ts$/, ".js"));
+  const edits = [];
+  const exported = [];
+  let count = 0;
+  const requireOf = (source) => {
+    const name = `__import${count++}`;
+    return { name, text: `const ${name} = require(${JSON.stringify(source.value)});` };
+  };
+  const nameOf = (node) => (node.type === "StringLiteral" ? node.value : node.name);
+
+  for (const node of ast.program.body) {
+    if (node.type === "ImportDeclaration") {
+      const imported = requireOf(node.source);
+      const bindings = node.specifiers.map(s => {
+        if (s.type === "ImportDefaultSpecifier") {
+          return `const ${s.local.name} = ${imported.name} && ${imported.name}.__esModule ? ${imported.name}.default : ${imported.name};`;
         }
+        if (s.type === "ImportNamespaceSpecifier") return `const ${s.local.name} = ${imported.name};`;
+        return `const ${s.local.name} = ${imported.name}[${JSON.stringify(nameOf(s.imported))}];`;
+      });
+      edits.push({ start: node.start, end: node.end, text: [imported.text, ...bindings].join(" ") });
+    } else if (node.type === "ExportNamedDeclaration" && node.declaration) {
+      const declaration = node.declaration;
+      edits.push({ start: node.start, end: declaration.start, text: "" });
+      const names = declaration.type === "VariableDeclaration"
+        ? declaration.declarations.flatMap(d => collectPatternNames(d.id))
+        : [declaration.id.name];
+      names.forEach(name => exported.push([name, name]));
+    } else if (node.type === "ExportNamedDeclaration") {
+      // export { a, b as c } [from "x"]
+      const imported = node.source ? requireOf(node.source) : null;
+      edits.push({ start: node.start, end: node.end, text: imported ? imported.text : "" });
+      for (const s of node.specifiers) {
+        const local = s.type === "ExportNamespaceSpecifier" ? imported.name
+          : imported ? `${imported.name}[${JSON.stringify(nameOf(s.local))}]` : s.local.name;
+        exported.push([nameOf(s.exported), local]);
+      }
+    } else if (node.type === "ExportAllDeclaration") {
+      const imported = requireOf(node.source);
+      edits.push({
+        start: node.start,
+        end: node.end,
+        text: node.exported ? imported.text
+          : `${imported.text} for (const key of Object.keys(${imported.name})) if (key !== "default") exports[key] = ${imported.name}[key];`,
       });
+      if (node.exported) exported.push([nameOf(node.exported), imported.name]);
+    } else if (node.type === "ExportDefaultDeclaration") {
+      const declaration = node.declaration;
+      if (/^(Function|Class)Declaration$/.test(declaration.type) && declaration.id) {
+        edits.push({ start: node.start, end: declaration.start, text: "" });
+        exported.push(["default", declaration.id.name]);
+      } else {
+        edits.push({ start: node.start, end: declaration.start, text: "const __default = " });
+        exported.push(["default", "__default"]);
+      }
     }
-  });
+  }
 
-  // Add Preact dependencies
-  if (!pkg.dependencies) pkg.dependencies = {};
+  const prelude = `"use strict"; Object.defineProperty(exports, "__esModule", { value: true }); `;
+  const epilogue = exported.map(([name, local]) => `exports[${JSON.stringify(name)}] = ${local};`).join(" ");
+  return `${prelude}${applyEdits(content, edits)}\n${epilogue}\n`;
+}
 
-  if (!pkg.dependencies.preact) {
-    pkg.dependencies.preact = "^10.10.0";
-    changes.push(`added preact ^10.10.0`);
-  }
+// Stand-in for generated/api, whose enums may not be generated yet for the
+// new target: every export is an enum whose members are their GraphQL values
+// (ProductDiscountSelectionStrategy.First → "FIRST")
+const GENERATED_API_STANDIN = new Proxy({}, {
+  get: (_, name) => (typeof name !== "string" || name === "__esModule" ? undefined : new Proxy({}, {
+    get: (__, member) => (typeof member === "string" ? member.replace(/([a-z0-9])(?=[A-Z])/g, "$1_").toUpperCase() : undefined),
+  })),
+});
 
-  if (!pkg.dependencies["@preact/signals"]) {
-    pkg.dependencies["@preact/signals"] = "^2.3.0";
-    changes.push(`added @preact/signals ^2.3.0`);
+const SILENT_CONSOLE = Object.fromEntries(["log", "info", "warn", "error", "debug"].map(m => [m, () => {}]));
+
+// Module loader for one side of a verification. read(rel) returns a file of
+// the extension (null if absent). Modules share one context and run with a
+// time limit; packages load from the extension's node_modules. The context
+// is not a sandbox: packages are loaded with the real require and can reach
+// the file system, network and processes.
+function createVerifyLoader(extPath, read) {
+  const context = vm.createContext({ console: SILENT_CONSOLE });
+  const requirePackage = createRequire(path.join(extPath, "package.json"));
+  const modules = new Map();
+
+  const resolve = (from, specifier) => {
+    const base = path.posix.join(path.posix.dirname(from), specifier);
+    const stem = base.replace(/\.[cm]?js$/, "");
+    return [base, `${stem}.js`, `${stem}.ts`, `${base}/index.js`, `${base}/index.ts`].find(f => read(f) !== null) || null;
+  };
+
+  const load = (file) => {
+    if (modules.has(file)) return modules.get(file).exports;
+    const source = read(file);
+    if (source === null) throw new Error(`${file} not found`);
+    const module = { exports: {} };
+    modules.set(file, module);
+
+    const code = toCommonJs(/\.[cm]?ts$/.test(file) ? stripTypeScript(source, file) : source, file);
+    const requireFrom = (specifier) => {
+      if (/(^|\/)generated\/api(\.[jt]s)?$/.test(specifier)) return GENERATED_API_STANDIN;
+      if (!specifier.startsWith(".")) return requirePackage(specifier);
+      const target = resolve(file, specifier);
+      if (!target) throw new Error(`Cannot find ${specifier} from ${file}`);
+      return load(target);
+    };
+    context.__verifyModule = [module.exports, requireFrom, module];
+    new vm.Script(`(function (exports, require, module) {${code}}).apply(undefined, __verifyModule);`, { filename: path.join(extPath, file) })
+      .runInContext(context, { timeout: VERIFY_TIMEOUT_MS });
+    return module.exports;
+  };
+
+  // Call an exported function; the result is copied out as JSON
+  const run = (file, exportName, input) => {
+    const fn = load(file)[exportName];
+    if (typeof fn !== "function") throw new Error(`${file} does not export ${exportName}()`);
+    context.__verifyCall = [fn, input];
+    const result = new vm.Script("__verifyCall[0](__verifyCall[1]);").runInContext(context, { timeout: VERIFY_TIMEOUT_MS });
+    if (result && typeof result.then === "function") throw new Error(`${exportName}() returned a promise`);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  };
+
+  return { load, run };
+}
+
+// Value of a literal expression; throws for anything computed
+function staticValue(node) {
+  switch (node.type) {
+    case "ObjectExpression":
+      return Object.fromEntries(node.properties.map(prop => {
+        const name = objectPropertyName(prop);
+        if (name === null) throw new Error("computed or spread property");
+        return [name, staticValue(prop.value)];
+      }));
+    case "ArrayExpression":
+      return node.elements.map(el => {
+        if (!el || el.type === "SpreadElement") throw new Error("hole or spread element");
+        return staticValue(el);
+      });
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return node.value;
+    case "NullLiteral":
+      return null;
+    case "TemplateLiteral":
+      if (node.expressions.length === 0) return node.quasis[0].value.cooked;
+      break;
+    case "UnaryExpression":
+      if (node.operator === "-") return -staticValue(node.argument);
+      break;
+    default:
+      if (TS_EXPRESSION_WRAPPERS.has(node.type)) return staticValue(node.expression);
   }
+  throw new Error(`${node.type} is not a literal`);
+}
 
-  // Update @shopify/ui-extensions
-  if (pkg.dependencies["@shopify/ui-extensions"]) {
-    const old = pkg.dependencies["@shopify/ui-extensions"];
-    if (old !== targetPkgVersion) {
-      pkg.dependencies["@shopify/ui-extensions"] = targetPkgVersion;
-      changes.push(`@shopify/ui-extensions ${old} → ${targetPkgVersion}`);
+// Inputs a legacy test passes to run() (or the entry's export): run({ ... }),
+// or run(input) where the closest declaration of input before the call is a
+// literal. Returns { fixtures, skipped } with skipped counting calls with
+// computed inputs.
+function testFixtures(content, filePath, fnName = "run") {
+  const ast = parseSource(content, filePath);
+  const declarations = [];
+  const calls = [];
+  walkAst(ast.program, (node) => {
+    if (node.type === "VariableDeclarator" && node.id.type === "Identifier" && node.init) declarations.push(node);
+    if (node.type === "CallExpression" && node.callee.type === "Identifier" && node.callee.name === fnName && node.arguments.length > 0) {
+      calls.push(node);
+    }
+  });
+
+  const fixtures = [];
+  let skipped = 0;
+  for (const call of calls) {
+    let arg = call.arguments[0];
+    if (arg.type === "Identifier") {
+      const declaration = declarations.filter(d => d.id.name === arg.name && d.start < call.start).pop();
+      if (declaration) arg = declaration.init;
+    }
+    try {
+      fixtures.push({ name: `${filePath}:${call.loc.start.line}`, input: staticValue(arg) });
+    } catch {
+      skipped++;
     }
-  } else {
-    pkg.dependencies["@shopify/ui-extensions"] = targetPkgVersion;
-    changes.push(`added @shopify/ui-extensions ${targetPkgVersion}`);
   }
+  return { fixtures, skipped };
+}
 
-  if (changes.length === 0) return { changed: false, changes };
+// Inputs in fixture directories: Shopify's { payload: { target, input } }
+// format, { input }, or the input itself. Fixtures for other targets are
+// left out, and so are fixtures that name no target unless untargeted is set.
+function directoryFixtures(extPath, target, untargeted = true) {
+  const fixtures = [];
+  let skipped = 0;
+  for (const dir of VERIFY_FIXTURE_DIRS) {
+    for (const file of findFilesRecursive(path.join(extPath, dir), f => f.endsWith(".json")).sort()) {
+      const name = path.relative(extPath, file).split(path.sep).join("/");
+      let data;
+      try {
+        data = JSON.parse(readFile(file));
+      } catch {
+        skipped++;
+        continue;
+      }
+      const payload = data && data.payload ? data.payload : data;
+      if (payload && payload.target ? payload.target !== target : !untargeted) continue;
+      fixtures.push({ name, input: payload && payload.input !== undefined ? payload.input : payload });
+    }
+  }
+  return { fixtures, skipped };
+}
 
-  const trailing = raw.endsWith("\n") ? "\n" : "";
-  return { changed: true, content: JSON.stringify(pkg, null, 2) + trailing, changes };
+// A legacy input with FUNCTION_INPUT_FIELD_RENAMES applied, deepest paths
+// first so their legacy parents are still in place
+function migrateFixtureInput(oldTarget, input) {
+  const renames = Object.entries(FUNCTION_INPUT_FIELD_RENAMES[oldTarget] || {})
+    .sort(([a], [b]) => b.split(".").length - a.split(".").length);
+  const out = structuredClone(input);
+
+  for (const [fieldPath, to] of renames) {
+    const segments = fieldPath.split(".");
+    const rename = (value, depth) => {
+      if (Array.isArray(value)) return value.forEach(v => rename(v, depth));
+      if (!value || typeof value !== "object" || !(segments[depth] in value)) return;
+      if (depth < segments.length - 1) return rename(value[segments[depth]], depth + 1);
+      if (to !== null) value[to] = value[segments[depth]];
+      delete value[segments[depth]];
+    };
+    rename(out, 0);
+  }
+  return out;
 }
 
-function migrateUISourceFile(content, extensionType) {
-  let out = content;
-  const warnings = [];
+// Legacy function output in the new output shape: the operation renames and
+// the output restructurings the migration applies to the source. Variant IDs
+// become the IDs of the input's cart lines holding those variants.
+function normalizeLegacyOutput(oldTarget, output, input) {
+  if (!output || typeof output !== "object") return output;
+  const { discounts, errors, discountApplicationStrategy, ...rest } = output;
 
-  // Determine surface (checkout or customer-account)
-  const surface = extensionType === "customer-account" ? "customer-account" : "checkout";
+  const renames = FUNCTION_OPERATION_RENAMES[oldTarget];
+  if (renames && Array.isArray(output.operations)) {
+    const mapFields = (value, spec) => {
+      if (!value || typeof value !== "object" || !spec) return value;
+      if (spec.each && Array.isArray(value)) return value.map(v => mapFields(v, { fields: spec.each }));
+      if (!spec.fields || Array.isArray(value)) return value;
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => {
+        const rule = spec.fields[key];
+        if (rule === undefined) return [key, v];
+        return typeof rule === "string" ? [rule, v] : [rule.to || key, mapFields(v, rule)];
+      }));
+    };
+    return {
+      ...output,
+      operations: output.operations.map(op => Object.fromEntries(Object.entries(op).map(([key, value]) => [
+        renames[key] || key,
+        oldTarget === "purchase.cart-transform.run" ? mapFields(value, { fields: CART_TRANSFORM_OUTPUT_FIELDS[key] }) : value,
+      ]))),
+    };
+  }
 
-  // Transform imports
-  // Remove React imports
-  out = out.replace(/import\s+React(?:\s*,\s*\{[^}]*\})?\s+from\s+["']react["'];?\n?/g, "");
-  out = out.replace(/import\s+\{[^}]*\}\s+from\s+["']react["'];?\n?/g, "");
-
-  // Transform @shopify/ui-extensions-react imports
-  const uiExtensionsReactImportRegex = /import\s*\{([^}]+)\}\s*from\s*["']@shopify\/ui-extensions-react\/(?:checkout|customer-account)["'];?\n?/g;
-  let reactImportMatch;
-  const importedComponents = [];
-  const importedHooks = [];
-
-  while ((reactImportMatch = uiExtensionsReactImportRegex.exec(content)) !== null) {
-    const imports = reactImportMatch[1].split(',').map(s => s.trim()).filter(Boolean);
-    imports.forEach(imp => {
-      // Check if it's a hook (starts with 'use' or is reactExtension)
-      if (imp.startsWith('use') || imp === 'reactExtension') {
-        importedHooks.push(imp);
-      } else {
-        importedComponents.push(imp);
+  if (oldTarget === "purchase.shipping-discount.run" && Array.isArray(discounts)) {
+    return {
+      ...rest,
+      operations: discounts.map(({ targets, value, message }) => ({
+        deliveryDiscountsAdd: {
+          selectionStrategy: "ALL",
+          candidates: [{ targets, value, ...(message !== undefined ? { message } : {}), associatedDiscountCode: null }],
+        },
+      })),
+    };
+  }
+
+  const discountOutput = DISCOUNT_OUTPUT_MAP[oldTarget];
+  if (discountOutput && Array.isArray(discounts)) {
+    if (discounts.length === 0) return { ...rest, operations: [] };
+
+    const lines = (input && input.cart && Array.isArray(input.cart.lines)) ? input.cart.lines : [];
+    const lineIds = (variantId) => lines.filter(l => l.merchandise && l.merchandise.id === variantId).map(l => l.id);
+    const target = (t) => {
+      if (t.productVariant && lineIds(t.productVariant.id).length > 0) {
+        return { cartLine: { ...t.productVariant, id: lineIds(t.productVariant.id)[0] } };
       }
-    });
+      if (t.orderSubtotal && Array.isArray(t.orderSubtotal.excludedVariantIds)) {
+        const { excludedVariantIds, ...subtotal } = t.orderSubtotal;
+        return { orderSubtotal: { ...subtotal, excludedCartLineIds: excludedVariantIds.flatMap(lineIds) } };
+      }
+      return t;
+    };
+    const strategy = discountApplicationStrategy === undefined ? "FIRST"
+      : discountOutput.strategies[discountApplicationStrategy] || discountApplicationStrategy;
+    return {
+      ...rest,
+      operations: [{
+        [discountOutput.operation]: {
+          candidates: discounts.map(d => ({ ...d, targets: (d.targets || []).map(target) })),
+          selectionStrategy: strategy,
+        },
+      }],
+    };
+  }
+
+  if (oldTarget === "purchase.validation.run" && Array.isArray(errors)) {
+    return {
+      ...rest,
+      operations: [{
+        validationAdd: {
+          errors: errors.map(({ localizedMessage, target, ...error }) => ({
+            ...error,
+            message: localizedMessage,
+            target: target === "cart" ? "$.cart" : target,
+          })),
+        },
+      }],
+    };
   }
 
-  // Remove old imports
-  out = out.replace(/import\s*\{[^}]+\}\s*from\s*["']@shopify\/ui-extensions-react\/(?:checkout|customer-account)["'];?\n?/g, "");
+  return output;
+}
 
-  // Add new Preact imports at the top
-  const newImports = [
-    `import '@shopify/ui-extensions/preact';`,
-    `import { render } from 'preact';`,
-  ];
+// Differences between two JSON values as [{ path, expected, actual }];
+// undefined marks a missing value
+function structuralDiff(expected, actual, at = "$") {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+  const containers = expected && actual && typeof expected === "object" && typeof actual === "object" &&
+    Array.isArray(expected) === Array.isArray(actual);
+  if (!containers) return [{ path: at, expected, actual }];
+
+  const keys = Array.isArray(expected)
+    ? [...Array(Math.max(expected.length, actual.length)).keys()]
+    : [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys.flatMap(key => structuralDiff(expected[key], actual[key], Array.isArray(expected) ? `${at}[${key}]` : `${at}.${key}`));
+}
+
+// Run the legacy and the migrated function of a planned migration on every
+// fixture, for each targeting entry (fetch and run are verified separately).
+// Returns { verified, targets } where verified is whether any target ran and
+// each target is { target, verified: true, fixtures, skipped } with fixtures
+// { name, ok, diff } or { name, ok: false, error }, or
+// { target, verified: false, reason }. Returns { verified: false, reason }
+// when the function cannot be verified at all.
+function verifyFunctionMigration(ext, plan) {
+  if (!plan.migrate || plan.versionBumpOnly) return { verified: false, reason: "No source changes to verify" };
+  if (fs.existsSync(path.join(ext.path, "Cargo.toml"))) return { verified: false, reason: "Rust functions are not verified" };
+
+  const readDisk = (rel) => {
+    const file = path.join(ext.path, rel);
+    return fs.existsSync(file) && fs.statSync(file).isFile() ? readFile(file) : null;
+  };
 
-  // Add preact/hooks if useState/useEffect/etc were used
-  const preactHooks = [];
-  if (content.includes('useState')) preactHooks.push('useState');
-  if (content.includes('useEffect')) preactHooks.push('useEffect');
-  if (content.includes('useRef')) preactHooks.push('useRef');
-  if (content.includes('useCallback')) preactHooks.push('useCallback');
-  if (content.includes('useMemo')) preactHooks.push('useMemo');
+  // The migrated tree: disk with the planned changes on top
+  const planned = new Map();
+  plan.changes.filter(c => c.from).forEach(c => planned.set(c.from, null));
+  plan.changes.filter(c => c.to).forEach(c => planned.set(c.to, c.after));
+  const readMigrated = (rel) => (planned.has(rel) ? planned.get(rel) : readDisk(rel));
+
+  // Fixture files without a target are inputs of the function's main target
+  const targets = plan.targets.map(entry => ({
+    target: entry.oldTarget,
+    ...verifyFunctionTarget(ext, entry, entry.oldTarget === plan.oldTarget, readDisk, readMigrated),
+  }));
+  return { verified: targets.some(t => t.verified), targets };
+}
 
-  if (preactHooks.length > 0) {
-    newImports.push(`import { ${preactHooks.join(', ')} } from 'preact/hooks';`);
+// verifyFunctionMigration for one targeting entry of the plan
+function verifyFunctionTarget(ext, entry, untargetedFixtures, readDisk, readMigrated) {
+  const { oldTarget, newTarget } = entry;
+  if (!entry.module) return { verified: false, reason: `No module found for ${oldTarget}` };
+
+  const legacyFile = entry.module;
+  const migratedFile = entry.migratedModule;
+
+  const testFile = entry.test || legacyFile.replace(/\.([jt]s)$/, ".test.$1");
+  const test = readDisk(testFile);
+  let fromTests = { fixtures: [], skipped: 0 };
+  if (test !== null) {
+    try {
+      fromTests = testFixtures(test, testFile, entry.exportName);
+    } catch (err) {
+      return { verified: false, reason: `Could not read ${testFile}: ${err.message}` };
+    }
+  }
+  const fromFiles = directoryFixtures(ext.path, oldTarget, untargetedFixtures);
+  const fixtures = [...fromTests.fixtures, ...fromFiles.fixtures];
+  const skipped = fromTests.skipped + fromFiles.skipped;
+  if (fixtures.length === 0) {
+    return { verified: false, reason: `No fixtures: no literal ${entry.exportName}() inputs in ${testFile} and no JSON files for ${oldTarget} in ${VERIFY_FIXTURE_DIRS.join("/ or ")}/` };
   }
 
-  // Add Shopify hooks import if needed
-  const shopifyHooks = importedHooks.filter(h =>
-    h.startsWith('use') &&
-    !['useState', 'useEffect', 'useRef', 'useCallback', 'useMemo'].includes(h)
-  );
-  if (shopifyHooks.length > 0) {
-    newImports.push(`import { ${shopifyHooks.join(', ')} } from '@shopify/ui-extensions/${surface}/preact';`);
+  const legacy = createVerifyLoader(ext.path, readDisk);
+  const migrated = createVerifyLoader(ext.path, readMigrated);
+  for (const [loader, file, read] of [[legacy, legacyFile, readDisk], [migrated, migratedFile, readMigrated]]) {
+    try {
+      loader.load(file);
+    } catch (err) {
+      return { verified: false, reason: `Could not load ${file}${read === readMigrated ? " (migrated)" : ""}: ${err.message}` };
+    }
   }
 
-  // Insert new imports at the beginning
-  out = newImports.join('\n') + '\n\n' + out;
+  const exportName = toCamel(newTarget);
+  const attempt = (fn) => {
+    try {
+      return { value: fn() };
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+
+  return {
+    verified: true,
+    skipped,
+    fixtures: fixtures.map(({ name, input }) => {
+      const before = attempt(() => legacy.run(legacyFile, entry.exportName, structuredClone(input)));
+      const after = attempt(() => migrated.run(migratedFile, exportName, migrateFixtureInput(oldTarget, input)));
+      // Both throwing the same error (a test of invalid input) counts as the same behavior
+      if (before.error !== undefined && after.error !== undefined) {
+        if (before.error === after.error) return { name, ok: true, diff: [] };
+        return { name, ok: false, error: `both versions threw, with different errors: legacy "${before.error}", migrated "${after.error}"` };
+      }
+      if (before.error !== undefined) return { name, ok: false, error: `the legacy function threw: ${before.error}` };
+      if (after.error !== undefined) return { name, ok: false, error: `the migrated function threw: ${after.error}` };
+      const diff = structuralDiff(normalizeLegacyOutput(oldTarget, before.value, input), after.value);
+      return { name, ok: diff.length === 0, diff };
+    }),
+  };
+}
 
-  // Transform reactExtension to async function
-  out = out.replace(
-    /export\s+default\s+reactExtension\s*\(\s*["'][^"']+["']\s*,\s*\(\s*\)\s*=>\s*(<[^>]+\s*\/>|<[^>]+>[^<]*<\/[^>]+>)\s*\)\s*;?/g,
-    `export default async () => {\n  render($1, document.body);\n};`
-  );
+// Print a verification result. Returns its summary for the migration log:
+// { verified, passed, failed, skipped, targets } with the counts summed over
+// the targets, or { verified: false, reason }.
+function reportVerification(result) {
+  log("\n  Verification:");
+  if (!result.targets) {
+    warn(`Not verified: ${result.reason}`);
+    return { verified: false, reason: result.reason };
+  }
 
-  // More complex reactExtension patterns
-  out = out.replace(
-    /export\s+default\s+reactExtension\s*\(\s*["'][^"']+["']\s*,\s*\(\s*\)\s*=>\s*\(/g,
-    `export default async () => {\n  render(`
-  );
+  const show = (value) => (value === undefined ? "(missing)" : JSON.stringify(value));
+  const targets = result.targets.map(target => {
+    const label = result.targets.length > 1 ? `${target.target}: ` : "";
+    if (!target.verified) {
+      warn(`${label}Not verified: ${target.reason}`);
+      return { target: target.target, verified: false, reason: target.reason };
+    }
+    for (const fixture of target.fixtures) {
+      if (fixture.ok) {
+        success(`${label}${fixture.name}: same output`);
+      } else if (fixture.error) {
+        error(`${label}${fixture.name}: ${fixture.error}`);
+      } else {
+        error(`${label}${fixture.name}: output differs`);
+        for (const d of fixture.diff) {
+          log(`       ${d.path}`);
+          log(`         ${colors.red}- ${show(d.expected)}${colors.reset}`);
+          log(`         ${colors.green}+ ${show(d.actual)}${colors.reset}`);
+        }
+      }
+    }
+    if (target.skipped > 0) info(`${label}${target.skipped} fixture(s) skipped: computed inputs or unreadable JSON`);
+    return {
+      target: target.target,
+      verified: true,
+      passed: target.fixtures.filter(f => f.ok).length,
+      failed: target.fixtures.filter(f => !f.ok).map(f => f.name),
+      skipped: target.skipped,
+    };
+  });
 
-  // Replace closing ); for reactExtension
-  out = out.replace(/\)\s*\)\s*;?\s*\n\n(function\s+\w+)/g, `, document.body);\n};\n\n$1`);
+  const verified = targets.filter(t => t.verified);
+  return {
+    verified: result.verified,
+    passed: verified.reduce((n, t) => n + t.passed, 0),
+    failed: verified.flatMap(t => t.failed),
+    skipped: verified.reduce((n, t) => n + t.skipped, 0),
+    targets,
+  };
+}
 
-  // Transform React components to web components
-  for (const [reactComp, webComp] of Object.entries(COMPONENT_MAP)) {
-    // Handle self-closing tags: <Component /> → <s-component />
-    const selfClosingRegex = new RegExp(`<${reactComp}\\s*([^/>]*)\\s*/>`, 'g');
-    out = out.replace(selfClosingRegex, (match, attrs) => {
-      const transformedAttrs = transformAttributes(attrs, reactComp);
-      return `<${webComp}${transformedAttrs ? ' ' + transformedAttrs : ''} />`;
-    });
+// =============================================================================
+// Transactional Apply
+// =============================================================================
+//
+// An extension's changes are applied all-or-nothing. New contents are first
+// staged in a temporary directory inside the extension (so the final renames
+// stay on one filesystem), validated, and only then moved into place. If any
+// step of the commit fails, every touched file is put back as it was.
+
+const STAGING_PREFIX = ".shopify-migrate-staging-";
+
+// Apply one extension's changes. Several changes may share one file (e.g.
+// each package.json edit); that file is written once. Returns the files
+// written; throws if nothing could be applied or the extension was restored.
+function applyChanges(changes) {
+  const unique = [];
+  const seen = new Set();
+  for (const change of changes) {
+    if (seen.has(change.file)) continue;
+    seen.add(change.file);
+    unique.push(change);
+  }
+  if (unique.length === 0) return [];
+
+  // A merged discount function is a new extension: its directory is created
+  fs.mkdirSync(unique[0].root, { recursive: true });
+  const stagingDir = fs.mkdtempSync(path.join(unique[0].root, STAGING_PREFIX));
+  try {
+    const staged = stageChanges(unique, stagingDir);
+    validateStaged(staged);
+    commitStaged(staged);
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+  return unique.map(c => c.file);
+}
 
-    // Handle opening tags: <Component> → <s-component>
-    const openTagRegex = new RegExp(`<${reactComp}(\\s+[^>]*)?>`, 'g');
-    out = out.replace(openTagRegex, (match, attrs) => {
-      const transformedAttrs = transformAttributes(attrs || '', reactComp);
-      return `<${webComp}${transformedAttrs ? ' ' + transformedAttrs : ''}>`;
-    });
+function stageChanges(changes, stagingDir) {
+  return changes.map((change, i) => {
+    const staged = change.to ? path.join(stagingDir, `${i}${path.extname(change.to)}`) : null;
+    if (staged) writeFile(staged, change.after);
+    return {
+      change,
+      staged,
+      fromPath: change.from && path.join(change.root, change.from),
+      toPath: change.to && path.join(change.root, change.to),
+    };
+  });
+}
 
-    // Handle closing tags: </Component> → </s-component>
-    const closeTagRegex = new RegExp(`</${reactComp}>`, 'g');
-    out = out.replace(closeTagRegex, `</${webComp}>`);
-  }
-
-  // Transform event handlers that receive value directly to use e.target.value/e.target.checked
-  // This handles cases like: onInput={(e) => setValue(value)} that should be onInput={(e) => setValue(e.target.value)}
-  out = transformEventHandlerBodies(out, warnings);
-
-  // Transform hook usage to shopify.* API
-  // useCartLines() → shopify.lines.value
-  out = out.replace(/const\s+(\w+)\s*=\s*useCartLines\(\s*\)/g, 'const $1 = shopify.lines.value');
-  out = out.replace(/const\s+(\w+)\s*=\s*useSettings\(\s*\)/g, 'const $1 = shopify.settings.value');
-  out = out.replace(/const\s+(\w+)\s*=\s*useTranslate\(\s*\)/g, 'const $1 = shopify.i18n.translate');
-  out = out.replace(/const\s+(\w+)\s*=\s*useInstructions\(\s*\)/g, 'const $1 = shopify.instructions.value');
-  out = out.replace(/const\s+(\w+)\s*=\s*useDeliveryGroups\(\s*\)/g, 'const $1 = shopify.deliveryGroups.value');
-  out = out.replace(/const\s+(\w+)\s*=\s*useApplyAttributeChange\(\s*\)/g, '// Using shopify.applyAttributeChange directly');
-  out = out.replace(/const\s+(\w+)\s*=\s*useExtensionCapability\(\s*["']([^"']+)["']\s*\)/g, '// Extension capability: shopify.extension.capabilities.$2');
-
-  // Transform useBuyerJourneyIntercept to useEffect pattern
-  if (out.includes('useBuyerJourneyIntercept')) {
-    out = out.replace(
-      /useBuyerJourneyIntercept\s*\(\s*(\([^)]*\)\s*=>\s*\{[\s\S]*?\}\s*)\)\s*;?/g,
-      `useEffect(() => {
-    let teardown;
-    shopify.buyerJourney.intercept($1).then(td => { teardown = td; });
-    return () => { if (teardown) teardown(); };
-  });`
-    );
-    warnings.push("useBuyerJourneyIntercept converted to useEffect pattern - review for correctness");
+// Check the staged files before anything in the extension is touched: the
+// sources must still match what was planned, staged content must be complete,
+// and JSON / JS sources must still parse.
+function validateStaged(staged) {
+  for (const { change, staged: stagedPath, fromPath } of staged) {
+    if (fromPath && (!fs.existsSync(fromPath) || readFile(fromPath) !== change.before)) {
+      throw new Error(`${change.from} changed on disk since the migration was planned`);
+    }
+    if (!stagedPath) continue;
+
+    if (readFile(stagedPath) !== change.after) {
+      throw new Error(`Staged copy of ${change.to} is incomplete`);
+    }
+    const problem = contentError(change.to, change.before, change.after);
+    if (problem) throw new Error(`${change.to} would not be valid after migration: ${problem}`);
   }
+}
 
-  // Transform applyAttributeChange calls
-  out = out.replace(/(\w+)\.applyAttributeChange/g, 'shopify.applyAttributeChange');
-  out = out.replace(/await\s+applyAttributeChange/g, 'await shopify.applyAttributeChange');
+// Syntax check for migrated content. Sources are only checked when the
+// original parsed, so files the parser never understood do not block a run.
+function contentError(file, before, after) {
+  if (file.endsWith(".json")) {
+    try { JSON.parse(after); } catch (err) { return err.message; }
+    return null;
+  }
+  if (!/\.(jsx?|tsx?|mjs|cjs)$/.test(file)) return null;
 
-  // Transform useDeliveryGroup usage
-  out = out.replace(/useDeliveryGroup\s*\(\s*(\w+)\?\.\[0\]\s*\)/g, 'useDeliveryGroup(shopify.deliveryGroups.value[0])');
+  const parses = (content) => {
+    try { parseSource(content, file); return null; } catch (err) { return err.message; }
+  };
+  if (before !== null && parses(before)) return null;
+  return parses(after);
+}
 
-  // Add note about manual review needed
-  if (importedHooks.length > 0 || importedComponents.length > 0) {
-    warnings.push("Manual review recommended: verify all API calls use global shopify object");
+// Move staged files into place, then remove renamed/deleted sources. On any
+// error, restore the original content of every touched path and rethrow.
+function commitStaged(staged) {
+  const originals = new Map();
+  for (const { fromPath, toPath } of staged) {
+    for (const p of [fromPath, toPath]) {
+      if (p && !originals.has(p)) originals.set(p, fs.existsSync(p) ? fs.readFileSync(p) : null);
+    }
   }
+  const targets = new Set(staged.map(s => s.toPath).filter(Boolean));
 
-  return { content: out, warnings };
+  try {
+    for (const { staged: stagedPath, toPath } of staged) {
+      if (!toPath) continue;
+      fs.mkdirSync(path.dirname(toPath), { recursive: true });
+      fs.renameSync(stagedPath, toPath);
+    }
+    for (const { fromPath } of staged) {
+      if (fromPath && !targets.has(fromPath)) fs.unlinkSync(fromPath);
+    }
+  } catch (err) {
+    const unrestored = restoreOriginals(originals);
+    if (unrestored.length > 0) {
+      throw new Error(`${err.message} — could not restore ${unrestored.join(", ")}; use the rollback command`);
+    }
+    throw new Error(`${err.message} — extension restored to its previous state`);
+  }
 }
 
-// Transform event handler bodies to use e.target.value / e.target.checked
-// Handles patterns like: onChange={(value) => setValue(value)} → onChange={(e) => setValue(e.target.value)}
-function transformEventHandlerBodies(content, warnings) {
-  let out = content;
-  let hasTransformed = false;
+// Returns the paths that could not be restored
+function restoreOriginals(originals) {
+  const failed = [];
+  for (const [p, content] of originals) {
+    try {
+      if (content === null) {
+        fs.rmSync(p, { force: true });
+      } else {
+        fs.mkdirSync(path.dirname(p), { recursive: true });
+        fs.writeFileSync(p, content);
+      }
+    } catch {
+      failed.push(p);
+    }
+  }
+  return failed;
+}
 
-  // Components that use e.target.value (text-based inputs)
-  const valueComponents = [
-    's-text-field', 's-phone-field', 's-number-field', 's-select',
-    's-text-area', 's-email-field', 's-date-field', 's-password-field',
-    's-money-field', 's-url-field', 's-search-field'
-  ];
+// =============================================================================
+// Diff Preview
+// =============================================================================
 
-  // Components that use e.target.checked (boolean inputs)
-  const checkedComponents = ['s-checkbox', 's-switch'];
+// Colored unified diff of one planned change. Renames get a rename header
+// followed by the content diff; created and deleted files diff against /dev/null.
+function formatChangeDiff(change) {
+  const oldName = change.from ? `a/${change.from}` : "/dev/null";
+  const newName = change.to ? `b/${change.to}` : "/dev/null";
+  const lines = [];
+
+  if (change.from && change.to && change.from !== change.to) {
+    lines.push(`${colors.bright}rename ${change.from} → ${change.to}${colors.reset}`);
+  } else if (!change.from) {
+    lines.push(`${colors.bright}new file ${change.to}${colors.reset}`);
+  } else if (!change.to) {
+    lines.push(`${colors.bright}deleted file ${change.from}${colors.reset}`);
+  } else {
+    lines.push(`${colors.bright}${change.from}${colors.reset}`);
+  }
 
-  // Common parameter names that might be used for the value
-  const valueParamNames = ['value', 'v', 'val', 'newValue', 'inputValue', 'text', 'input'];
-  const checkedParamNames = ['checked', 'isChecked', 'value', 'v', 'selected', 'active'];
+  const patch = structuredPatch(oldName, newName, change.before || "", change.after || "", "", "", { context: 3 });
+  if (patch.hunks.length === 0) {
+    lines.push(`${colors.dim}(content unchanged)${colors.reset}`);
+    return lines.join("\n");
+  }
 
-  // Find and transform handlers on value-based components
-  for (const comp of valueComponents) {
-    // Match the component and its onChange/onInput handler
-    // Pattern: <s-text-field ... onInput={(param) => body} or onChange={(param) => body}
-    const handlerRegex = new RegExp(
-      `(<${comp}[^>]*)(on(?:Input|Change)\\s*=\\s*\\{)(\\s*(?:async\\s*)?\\(\\s*)(\\w+)(\\s*\\)\\s*=>\\s*)([^}]+)(\\})`,
-      'g'
-    );
+  lines.push(`${colors.red}--- ${oldName}${colors.reset}`);
+  lines.push(`${colors.green}+++ ${newName}${colors.reset}`);
+  for (const hunk of patch.hunks) {
+    lines.push(`${colors.cyan}@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${colors.reset}`);
+    for (const line of hunk.lines) {
+      if (line[0] === "+") lines.push(`${colors.green}${line}${colors.reset}`);
+      else if (line[0] === "-") lines.push(`${colors.red}${line}${colors.reset}`);
+      else lines.push(line);
+    }
+  }
+  return lines.join("\n");
+}
 
-    out = out.replace(handlerRegex, (match, before, eventProp, arrowStart, param, arrowEnd, body, closeBrace) => {
-      // Check if this param is one of the known value param names
-      if (valueParamNames.includes(param) || /^[a-z]$/.test(param)) {
-        hasTransformed = true;
-        // Replace param with 'e' and replace uses of param in body with e.target.value
-        const newBody = body.replace(new RegExp(`\\b${param}\\b`, 'g'), 'e.target.value');
-        return `${before}${eventProp}${arrowStart}e${arrowEnd}${newBody}${closeBrace}`;
-      }
-      return match;
-    });
+// Diff of all planned changes. Changes that share a file (each package.json
+// edit) are shown once, listing every description.
+function formatChangesDiff(changes) {
+  const byFile = new Map();
+  for (const change of changes) {
+    if (byFile.has(change.file)) byFile.get(change.file).descs.push(change.desc);
+    else byFile.set(change.file, { change, descs: [change.desc] });
   }
 
-  // Find and transform handlers on checked-based components
-  for (const comp of checkedComponents) {
-    const handlerRegex = new RegExp(
-      `(<${comp}[^>]*)(onChange\\s*=\\s*\\{)(\\s*(?:async\\s*)?\\(\\s*)(\\w+)(\\s*\\)\\s*=>\\s*)([^}]+)(\\})`,
-      'g'
-    );
+  return [...byFile.values()].map(({ change, descs }) =>
+    descs.map(d => `${colors.dim}# ${d}${colors.reset}`).join("\n") + "\n" + formatChangeDiff(change)
+  ).join("\n\n");
+}
 
-    out = out.replace(handlerRegex, (match, before, eventProp, arrowStart, param, arrowEnd, body, closeBrace) => {
-      if (checkedParamNames.includes(param) || /^[a-z]$/.test(param)) {
-        hasTransformed = true;
-        const newBody = body.replace(new RegExp(`\\b${param}\\b`, 'g'), 'e.target.checked');
-        return `${before}${eventProp}${arrowStart}e${arrowEnd}${newBody}${closeBrace}`;
-      }
-      return match;
-    });
+// Page long output through $PAGER (default: less -R) when attached to a terminal
+function pageText(text) {
+  if (process.stdout.isTTY) {
+    const pager = process.env.PAGER || "less -R";
+    const result = spawnSync(pager, { input: text + "\n", stdio: ["pipe", "inherit", "inherit"], shell: true });
+    if (!result.error && result.status !== 127) return;
+  }
+  log(text);
+}
+
+function showDiff(changes, page = false) {
+  const text = formatChangesDiff(changes);
+  if (page) {
+    pageText(text);
+  } else {
+    log("");
+    log(text);
   }
+}
 
-  // Also handle inline arrow functions assigned to variables that are then used as handlers
-  // This is more complex but covers patterns like:
-  // const handleChange = (value) => setValue(value);
-  // ... onChange={handleChange}
-  // We can't fully transform these, but we can add a warning
+// Confirmation prompt that can also open the diff of the planned changes
+async function confirmChanges(message, changes) {
+  while (true) {
+    const answer = await prompt(`${colors.bright}${message} [y/n/d=view diff]: ${colors.reset}`);
+    if (answer === "d" || answer === "diff") {
+      showDiff(changes, true);
+      continue;
+    }
+    return answer === "y" || answer === "yes";
+  }
+}
 
-  // Look for function declarations that match the old pattern
-  const funcPatterns = [
-    /const\s+(\w+)\s*=\s*(?:async\s*)?\(\s*(value|v|checked|isChecked)\s*\)\s*=>/g,
-    /function\s+(\w+)\s*\(\s*(value|v|checked|isChecked)\s*\)/g,
-  ];
+// =============================================================================
+// Interactive Review
+// =============================================================================
 
-  for (const pattern of funcPatterns) {
-    if (pattern.test(out)) {
-      warnings.push("Some event handler functions may need manual updating to use (e) => e.target.value or e.target.checked");
-      break;
+// Open text in $VISUAL / $EDITOR and return the edited text. The temp file
+// keeps the original extension so editors pick the right syntax.
+function editText(text, nameHint) {
+  const editor = process.env.VISUAL || process.env.EDITOR || "vi";
+  const tmp = path.join(os.tmpdir(), `shopify-migrate-${process.pid}-${Date.now()}${path.extname(nameHint || "")}`);
+  writeFile(tmp, text);
+  try {
+    const result = spawnSync(`${editor} "${tmp}"`, { stdio: "inherit", shell: true });
+    if (result.error || result.status !== 0) {
+      warn(`Editor exited with ${result.error ? result.error.message : `status ${result.status}`} — edit discarded`);
+      return null;
     }
+    return readFile(tmp);
+  } finally {
+    fs.rmSync(tmp, { force: true });
   }
+}
 
-  if (hasTransformed) {
-    warnings.push("Event handlers transformed to use e.target.value/e.target.checked - verify correctness");
+// Same planned change with different resulting content
+function withAfter(change, after) {
+  const edited = fileChange(change.root, change.from, change.to, change.before, after, change.desc);
+  if (change.requires) edited.requires = change.requires;
+  return edited;
+}
+
+// Hold back accepted changes that require a skipped one (see requireChanges),
+// repeatedly, since a held-back change may itself be required. Their
+// decisions become skipped with the reason. Returns the changes to apply.
+function holdBackDependents(accepted, decisions) {
+  const skipped = new Set(decisions.filter(d => d.decision === "skipped").map(d => d.file));
+  let held;
+  do {
+    held = accepted.filter(c => !skipped.has(c.file) && (c.requires || []).some(f => skipped.has(f)));
+    for (const change of held) {
+      const missing = change.requires.filter(f => skipped.has(f));
+      warn(`${change.file} not applied: it only works together with ${missing.join(", ")}, which ${missing.length > 1 ? "were" : "was"} skipped`);
+      skipped.add(change.file);
+      const decision = decisions.find(d => d.file === change.file);
+      decision.decision = "skipped";
+      decision.reason = `requires ${missing.join(", ")}`;
+    }
+  } while (held.length > 0);
+  return accepted.filter(c => !skipped.has(c.file));
+}
+
+function hunkHeader(hunk) {
+  return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+function formatHunk(hunk) {
+  return [`${colors.cyan}${hunkHeader(hunk)}${colors.reset}`, ...hunk.lines.map(line =>
+    line[0] === "+" ? `${colors.green}${line}${colors.reset}`
+      : line[0] === "-" ? `${colors.red}${line}${colors.reset}`
+        : line
+  )].join("\n");
+}
+
+// Let the user rewrite the new side of a hunk. The edited hunk replaces every
+// old line of the original hunk with the edited lines.
+function editHunk(hunk, nameHint) {
+  const oldLines = hunk.lines.filter(l => l[0] === " " || l[0] === "-").map(l => l.slice(1));
+  const newLines = hunk.lines.filter(l => l[0] === " " || l[0] === "+").map(l => l.slice(1));
+  const edited = editText(newLines.join("\n") + "\n", nameHint);
+  if (edited === null) return null;
+
+  const lines = edited.replace(/\n$/, "").split("\n");
+  return {
+    ...hunk,
+    newLines: lines.length,
+    lines: [...oldLines.map(l => `-${l}`), ...lines.map(l => `+${l}`)],
+  };
+}
+
+// Ask for one of the given single-letter choices until a valid one is given
+async function choose(question, choices) {
+  while (true) {
+    const answer = await prompt(`${colors.bright}${question} [${choices.join("/")}]: ${colors.reset}`);
+    const choice = answer[0];
+    if (choices.includes(choice)) return choice;
+    log(`  a = accept, s = skip, e = edit${choices.includes("h") ? ", h = review hunk by hunk" : ""}, q = quit`);
   }
+}
 
-  return out;
+// Walk the hunks of one file. Returns { after, hunks, quit } where after is
+// the content with the accepted (or edited) hunks applied.
+async function reviewHunks(change) {
+  const patch = structuredPatch("a", "b", change.before, change.after, "", "", { context: 3 });
+  const selected = [];
+  const decisions = [];
+  let quit = false;
+
+  for (let i = 0; i < patch.hunks.length; i++) {
+    const hunk = patch.hunks[i];
+    let decision = "skipped";
+    if (!quit) {
+      log("");
+      log(formatHunk(hunk));
+      const choice = await choose(`  Hunk ${i + 1}/${patch.hunks.length} of ${change.file}`, ["a", "s", "e", "q"]);
+      if (choice === "a") {
+        selected.push(hunk);
+        decision = "accepted";
+      } else if (choice === "e") {
+        const edited = editHunk(hunk, change.to);
+        if (edited) {
+          selected.push(edited);
+          decision = "edited";
+        }
+      } else if (choice === "q") {
+        quit = true;
+      }
+    }
+    decisions.push({ hunk: hunkHeader(hunk), decision });
+  }
+
+  const after = selected.length > 0 ? applyPatch(change.before, { hunks: selected }) : change.before;
+  if (after === false) {
+    warn(`Selected hunks of ${change.file} no longer apply cleanly — file skipped`);
+    return { after: change.before, hunks: decisions.map(d => ({ ...d, decision: "skipped" })), quit };
+  }
+  return { after, hunks: decisions, quit };
 }
 
-function transformAttributes(attrs, componentName) {
-  if (!attrs || !attrs.trim()) return '';
+// Walk planned changes file by file (and optionally hunk by hunk) with
+// accept/skip/edit/quit choices. Returns { changes, decisions, quit } where
+// changes are the accepted, possibly edited, changes to apply.
+async function reviewChanges(changes) {
+  const groups = new Map();
+  for (const change of changes) {
+    if (!groups.has(change.file)) groups.set(change.file, []);
+    groups.get(change.file).push(change);
+  }
 
-  let result = attrs;
-  const componentMap = ATTRIBUTE_MAP[componentName] || {};
+  const accepted = [];
+  const decisions = [];
+  let quit = false;
 
-  // Apply component-specific attribute transformations
-  for (const [oldProp, transform] of Object.entries(componentMap)) {
-    if (transform === null) {
-      // Remove this prop (it's deprecated/removed)
-      result = result.replace(new RegExp(`\\s*${oldProp}\\s*=\\s*(?:"[^"]*"|'[^']*'|\\{[^}]*\\})`, 'g'), '');
+  for (const [file, members] of groups) {
+    const change = members[0];
+    if (quit) {
+      decisions.push({ file, decision: "skipped" });
       continue;
     }
 
-    const newProp = typeof transform === 'string' ? transform : transform.name;
-    const valueMap = typeof transform === 'object' ? transform.valueMap : null;
-    const eventTransform = typeof transform === 'object' ? transform.eventTransform : false;
-
-    if (eventTransform) {
-      // For event transforms, just rename the prop
-      // The actual handler body transformation is done by transformEventHandlerBodies()
-      result = result.replace(new RegExp(`${oldProp}\\s*=`, 'g'), `${newProp}=`);
-    } else if (valueMap) {
-      // Transform prop with value mapping
-      // Handle string values: prop="value"
-      const stringValRegex = new RegExp(`${oldProp}\\s*=\\s*["']([^"']+)["']`, 'g');
-      result = result.replace(stringValRegex, (match, value) => {
-        const newValue = valueMap[value] || value;
-        if (newValue === null) return ''; // Remove if mapped to null
-        return `${newProp}="${newValue}"`;
+    log("");
+    log(members.map(c => `${colors.dim}# ${c.desc}${colors.reset}`).join("\n"));
+    log(formatChangeDiff(change));
+
+    // Hunk-by-hunk review only makes sense when both sides exist
+    const canSplit = change.before !== null && change.after !== null && change.before !== change.after;
+    const choice = await choose(`  Apply changes to ${file}?`, canSplit ? ["a", "s", "h", "e", "q"] : ["a", "s", "e", "q"]);
+
+    if (choice === "a") {
+      accepted.push(...members);
+      decisions.push({ file, decision: "accepted" });
+    } else if (choice === "s") {
+      decisions.push({ file, decision: "skipped" });
+    } else if (choice === "q") {
+      quit = true;
+      decisions.push({ file, decision: "skipped" });
+    } else if (choice === "e") {
+      const edited = change.after === null ? null : editText(change.after, change.to);
+      if (edited === null) {
+        if (change.after === null) warn(`${file} is deleted by the migration and cannot be edited — skipped`);
+        decisions.push({ file, decision: "skipped" });
+      } else {
+        accepted.push(...members.map(c => withAfter(c, edited)));
+        decisions.push({ file, decision: "edited" });
+      }
+    } else {
+      const review = await reviewHunks(change);
+      quit = review.quit;
+      const applied = review.hunks.filter(h => h.decision !== "skipped").length;
+      if (applied > 0) accepted.push(...members.map(c => withAfter(c, review.after)));
+      decisions.push({
+        file,
+        decision: applied === 0 ? "skipped" : applied === review.hunks.length ? "accepted" : "partial",
+        hunks: review.hunks,
       });
+    }
+  }
 
-      // Handle expression values: prop={value} or prop={"value"}
-      const exprValRegex = new RegExp(`${oldProp}\\s*=\\s*\\{["']([^"']+)["']\\}`, 'g');
-      result = result.replace(exprValRegex, (match, value) => {
-        const newValue = valueMap[value] || value;
-        if (newValue === null) return '';
-        return `${newProp}="${newValue}"`;
-      });
+  return { changes: holdBackDependents(accepted, decisions), decisions, quit };
+}
 
-      // Handle variable expressions: prop={variable}
-      const varExprRegex = new RegExp(`${oldProp}\\s*=\\s*\\{([^}]+)\\}`, 'g');
-      result = result.replace(varExprRegex, (match, expr) => {
-        // Keep as expression if it's not a simple string literal
-        if (!expr.startsWith('"') && !expr.startsWith("'")) {
-          return `${newProp}={${expr}}`;
-        }
-        return match; // Already handled above
-      });
+// Get approval for a set of planned changes: nothing to ask with --auto-approve,
+// a file/hunk walk with --interactive, otherwise a single y/n/d prompt.
+// Returns { changes, decisions, quit } with the changes to apply (empty if declined).
+async function approveChanges(changes, message, autoApprove, options = {}) {
+  if (autoApprove) return { changes, decisions: null, quit: false };
+
+  if (options.interactive) return reviewChanges(changes);
+
+  const proceed = await confirmChanges(message, changes);
+  return { changes: proceed ? changes : [], decisions: null, quit: false };
+}
+
+// =============================================================================
+// Snapshots & Rollback
+// =============================================================================
+//
+// Before an extension's changes are written, every file they touch is copied
+// to .shopify-migrate/snapshots/<run>/<extension>/. The snapshot is recorded in
+// migration.json so `shopify-migrate rollback` can restore the pre-migration
+// state even when the working tree was not committed.
+
+const SNAPSHOT_DIR = path.join(".shopify-migrate", "snapshots");
+
+// Snapshot directory for a run started at the given ISO time
+function snapshotRunDir(appRoot, startTime) {
+  return path.join(appRoot, SNAPSHOT_DIR, startTime.replace(/[:.]/g, "-"));
+}
+
+// Copy the files touched by the changes (and any extra extension-relative
+// paths) into the run's snapshot directory. Files that do not exist yet are
+// recorded with existed: false so rollback removes them again.
+function snapshotFiles(ext, changes, runDir, extra = []) {
+  const dir = path.join(runDir, ext.name);
+  const files = [...new Set([...changes.flatMap(c => [c.from, c.to]), ...extra].filter(Boolean))];
+
+  // Created even when every file is new, so rollback finds the snapshot
+  fs.mkdirSync(dir, { recursive: true });
+  const entries = files.map(file => {
+    const source = path.join(ext.path, file);
+    const existed = fs.existsSync(source);
+    if (existed) {
+      const dest = path.join(dir, file);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.copyFileSync(source, dest);
+    }
+    return { file, existed };
+  });
+  return { dir, files: entries };
+}
+
+// Put an extension back the way the snapshot found it: snapshotted files are
+// copied back (recreating renamed and deleted ones) and files created by the
+// migration are removed. Returns the restored paths.
+function restoreSnapshot(extPath, snapshot) {
+  if (!fs.existsSync(snapshot.dir)) {
+    throw new Error(`Snapshot directory not found: ${snapshot.dir}`);
+  }
+
+  return snapshot.files.map(({ file, existed }) => {
+    const target = path.join(extPath, file);
+    if (existed) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(path.join(snapshot.dir, file), target);
     } else {
-      // Simple prop rename: oldProp → newProp
-      result = result.replace(new RegExp(`${oldProp}\\s*=`, 'g'), `${newProp}=`);
+      fs.rmSync(target, { force: true });
+      removeEmptyDirs(path.dirname(target), extPath);
     }
+    return file;
+  });
+}
+
+// Runs recorded in migration.json, oldest first. A log written before runs
+// were kept ({ startTime, extensions, ... }) is read as a single run.
+function readMigrationLog(logPath) {
+  if (!fs.existsSync(logPath)) return { runs: [] };
+  const migrationLog = JSON.parse(readFile(logPath));
+  return Array.isArray(migrationLog.runs) ? migrationLog : { runs: [migrationLog] };
+}
+
+// Add a run to appRoot's migration.json, keeping the runs (and snapshots)
+// recorded before. Extension and snapshot paths are stored relative to
+// appRoot, so the log still works after the app is moved or cloned.
+function appendMigrationRun(appRoot, run) {
+  const logPath = path.join(appRoot, MIGRATION_LOG_FILE);
+  const relative = (p) => path.relative(appRoot, p) || ".";
+  const migrationLog = readMigrationLog(logPath);
+  migrationLog.runs.push({
+    ...run,
+    extensions: run.extensions.map(entry => ({
+      ...entry,
+      path: relative(entry.path),
+      ...(entry.snapshot ? { snapshot: { ...entry.snapshot, dir: relative(entry.snapshot.dir) } } : {}),
+    })),
+  });
+  writeFile(logPath, JSON.stringify(migrationLog, null, 2));
+}
+
+// Remove dir and its parents up to and including root while they are empty,
+// so rolling back a created extension leaves nothing behind
+function removeEmptyDirs(dir, root) {
+  for (let d = dir; d === root || d.startsWith(root + path.sep); d = path.dirname(d)) {
+    if (!fs.existsSync(d) || fs.readdirSync(d).length > 0) return;
+    fs.rmdirSync(d);
+  }
+}
+
+// Restore the extensions recorded in migration.json, optionally only the one
+// with the given name. Every run is walked newest first, so an extension
+// migrated in several runs ends up as the oldest snapshot found it. Restored
+// entries are marked rolledBack so a second rollback is a no-op. Returns
+// [{ name, path, type, files }].
+function rollbackMigration(appRoot, options = {}) {
+  const logPath = path.join(appRoot, MIGRATION_LOG_FILE);
+  if (!fs.existsSync(logPath)) {
+    throw new Error(`No ${MIGRATION_LOG_FILE} found in ${appRoot}`);
+  }
+
+  const migrationLog = readMigrationLog(logPath);
+  const candidates = [...migrationLog.runs].reverse().flatMap(run => (run.extensions || []).filter(e =>
+    !options.extension || e.name === options.extension
+  ));
+  if (options.extension && candidates.length === 0) {
+    throw new Error(`Extension "${options.extension}" is not in ${MIGRATION_LOG_FILE}`);
   }
 
-  // Global transformations (apply to all components)
+  // Paths are relative to appRoot (absolute in logs of older versions)
+  const restored = [];
+  for (const entry of candidates) {
+    if (!entry.snapshot || entry.rolledBack) continue;
+    const extPath = path.resolve(appRoot, entry.path);
+    const files = restoreSnapshot(extPath, { ...entry.snapshot, dir: path.resolve(appRoot, entry.snapshot.dir) });
+    entry.rolledBack = new Date().toISOString();
+    restored.push({ name: entry.name, path: extPath, type: entry.type, files });
+  }
 
-  // Transform onPress to onClick (for any component that might have it)
-  result = result.replace(/onPress\s*=/g, 'onClick=');
+  writeFile(logPath, JSON.stringify(migrationLog, null, 2));
+  return restored;
+}
 
-  // Transform status to tone (common pattern)
-  result = result.replace(/status\s*=\s*["'](\w+)["']/g, 'tone="$1"');
-  result = result.replace(/status\s*=\s*\{["'](\w+)["']\}/g, 'tone="$1"');
+// Snapshot an extension before applying, when the caller provided a run
+// directory (the CLI always does)
+function takeSnapshot(ext, changes, options, extra = []) {
+  return options.snapshotDir ? snapshotFiles(ext, changes, options.snapshotDir, extra) : null;
+}
 
-  // Transform spacing to gap (common pattern)
-  result = result.replace(/spacing\s*=\s*["'](\w+)["']/g, (match, value) => {
-    const newValue = SPACING_MAP[value] || value;
-    return `gap="${newValue}"`;
-  });
-  result = result.replace(/spacing\s*=\s*\{["'](\w+)["']\}/g, (match, value) => {
-    const newValue = SPACING_MAP[value] || value;
-    return `gap="${newValue}"`;
-  });
+// Snapshot and transactionally apply an extension's approved changes. Returns
+// { snapshot } on success, or { failure } with a failed result for the
+// migration log; a failed apply has already restored the extension, so its
+// (possibly partial) snapshot is discarded. In git mode (options.git is the
+// run's git state) the migration branch is created before the first apply,
+// renames go through `git mv`, and a failure also resets the extension to HEAD.
+function applyExtensionChanges(ext, changes, options, warnings, extra = []) {
+  let snapshot = null;
+  try {
+    if (options.git) ensureMigrationBranch(options.git);
+    snapshot = takeSnapshot(ext, changes, options, extra);
+    applyChanges(options.git ? gitMoveRenames(changes) : changes);
+    return { snapshot };
+  } catch (err) {
+    if (options.git) {
+      try {
+        gitRestoreExtension(ext);
+      } catch (gitErr) {
+        err.message += ` (git restore failed: ${gitErr.message})`;
+      }
+    }
+    error(`Migration failed: ${err.message}`);
+    if (options.snapshotDir) fs.rmSync(path.join(options.snapshotDir, ext.name), { recursive: true, force: true });
+    const failure = {
+      migrated: false,
+      failed: true,
+      reason: `Apply failed: ${err.message}`,
+      changes: summarizeChanges(changes),
+      warnings,
+    };
+    return { failure };
+  }
+}
 
-  // Transform padding values
-  result = result.replace(/padding\s*=\s*["'](\w+)["']/g, (match, value) => {
-    const paddingMap = { loose: 'base', tight: 'small', extraTight: 'small-100', extraLoose: 'large' };
-    const newValue = paddingMap[value] || value;
-    return `padding="${newValue}"`;
-  });
+// `shopify-migrate rollback [--extension <name>]`
+function runRollback(args) {
+  const idx = args.indexOf("--extension");
+  const extension = idx !== -1 ? args[idx + 1] : null;
+  if (idx !== -1 && !extension) {
+    error("--extension requires an extension name");
+    process.exit(1);
+  }
 
-  // Transform alignment values
-  result = result.replace(/alignment\s*=\s*["'](\w+)["']/g, (match, value) => {
-    const newValue = ALIGNMENT_MAP[value] || value;
-    return `alignItems="${newValue}"`;
-  });
-  result = result.replace(/blockAlignment\s*=\s*["'](\w+)["']/g, (match, value) => {
-    const newValue = ALIGNMENT_MAP[value] || value;
-    return `alignContent="${newValue}"`;
-  });
-  result = result.replace(/inlineAlignment\s*=\s*["'](\w+)["']/g, (match, value) => {
-    const newValue = ALIGNMENT_MAP[value] || value;
-    return `justifyContent="${newValue}"`;
-  });
+  log(`\n${colors.bright}═══ Rollback${extension ? `: ${extension}` : ""} ═══${colors.reset}\n`);
 
-  // Transform cornerRadius to borderRadius
-  result = result.replace(/cornerRadius\s*=/g, 'borderRadius=');
+  const restored = rollbackMigration(process.cwd(), { extension });
+  if (restored.length === 0) {
+    log("  Nothing to roll back — no un-restored snapshots in migration.json.\n");
+    return;
+  }
 
-  // Transform source to src for images
-  if (componentName === 'Image') {
-    result = result.replace(/source\s*=/g, 'src=');
-    result = result.replace(/accessibilityDescription\s*=/g, 'alt=');
-    result = result.replace(/description\s*=/g, 'alt=');
+  for (const ext of restored) {
+    success(`${ext.name}: restored ${ext.files.length} file(s)`);
+    ext.files.forEach(f => info(f));
+  }
+  if (restored.some(e => e.type === "ui_extension")) {
+    log("\n  Run 'npm install' in restored UI extensions to reinstall React dependencies.");
   }
+  log("");
+}
 
-  // Direction for Stack components (BlockStack → direction="block", InlineStack → direction="inline")
-  if (componentName === 'BlockStack') {
-    if (!result.includes('direction=')) {
-      result = result.trim() + ' direction="block"';
-    }
-  } else if (componentName === 'InlineStack') {
-    if (!result.includes('direction=')) {
-      result = result.trim() + ' direction="inline"';
-    }
+// =============================================================================
+// Git Integration
+// =============================================================================
+//
+// With --git the tool refuses to run on a dirty tree, migrates on a new
+// branch, moves renamed function files with `git mv` so history follows them,
+// and commits each migrated extension separately.
+
+// Files the tool itself writes; they do not make the tree dirty
+const GIT_IGNORED_OUTPUTS = [MIGRATION_LOG_FILE, ".shopify-migrate"];
+
+function git(args, cwd, input = undefined) {
+  const result = spawnSync("git", args, { cwd, input, encoding: "utf8" });
+  if (result.error) throw new Error(`git ${args[0]} failed: ${result.error.message}`);
+  if (result.status !== 0) {
+    throw new Error(`git ${args[0]} failed: ${(result.stderr || result.stdout).trim()}`);
   }
+  return result.stdout.trim();
+}
 
-  // Transform to/external for Link
-  if (componentName === 'Link') {
-    result = result.replace(/to\s*=/g, 'href=');
-    result = result.replace(/external\s*=\s*\{?\s*true\s*\}?/g, 'target="_blank"');
-    result = result.replace(/external\s*=\s*\{?\s*false\s*\}?/g, '');
+// Throw unless appRoot is inside a git work tree with no uncommitted changes
+function ensureCleanGitTree(appRoot) {
+  try {
+    git(["rev-parse", "--is-inside-work-tree"], appRoot);
+  } catch {
+    throw new Error("--git requires the app to be inside a git repository");
   }
 
-  // Transform columns for Grid
-  if (componentName === 'Grid' || componentName === 'BlockLayout' || componentName === 'InlineLayout') {
-    // Handle array columns: columns={['fill', 'auto']} or columns={[1, 2]}
-    result = result.replace(/columns\s*=\s*\{(\[[^\]]+\])\}/g, 'gridTemplateColumns={$1}');
-    // Handle simple number columns
-    result = result.replace(/columns\s*=\s*\{(\d+)\}/g, 'gridTemplateColumns="repeat($1, 1fr)"');
+  const status = git(["status", "--porcelain", "--", ".", ...GIT_IGNORED_OUTPUTS.map(p => `:!${p}`)], appRoot);
+  if (status) {
+    const files = status.split("\n").slice(0, 10).map(l => `    ${l}`).join("\n");
+    throw new Error(`--git requires a clean working tree. Commit or stash these changes first:\n${files}`);
   }
+}
 
-  // Transform appearance/kind to variant
-  result = result.replace(/appearance\s*=/g, 'variant=');
-  result = result.replace(/kind\s*=/g, 'variant=');
+// Create and check out shopify-migrate/<apiVersion>, adding a numeric suffix
+// when the branch already exists. Returns the branch name.
+function createMigrationBranch(appRoot, apiVersion) {
+  const base = `shopify-migrate/${apiVersion}`;
+  const exists = (name) => spawnSync("git", ["rev-parse", "--verify", "--quiet", `refs/heads/${name}`], { cwd: appRoot }).status === 0;
 
-  // Clean up any double spaces
-  result = result.replace(/\s+/g, ' ').trim();
+  let branch = base;
+  for (let n = 2; exists(branch); n++) branch = `${base}-${n}`;
+  git(["checkout", "-q", "-b", branch], appRoot);
+  return branch;
+}
 
-  return result;
+// Git state of one run: { appRoot, apiVersion, branch, previous }. The branch
+// is only created once the first extension is about to be applied, so a run
+// with nothing to migrate leaves the repository as it was.
+function ensureMigrationBranch(run) {
+  if (run.branch) return;
+  // Branch name, or the commit when HEAD is detached
+  run.previous = spawnSync("git", ["symbolic-ref", "-q", "--short", "HEAD"], { cwd: run.appRoot, encoding: "utf8" }).stdout.trim()
+    || git(["rev-parse", "HEAD"], run.appRoot);
+  run.branch = createMigrationBranch(run.appRoot, run.apiVersion);
+  success(`Created branch ${run.branch}`);
 }
 
-function generateTsConfig() {
-  return JSON.stringify({
-    compilerOptions: {
-      jsx: "react-jsx",
-      jsxImportSource: "preact",
-      target: "ES2020",
-      checkJs: true,
-      allowJs: true,
-      moduleResolution: "node",
-      esModuleInterop: true
-    },
-    include: ["./src", "./shopify.d.ts"]
-  }, null, 2);
+// Switch back to where the run started and delete the migration branch if
+// nothing was committed on it. Returns true when the branch was removed.
+function dropEmptyMigrationBranch(run) {
+  if (!run.branch) return false;
+  if (git(["rev-list", "--count", `${run.previous}..${run.branch}`], run.appRoot) !== "0") return false;
+  git(["checkout", "-q", run.previous], run.appRoot);
+  git(["branch", "-q", "-D", run.branch], run.appRoot);
+  return true;
 }
 
-// =============================================================================
-// Extension Discovery
-// =============================================================================
+// The tool's own outputs that git would pick up as untracked files
+function unignoredOutputs(appRoot) {
+  return GIT_IGNORED_OUTPUTS.filter(p =>
+    fs.existsSync(path.join(appRoot, p)) &&
+    spawnSync("git", ["check-ignore", "-q", "--", p], { cwd: appRoot }).status !== 0);
+}
 
-function discoverExtensions(baseDir) {
-  const results = [];
-  if (!fs.existsSync(baseDir)) return results;
+// Move renamed files with `git mv` and return the changes rewritten to edit
+// the moved file in place
+function gitMoveRenames(changes) {
+  const moved = new Map();
+  return changes.map(c => {
+    if (!c.from || !c.to || c.from === c.to) return c;
+    if (!moved.has(c.file)) {
+      git(["mv", "--", c.from, c.to], c.root);
+      moved.set(c.file, true);
+    }
+    return fileChange(c.root, c.to, c.to, c.before, c.after, c.desc);
+  });
+}
 
-  const entries = fs.readdirSync(baseDir, { withFileTypes: true });
-  for (const entry of entries) {
-    if (!entry.isDirectory()) continue;
-    const toml = path.join(baseDir, entry.name, "shopify.extension.toml");
-    if (!fs.existsSync(toml)) continue;
-
-    const content = readFile(toml);
-    const type = extractExtensionType(content);
-    const apiVersion = extractApiVersion(content);
-    const target = extractTarget(content);
-
-    results.push({
-      path: path.join(baseDir, entry.name),
-      name: entry.name,
-      type,
-      apiVersion,
-      target,
-      tomlContent: content,
-    });
+// Undo everything a failed apply left in an extension: staged moves, edits
+// and created files. The tree was clean before the extension was touched.
+function gitRestoreExtension(ext) {
+  git(["reset", "-q", "--", "."], ext.path);
+  git(["checkout", "-q", "HEAD", "--", "."], ext.path);
+  git(["clean", "-fdq", "--", "."], ext.path);
+}
+
+// Commit message listing the rules applied to an extension
+function migrationCommitMessage(ext, result, targetApiVersion) {
+  const lines = [`Migrate ${ext.name} to API ${targetApiVersion}`, ""];
+  if (result.oldTarget && result.targets) {
+    lines.push("Targets:", ...result.targets.map(t => `- ${t.oldTarget} → ${t.newTarget}`), "");
+  } else if (result.oldTarget && result.newTarget) {
+    lines.push(`Target: ${result.oldTarget} → ${result.newTarget}`, "");
   }
-  return results;
+  if (result.mergedFrom) {
+    lines.push(`Merged from: ${result.mergedFrom.join(", ")}`, "");
+  }
+  lines.push("Applied:");
+  result.changes.forEach(c => lines.push(`- ${c.file}: ${c.desc}`));
+  if (result.warnings && result.warnings.length > 0) {
+    lines.push("", "Needs review:");
+    result.warnings.forEach(w => lines.push(`- ${w}`));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Stage the given paths (skipping gitignored ones) and commit them. Returns
+// the short commit hash, or null when there was nothing to commit.
+function commitFiles(cwd, files, message) {
+  const tracked = files.filter(f => spawnSync("git", ["check-ignore", "-q", "--", f], { cwd }).status !== 0);
+  if (tracked.length === 0) return null;
+  git(["add", "-A", "--", ...tracked], cwd);
+  if (spawnSync("git", ["diff", "--cached", "--quiet"], { cwd }).status === 0) return null;
+  git(["commit", "-q", "-F", "-"], cwd, message);
+  return git(["rev-parse", "--short", "HEAD"], cwd);
+}
+
+function commitExtension(ext, message) {
+  return commitFiles(ext.path, ["."], message);
 }
 
 // =============================================================================
 // Migration Orchestration
 // =============================================================================
+//
+// The CLI's side of a migration: print an extension's plan, ask for approval
+// and apply it. Plans come from planMigration.
 
-async function migrateFunction(ext, targetApiVersion, dryRun, autoApprove, force = false) {
-  const oldTarget = ext.target;
-
-  // Check if already using new cart.* target format
-  if (oldTarget && oldTarget.startsWith("cart.")) {
+async function runFunctionMigration(ext, plan, targetApiVersion, dryRun, autoApprove, options = {}) {
+  if (plan.versionBumpOnly || (!plan.migrate && plan.reason === "Already at target version")) {
     log(`\n  ${ext.name}: Already using new cart.* target format`);
-    // Check if just needs API version bump
-    if (ext.apiVersion === targetApiVersion && !force) {
+    if (!plan.migrate) {
       log(`  API version already at ${targetApiVersion} — skipping (use --force to re-migrate)`);
-      return { migrated: false, reason: "Already at target version" };
+      return { migrated: false, reason: plan.reason };
     }
     // Just bump API version
     log(`  Bumping API version from ${ext.apiVersion} to ${targetApiVersion}`);
-    const tomlPath = path.join(ext.path, "shopify.extension.toml");
-    const newToml = rewriteApiVersion(ext.tomlContent, targetApiVersion);
-    const changes = [{
-      file: "shopify.extension.toml",
-      desc: `api_version bumped to ${targetApiVersion}`,
-      apply: () => writeFile(tomlPath, newToml),
-    }];
+    if (options.diff) showDiff(plan.changes, options.pager);
 
-    if (!autoApprove) {
-      const proceed = await confirm("  Apply API version bump?");
-      if (!proceed) {
-        return { migrated: false, reason: "User declined", changes };
-      }
+    const approval = await approveChanges(plan.changes, "  Apply API version bump?", autoApprove, options);
+    if (approval.changes.length === 0) {
+      return declinedResult(approval, plan.changes, []);
     }
 
+    let snapshot = null;
     if (!dryRun) {
-      changes.forEach(c => c.apply());
+      const applied = applyExtensionChanges(ext, approval.changes, options, []);
+      if (applied.failure) return applied.failure;
+      snapshot = applied.snapshot;
       success("Changes applied.");
     } else {
       log("  (dry run — no files written)");
     }
-    return { migrated: true, type: "function", apiVersion: targetApiVersion, changes: changes.map(c => ({ file: c.file, desc: c.desc })), warnings: [] };
+    return {
+      migrated: true,
+      type: "function",
+      apiVersion: targetApiVersion,
+      changes: summarizeChanges(approval.changes),
+      warnings: [],
+      ...reviewFields(approval),
+      ...(snapshot ? { snapshot } : {}),
+    };
   }
 
-  const newTarget = FUNCTION_TARGET_MAP[oldTarget];
-
-  if (!newTarget) {
-    warn(`No migration mapping for target "${oldTarget}" — skipping`);
-    return { migrated: false, reason: "No target mapping available" };
+  if (!plan.migrate) {
+    warn(`No migration mapping for target "${ext.target}" — skipping`);
+    return { migrated: false, reason: plan.reason };
   }
 
-  const changes = [];
-  const warnings = [];
+  const { oldTarget, newTarget, changes, warnings } = plan;
 
   log(`\n${colors.bright}═══ Function: ${ext.name} ═══${colors.reset}`);
-  log(`  Current target: ${oldTarget}`);
-  log(`  New target: ${newTarget}`);
-  log(`  API version: ${ext.apiVersion} → ${targetApiVersion}\n`);
-
-  const oldSnake = "run";
-  const newSnake = toSnake(newTarget);
-
-  // Prepare changes
-  const srcDir = path.join(ext.path, "src");
-  const tomlPath = path.join(ext.path, "shopify.extension.toml");
-
-  // 1. TOML changes
-  let newToml = rewriteFunctionToml(ext.tomlContent, oldTarget, newTarget);
-  newToml = rewriteApiVersion(newToml, targetApiVersion);
-  changes.push({
-    file: "shopify.extension.toml",
-    desc: `target, input_query, export, api_version updated`,
-    apply: () => writeFile(tomlPath, newToml),
-  });
-
-  // 2. package.json
-  const pkgPath = path.join(ext.path, "package.json");
-  if (fs.existsSync(pkgPath)) {
-    const { changed, content } = migrateFunctionPackageJson(pkgPath);
-    if (changed) {
-      changes.push({
-        file: "package.json",
-        desc: "removed javy dependency",
-        apply: () => writeFile(pkgPath, content),
-      });
-    }
-  }
-
-  // 3. GraphQL file
-  const oldGql = path.join(srcDir, `${oldSnake}.graphql`);
-  const newGql = path.join(srcDir, `${newSnake}.graphql`);
-  if (fs.existsSync(oldGql)) {
-    const gqlContent = migrateGraphql(readFile(oldGql), newTarget);
-    changes.push({
-      file: `src/${oldSnake}.graphql → src/${newSnake}.graphql`,
-      desc: "query name updated",
-      apply: () => { writeFile(newGql, gqlContent); if (oldGql !== newGql) fs.unlinkSync(oldGql); },
-    });
-  }
-
-  // 4. Main JS file
-  const oldJs = path.join(srcDir, `${oldSnake}.js`);
-  const newJs = path.join(srcDir, `${newSnake}.js`);
-  if (fs.existsSync(oldJs)) {
-    const jsContent = migrateFunctionJs(readFile(oldJs), oldTarget, newTarget);
-    changes.push({
-      file: `src/${oldSnake}.js → src/${newSnake}.js`,
-      desc: "function name, types, operations updated",
-      apply: () => { writeFile(newJs, jsContent); if (oldJs !== newJs) fs.unlinkSync(oldJs); },
-    });
-  }
-
-  // 5. Test file
-  const oldTest = path.join(srcDir, `${oldSnake}.test.js`);
-  const newTest = path.join(srcDir, `${newSnake}.test.js`);
-  if (fs.existsSync(oldTest)) {
-    const testContent = migrateFunctionTest(readFile(oldTest), oldTarget, newTarget);
-    changes.push({
-      file: `src/${oldSnake}.test.js → src/${newSnake}.test.js`,
-      desc: "import, call, types updated",
-      apply: () => { writeFile(newTest, testContent); if (oldTest !== newTest) fs.unlinkSync(oldTest); },
-    });
-  }
-
-  // 6. Index file
-  const indexPath = path.join(srcDir, "index.js");
-  if (fs.existsSync(indexPath)) {
-    const newIndex = migrateFunctionIndex(readFile(indexPath), newTarget);
-    changes.push({
-      file: "src/index.js",
-      desc: "re-export path updated",
-      apply: () => writeFile(indexPath, newIndex),
-    });
-  }
-
-  // Special warnings
-  if (oldTarget === "purchase.shipping-discount.run") {
-    warnings.push("Output restructured from flat discounts[] to operations[].deliveryDiscountsAdd - review carefully");
+  if (plan.targets.length > 1) {
+    log("  Targets:");
+    plan.targets.forEach(t => log(`    ${t.oldTarget} → ${t.newTarget}`));
+  } else {
+    log(`  Current target: ${oldTarget}`);
+    log(`  New target: ${newTarget}`);
   }
+  log(`  API version: ${ext.apiVersion} → ${targetApiVersion}\n`);
 
   // Show planned changes
   log("  Planned changes:");
   changes.forEach(c => info(`${c.file}: ${c.desc}`));
 
+  if (options.diff) showDiff(changes, options.pager);
+
   if (warnings.length > 0) {
     log("\n  Warnings:");
     warnings.forEach(w => warn(w));
   }
 
+  // --verify: run the legacy and the migrated function on the fixtures
+  const verification = options.verify ? reportVerification(verifyFunctionMigration(ext, plan)) : null;
+  if (verification && verification.failed) {
+    warnings.push(...verification.failed.map(name => `Verification: ${name} behaves differently after the migration`));
+  }
+
   // Ask for confirmation
-  if (!autoApprove) {
-    const proceed = await confirm("\n  Apply these changes?");
-    if (!proceed) {
-      log("  Skipped.");
-      return { migrated: false, reason: "User declined", changes, warnings };
-    }
+  const approval = await approveChanges(changes, "\n  Apply these changes?", autoApprove, options);
+  if (approval.changes.length === 0) {
+    log("  Skipped.");
+    return { ...declinedResult(approval, changes, warnings), ...(verification ? { verification } : {}) };
   }
 
   // Apply changes
+  let snapshot = null;
   if (!dryRun) {
-    changes.forEach(c => c.apply());
+    const applied = applyExtensionChanges(ext, approval.changes, options, warnings);
+    if (applied.failure) return applied.failure;
+    snapshot = applied.snapshot;
     success("Changes applied successfully.");
   } else {
     log("\n  (dry run — no files written)");
@@ -1569,151 +6369,130 @@ async function migrateFunction(ext, targetApiVersion, dryRun, autoApprove, force
     type: "function",
     oldTarget,
     newTarget,
-    changes: changes.map(c => ({ file: c.file, desc: c.desc })),
+    ...(plan.targets.length > 1 ? { targets: plan.targets.map(t => ({ oldTarget: t.oldTarget, newTarget: t.newTarget })) } : {}),
+    changes: summarizeChanges(approval.changes),
     warnings,
+    ...(verification ? { verification } : {}),
+    ...reviewFields(approval),
+    ...(snapshot ? { snapshot } : {}),
   };
 }
 
-async function migrateUIExtension(ext, targetApiVersion, dryRun, autoApprove, force = false) {
-  const targetPkgVersion = apiVersionToPackageVersion(targetApiVersion);
+// Create the merged discount function of a planDiscountMerge plan
+// (--merge-discounts <handle>). The sources are left in place.
+async function runDiscountMerge(plan, handle, targetApiVersion, dryRun, autoApprove, options = {}) {
+  log(`\n${colors.bright}═══ Merged discount function: ${handle} ═══${colors.reset}`);
+  log(`  Sources: ${plan.sources.join(", ")}`);
 
-  // Check if already at target version
-  if (ext.apiVersion === targetApiVersion && !force) {
-    log(`\n  ${ext.name}: Already at API version ${targetApiVersion} — skipping (use --force to re-migrate)`);
-    return { migrated: false, reason: "Already at target version" };
+  if (!plan.migrate) {
+    warn(`Cannot merge discount functions: ${plan.reason}`);
+    return { migrated: false, type: "function", mergedFrom: plan.sources, reason: plan.reason };
   }
 
-  log(`\n${colors.bright}═══ UI Extension: ${ext.name} ═══${colors.reset}`);
-  log(`  Type: ${ext.type}`);
-  log(`  API version: ${ext.apiVersion} → ${targetApiVersion}`);
-  log(`  Package version: → ${targetPkgVersion}\n`);
-
-  const changes = [];
-  const warnings = [];
+  const { changes, warnings, targets } = plan;
+  const ext = { name: handle, path: plan.path };
 
-  const tomlPath = path.join(ext.path, "shopify.extension.toml");
+  log(`  API version: ${targetApiVersion}\n`);
+  log("  Targets:");
+  targets.forEach(t => info(`${t.target}: ${t.module} (from ${t.sources.join(", ")})`));
+  log("\n  Planned changes:");
+  changes.forEach(c => info(`${c.file}: ${c.desc}`));
 
-  // 1. TOML changes
-  const newToml = rewriteApiVersion(ext.tomlContent, targetApiVersion);
-  changes.push({
-    file: "shopify.extension.toml",
-    desc: `api_version bumped to ${targetApiVersion}`,
-    apply: () => writeFile(tomlPath, newToml),
-  });
+  if (options.diff) showDiff(changes, options.pager);
 
-  // 2. package.json
-  const pkgPath = path.join(ext.path, "package.json");
-  if (fs.existsSync(pkgPath)) {
-    const { changed, content, changes: pkgChanges } = migrateUIPackageJson(pkgPath, targetPkgVersion);
-    if (changed) {
-      pkgChanges.forEach(c => {
-        changes.push({
-          file: "package.json",
-          desc: c,
-          apply: () => writeFile(pkgPath, content),
-        });
-      });
-    }
+  if (warnings.length > 0) {
+    log("\n  Warnings:");
+    warnings.forEach(w => warn(w));
   }
 
-  // 3. Source files (JSX/TSX) - recursively scan src/ directory
-  const srcDir = path.join(ext.path, "src");
-  if (fs.existsSync(srcDir)) {
-    const sourceFiles = findFilesRecursive(srcDir, (filename) =>
-      filename.endsWith('.jsx') ||
-      filename.endsWith('.tsx') ||
-      (filename.endsWith('.js') && !filename.endsWith('.test.js'))
-    );
-
-    for (const filePath of sourceFiles) {
-      const content = readFile(filePath);
-
-      // Check if this file uses React patterns
-      if (content.includes('@shopify/ui-extensions-react') ||
-          content.includes('reactExtension') ||
-          content.includes("from 'react'") ||
-          content.includes('from "react"')) {
-
-        const surface = ext.type === "ui_extension" && content.includes('customer-account')
-          ? "customer-account"
-          : "checkout";
-
-        const { content: migratedContent, warnings: fileWarnings } = migrateUISourceFile(content, surface);
+  const approval = await approveChanges(changes, `\n  Create ${handle}?`, autoApprove, options);
+  if (approval.changes.length === 0) {
+    log("  Skipped.");
+    return { ...declinedResult(approval, changes, warnings), mergedFrom: plan.sources };
+  }
 
-        // Get relative path from extension root for display
-        const relativePath = path.relative(ext.path, filePath);
+  let snapshot = null;
+  if (!dryRun) {
+    // The staging directory lives inside the extension, so it must exist
+    fs.mkdirSync(ext.path, { recursive: true });
+    const applied = applyExtensionChanges(ext, approval.changes, options, warnings);
+    if (applied.failure) {
+      fs.rmSync(ext.path, { recursive: true, force: true });
+      return { ...applied.failure, mergedFrom: plan.sources };
+    }
+    snapshot = applied.snapshot;
+    success(`Created ${path.relative(process.cwd(), ext.path)}.`);
+  } else {
+    log("\n  (dry run — no files written)");
+  }
 
-        changes.push({
-          file: relativePath,
-          desc: "React → Preact migration (imports, components, hooks)",
-          apply: () => writeFile(filePath, migratedContent),
-        });
+  return {
+    migrated: true,
+    type: "function",
+    mergedFrom: plan.sources,
+    targets: targets.map(t => ({ target: t.target, module: t.module, sources: t.sources })),
+    changes: summarizeChanges(approval.changes),
+    warnings,
+    ...reviewFields(approval),
+    ...(snapshot ? { snapshot } : {}),
+  };
+}
 
-        warnings.push(...fileWarnings);
-      }
-    }
+// Print the outcome of each targeting block and return the results for the log
+function reportTargets(targets) {
+  if (targets.length === 0) return targets;
+  log("\n  Targets:");
+  for (const t of targets) {
+    if (t.status === "missing") warn(`${t.target}: module ${t.module} not found`);
+    else if (t.status === "migrated") success(`${t.target}: migrated (${t.module})`);
+    else info(`${t.target}: no changes`);
   }
+  return targets;
+}
 
-  // 4. Create/update tsconfig.json
-  const tsconfigPath = path.join(ext.path, "tsconfig.json");
-  const newTsConfig = generateTsConfig();
-  if (!fs.existsSync(tsconfigPath)) {
-    changes.push({
-      file: "tsconfig.json",
-      desc: "created for Preact JSX support",
-      apply: () => writeFile(tsconfigPath, newTsConfig),
-    });
-  } else {
-    const existingConfig = readFile(tsconfigPath);
-    if (!existingConfig.includes('jsxImportSource')) {
-      changes.push({
-        file: "tsconfig.json",
-        desc: "updated for Preact JSX support",
-        apply: () => writeFile(tsconfigPath, newTsConfig),
-      });
-    }
+async function runUIExtensionMigration(ext, plan, targetApiVersion, dryRun, autoApprove, options = {}) {
+  if (!plan.migrate) {
+    log(`\n  ${ext.name}: Already at API version ${targetApiVersion} — skipping (use --force to re-migrate)`);
+    return { migrated: false, reason: plan.reason };
   }
 
-  // 5. Remove deprecated files
-  const deprecatedFiles = ["shopify.d.ts"];
-  deprecatedFiles.forEach(file => {
-    const fp = path.join(ext.path, file);
-    if (fs.existsSync(fp)) {
-      changes.push({
-        file,
-        desc: "removed (will be regenerated by CLI)",
-        apply: () => fs.unlinkSync(fp),
-      });
-    }
-  });
+  const { changes, warnings } = plan;
+
+  log(`\n${colors.bright}═══ UI Extension: ${ext.name} ═══${colors.reset}`);
+  log(`  Type: ${ext.type}`);
+  log(`  API version: ${ext.apiVersion} → ${targetApiVersion}`);
+  log(`  Package version: → ${plan.packageVersion}`);
+  if (plan.targets.length > 0) {
+    log("  Targets:");
+    plan.targets.forEach(t => log(`    • ${t.target} → ${t.module}${t.files.length > 1 ? ` (+${t.files.length - 1} imported file(s))` : ""}`));
+  }
+  log("");
 
   // Show planned changes
   log("  Planned changes:");
   changes.forEach(c => info(`${c.file}: ${c.desc}`));
 
+  if (options.diff) showDiff(changes, options.pager);
+
   if (warnings.length > 0) {
     log("\n  Warnings:");
     warnings.forEach(w => warn(w));
   }
 
   // Ask for confirmation
-  if (!autoApprove) {
-    const proceed = await confirm("\n  Apply these changes?");
-    if (!proceed) {
-      log("  Skipped.");
-      return { migrated: false, reason: "User declined", changes, warnings };
-    }
+  const approval = await approveChanges(changes, "\n  Apply these changes?", autoApprove, options);
+  if (approval.changes.length === 0) {
+    log("  Skipped.");
+    return declinedResult(approval, changes, warnings);
   }
 
-  // Apply changes (deduplicate package.json writes)
+  // Apply changes (deduplicate package.json writes). The lockfile is
+  // snapshotted too since npm install rewrites it after the migration.
+  let snapshot = null;
   if (!dryRun) {
-    const appliedFiles = new Set();
-    changes.forEach(c => {
-      if (!appliedFiles.has(c.file)) {
-        c.apply();
-        appliedFiles.add(c.file);
-      }
-    });
+    const applied = applyExtensionChanges(ext, approval.changes, options, warnings, ["package-lock.json"]);
+    if (applied.failure) return applied.failure;
+    snapshot = applied.snapshot;
     success("Changes applied successfully.");
   } else {
     log("\n  (dry run — no files written)");
@@ -1723,8 +6502,11 @@ async function migrateUIExtension(ext, targetApiVersion, dryRun, autoApprove, fo
     migrated: true,
     type: "ui_extension",
     apiVersion: targetApiVersion,
-    changes: changes.map(c => ({ file: c.file, desc: c.desc })),
+    targets: reportTargets(targetResults(plan.targets, approval.changes)),
+    changes: summarizeChanges(approval.changes),
     warnings,
+    ...reviewFields(approval),
+    ...(snapshot ? { snapshot } : {}),
   };
 }
 
@@ -1734,21 +6516,50 @@ async function migrateUIExtension(ext, targetApiVersion, dryRun, autoApprove, fo
 
 async function main() {
   const args = process.argv.slice(2);
+  if (args[0] === "rollback") return runRollback(args.slice(1));
+  if (args[0] === "typegen") return runTypegen(args.slice(1));
+
   const dryRun = args.includes("--dry-run");
   const autoApprove = args.includes("--auto-approve");
   const force = args.includes("--force");
-
-  let targetApiVersion = DEFAULT_API_VERSION;
-  const avIdx = args.indexOf("--api-version");
-  if (avIdx !== -1 && args[avIdx + 1]) {
-    targetApiVersion = args[avIdx + 1];
-  }
+  const diff = args.includes("--diff") || args.includes("--pager");
+  const pager = args.includes("--pager");
+  const interactive = args.includes("--interactive") && !autoApprove;
+  const useGit = args.includes("--git");
+  const verify = args.includes("--verify");
+
+  // Options that take a value
+  const valueOf = (flag) => {
+    const idx = args.indexOf(flag);
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
+  };
+  const valueIndexes = ["--api-version", "--config", "--merge-discounts"]
+    .map(flag => args.indexOf(flag))
+    .filter(idx => idx !== -1)
+    .map(idx => idx + 1);
 
   const paths = args.filter((a, i) =>
     !a.startsWith("--") &&
-    !(avIdx !== -1 && i === avIdx + 1)
+    !valueIndexes.includes(i)
   );
 
+  // Plan every extension. The project config (shopify-migrate.config.json|js)
+  // supplies defaults for CLI options.
+  const appRoot = process.cwd();
+  const mergeHandle = valueOf("--merge-discounts");
+  if (args.includes("--merge-discounts") && !mergeHandle) {
+    error("--merge-discounts requires a handle for the merged extension");
+    process.exit(1);
+  }
+  const plan = planMigration(appRoot, {
+    apiVersion: valueOf("--api-version"),
+    configPath: valueOf("--config"),
+    force,
+    paths,
+    mergeDiscounts: mergeHandle,
+  });
+  const { targetApiVersion } = plan;
+
   // Banner
   log(`\n${colors.cyan}╭─────────────────────────────────────────────────────────╮${colors.reset}`);
   log(`${colors.cyan}│${colors.reset}  ${colors.bright}Shopify Extensions Migration Tool${colors.reset}                       ${colors.cyan}│${colors.reset}`);
@@ -1757,81 +6568,133 @@ async function main() {
 
   if (dryRun) log(`\n${colors.yellow}  Mode: DRY RUN — no files will be written${colors.reset}\n`);
   if (autoApprove) log(`\n${colors.yellow}  Mode: AUTO-APPROVE — no confirmation prompts${colors.reset}\n`);
+  if (interactive) log(`\n${colors.yellow}  Mode: INTERACTIVE — review each file (a=accept, s=skip, h=hunks, e=edit, q=quit)${colors.reset}\n`);
+  if (args.includes("--interactive") && autoApprove) warn("--interactive is ignored with --auto-approve");
   if (force) log(`\n${colors.yellow}  Mode: FORCE — re-migrating even if already at target version${colors.reset}\n`);
+  if (useGit) log(`\n${colors.yellow}  Mode: GIT — migrating on a new branch, one commit per extension${colors.reset}\n`);
+  if (verify) log(`\n${colors.yellow}  Mode: VERIFY — legacy and migrated functions are run on test fixtures (not sandboxed)${colors.reset}\n`);
+  if (mergeHandle) log(`\n${colors.yellow}  Mode: MERGE DISCOUNTS — legacy discount functions become ${mergeHandle}${colors.reset}\n`);
+  if (plan.configPath) log(`\n  Using config ${path.relative(appRoot, plan.configPath)}`);
+  plan.configWarnings.forEach(w => warn(w));
 
-  // Discover extensions
-  let extensionDirs = [];
-
+  // Discovered extensions
   if (paths.length === 0) {
-    const scanBase = path.resolve(process.cwd(), "extensions");
-    log(`\n  Scanning ${scanBase} for extensions…\n`);
-    extensionDirs = discoverExtensions(scanBase);
-  } else {
-    for (const p of paths) {
-      const resolved = path.resolve(process.cwd(), p);
-      const toml = path.join(resolved, "shopify.extension.toml");
-      if (fs.existsSync(toml)) {
-        const content = readFile(toml);
-        extensionDirs.push({
-          path: resolved,
-          name: path.basename(resolved),
-          type: extractExtensionType(content),
-          apiVersion: extractApiVersion(content),
-          target: extractTarget(content),
-          tomlContent: content,
-        });
-      } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
-        extensionDirs.push(...discoverExtensions(resolved));
-      } else {
-        warn(`Path not found: ${resolved}`);
-      }
-    }
+    log(`\n  Scanning ${path.resolve(appRoot, "extensions")} for extensions…\n`);
+  }
+  plan.missing.forEach(p => warn(`Path not found: ${p}`));
+  if (plan.excluded.length > 0) {
+    log(`  Excluded by config: ${plan.excluded.join(", ")}\n`);
   }
 
-  if (extensionDirs.length === 0) {
+  if (plan.extensions.length === 0) {
     log("\n  No extensions found. Nothing to do.\n");
     process.exit(0);
   }
 
+  plan.extensions.filter(e => e.extension.tomlError).forEach(({ extension: e }) =>
+    warn(`${e.name}: could not read shopify.extension.toml — skipping (${e.tomlError})`)
+  );
+
   // Categorize extensions
-  const functions = extensionDirs.filter(e => e.type === "function");
-  const uiExtensions = extensionDirs.filter(e => e.type === "ui_extension");
+  const functions = plan.extensions.filter(e => e.extension.type === "function");
+  const uiExtensions = plan.extensions.filter(e => e.extension.type === "ui_extension");
 
-  log(`  Found ${extensionDirs.length} extension(s):`);
+  log(`  Found ${plan.extensions.length} extension(s):`);
   log(`    • ${functions.length} Function(s)`);
   log(`    • ${uiExtensions.length} UI Extension(s)\n`);
 
+  // --merge-discounts: the legacy discount functions are merged into one new
+  // function instead of being migrated one by one. Without two of them to
+  // merge, they are migrated separately.
+  const discountMerge = plan.discountMerge && plan.discountMerge.sources.length > 0 ? plan.discountMerge : null;
+  if (plan.discountMerge && !discountMerge) {
+    plan.discountMerge.warnings.forEach(w => warn(w));
+    warn(`--merge-discounts: ${plan.discountMerge.reason} — migrating separately`);
+  }
+
+  // Git mode: refuse a dirty tree. The branch is created before the first
+  // extension is applied (see ensureMigrationBranch).
+  let gitRun = null;
+  if (useGit) {
+    ensureCleanGitTree(appRoot);
+    if (dryRun) {
+      log(`  ${colors.yellow}Would create branch shopify-migrate/${targetApiVersion} once an extension is migrated, and commit each extension${colors.reset}\n`);
+    } else {
+      gitRun = { appRoot, apiVersion: targetApiVersion, branch: null, previous: null };
+    }
+  }
+
   // Migration log
   const migrationLog = {
     startTime: new Date().toISOString(),
     targetApiVersion,
-    dryRun,
     extensions: [],
   };
 
+  // Git mode: one commit per migrated extension, recorded in the log
+  const commitMigrated = (ext, entry) => {
+    if (!gitRun || !gitRun.branch || !entry.migrated) return;
+    try {
+      entry.commit = commitExtension(ext, migrationCommitMessage(ext, entry, targetApiVersion));
+      if (entry.commit) success(`Committed ${entry.commit} on ${gitRun.branch}`);
+    } catch (err) {
+      warn(`Could not commit ${ext.name}: ${err.message}`);
+    }
+  };
+
+  // Every touched file is copied here before it is written (see rollback)
+  const snapshotDir = snapshotRunDir(appRoot, migrationLog.startTime);
+
+  // Quitting from the interactive review skips every remaining extension
+  let quit = false;
+
   // Process functions
   if (functions.length > 0) {
     log(`\n${colors.bright}━━━ Functions ━━━${colors.reset}`);
-    for (const ext of functions) {
-      const result = await migrateFunction(ext, targetApiVersion, dryRun, autoApprove, force);
-      migrationLog.extensions.push({
-        name: ext.name,
-        path: ext.path,
-        ...result,
-      });
+
+    if (discountMerge) {
+      const result = await runDiscountMerge(discountMerge, mergeHandle, targetApiVersion, dryRun, autoApprove, { diff, pager, interactive, snapshotDir, git: gitRun });
+      const merged = { name: mergeHandle, path: discountMerge.path };
+      const entry = { ...merged, ...result };
+      migrationLog.extensions.push(entry);
+      commitMigrated(merged, entry);
+      for (const { extension: ext } of functions.filter(e => discountMerge.sources.includes(e.name))) {
+        migrationLog.extensions.push({
+          name: ext.name,
+          path: ext.path,
+          migrated: false,
+          reason: result.migrated ? `Merged into ${mergeHandle}` : `Not merged: ${result.reason}`,
+        });
+      }
+      if (result.quit) quit = true;
+    }
+
+    for (const { extension: ext, ...extPlan } of functions.filter(e => !discountMerge || !discountMerge.sources.includes(e.name))) {
+      if (quit) {
+        migrationLog.extensions.push({ name: ext.name, path: ext.path, migrated: false, reason: "User quit" });
+        continue;
+      }
+      const result = await runFunctionMigration(ext, extPlan, targetApiVersion, dryRun, autoApprove, { diff, pager, interactive, snapshotDir, git: gitRun, verify });
+      const entry = { name: ext.name, path: ext.path, ...result };
+      migrationLog.extensions.push(entry);
+      commitMigrated(ext, entry);
+      if (result.quit) quit = true;
     }
   }
 
   // Process UI extensions
   if (uiExtensions.length > 0) {
     log(`\n${colors.bright}━━━ UI Extensions ━━━${colors.reset}`);
-    for (const ext of uiExtensions) {
-      const result = await migrateUIExtension(ext, targetApiVersion, dryRun, autoApprove, force);
-      migrationLog.extensions.push({
-        name: ext.name,
-        path: ext.path,
-        ...result,
-      });
+    for (const { extension: ext, ...extPlan } of uiExtensions) {
+      if (quit) {
+        migrationLog.extensions.push({ name: ext.name, path: ext.path, migrated: false, reason: "User quit" });
+        continue;
+      }
+      const result = await runUIExtensionMigration(ext, extPlan, targetApiVersion, dryRun, autoApprove, { diff, pager, interactive, snapshotDir, git: gitRun });
+      const entry = { name: ext.name, path: ext.path, ...result };
+      migrationLog.extensions.push(entry);
+      commitMigrated(ext, entry);
+      if (result.quit) quit = true;
     }
   }
 
@@ -1843,7 +6706,6 @@ async function main() {
     log(`${colors.cyan}╰─────────────────────────────────────────────────────────╯${colors.reset}\n`);
 
     // Top-level npm install (if package.json exists)
-    const appRoot = process.cwd();
     const topLevelPkgJson = path.join(appRoot, "package.json");
     if (fs.existsSync(topLevelPkgJson)) {
       process.stdout.write("  Installing top-level dependencies...");
@@ -1870,25 +6732,64 @@ async function main() {
         }
       }
     }
+
+    // Lockfile updates from npm install go in their own commit
+    if (gitRun && gitRun.branch) {
+      const manifests = [appRoot, ...migratedUIExtensions.map(e => e.path)]
+        .flatMap(dir => ["package.json", "package-lock.json"].map(f => path.join(dir, f)))
+        .filter(f => fs.existsSync(f));
+      try {
+        const commit = commitFiles(appRoot, manifests, `Update dependencies after migration to API ${targetApiVersion}\n`);
+        if (commit) success(`Committed ${commit} (dependency updates)`);
+      } catch (err) {
+        warn(`Could not commit dependency updates: ${err.message}`);
+      }
+    }
   } else if (migratedUIExtensions.length > 0 && dryRun) {
     log(`\n  ${colors.yellow}Would run 'npm install && npm prune' in top-level and extension directories${colors.reset}`);
   }
 
+  // Git mode: a branch without commits is not worth keeping
+  if (gitRun && gitRun.branch) {
+    try {
+      if (dropEmptyMigrationBranch(gitRun)) {
+        log(`\n  Nothing was committed; deleted ${gitRun.branch} and switched back to ${gitRun.previous}`);
+      } else {
+        migrationLog.git = { branch: gitRun.branch };
+      }
+    } catch (err) {
+      warn(`Could not clean up branch ${gitRun.branch}: ${err.message}`);
+      migrationLog.git = { branch: gitRun.branch };
+    }
+  }
+
   // Summary
   migrationLog.endTime = new Date().toISOString();
   const migrated = migrationLog.extensions.filter(e => e.migrated);
-  const skipped = migrationLog.extensions.filter(e => !e.migrated);
+  const failed = migrationLog.extensions.filter(e => e.failed);
+  const skipped = migrationLog.extensions.filter(e => !e.migrated && !e.failed);
 
   log(`\n${colors.cyan}╭─────────────────────────────────────────────────────────╮${colors.reset}`);
   log(`${colors.cyan}│${colors.reset}  ${colors.bright}Migration Summary${colors.reset}                                        ${colors.cyan}│${colors.reset}`);
   log(`${colors.cyan}╰─────────────────────────────────────────────────────────╯${colors.reset}`);
   log(`\n  ${colors.green}Migrated: ${migrated.length}${colors.reset}`);
-  log(`  ${colors.yellow}Skipped: ${skipped.length}${colors.reset}\n`);
+  log(`  ${colors.yellow}Skipped: ${skipped.length}${colors.reset}`);
+  if (failed.length > 0) {
+    log(`  ${colors.red}Failed: ${failed.length}${colors.reset}`);
+    failed.forEach(e => error(`${e.name}: ${e.reason}`));
+    process.exitCode = 1;
+  }
+  log("");
 
-  // Write migration log
-  const logPath = path.join(process.cwd(), MIGRATION_LOG_FILE);
-  writeFile(logPath, JSON.stringify(migrationLog, null, 2));
-  success(`Migration log written to ${MIGRATION_LOG_FILE}`);
+  // Record the run in the migration log (dry runs change nothing to record)
+  if (!dryRun) {
+    appendMigrationRun(appRoot, migrationLog);
+    success(`Migration run added to ${MIGRATION_LOG_FILE}`);
+    if (gitRun) {
+      const untracked = unignoredOutputs(appRoot);
+      if (untracked.length > 0) warn(`Add ${untracked.join(" and ")} to .gitignore; --git never commits them`);
+    }
+  }
 
   // Post-migration steps
   if (migrated.length > 0) {
@@ -1901,10 +6802,17 @@ async function main() {
 
     if (migratedFunctions.length > 0) {
       log(`  ${colors.bright}For Functions:${colors.reset}`);
-      log("  Run typegen to regenerate schema types:\n");
+      log("  Fetch the new schema and regenerate its types:\n");
       migratedFunctions.forEach(e => {
-        log(`    cd ${path.relative(process.cwd(), e.path)} && shopify app function typegen`);
+        // schema.graphql is still the old API's (a merged function has none yet)
+        log(`    cd ${path.relative(process.cwd(), e.path)} && shopify app function schema && shopify app function typegen`);
       });
+      log("\n  Without the Shopify CLI (after committing the new schema.graphql):\n");
+      log("    node migrate-extensions.js typegen");
+      const merged = migratedFunctions.find(e => e.mergedFrom);
+      if (merged) {
+        log(`\n  Recreate discounts from ${merged.mergedFrom.join(", ")} on ${merged.name}, then remove those extensions.`);
+      }
       log("");
     }
 
@@ -1928,7 +6836,45 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  error(err.message);
-  process.exit(1);
-});
+module.exports = {
+  DEFAULT_API_VERSION,
+  FUNCTION_TARGET_MAP,
+  discoverExtensions,
+  loadExtension,
+  planMigration,
+  planFunctionMigration,
+  planDiscountMerge,
+  planFunctionTypegen,
+  verifyFunctionMigration,
+  stripTypeScript,
+  toCommonJs,
+  normalizeLegacyOutput,
+  structuralDiff,
+  planUIExtensionMigration,
+  loadConfig,
+  buildRules,
+  applyPlan,
+  rollbackMigration,
+  parseToml,
+  readExtensionToml,
+  setTomlValue,
+  migrateFunction,
+  migrateUIExtension,
+  migrateUISourceFile,
+  rewriteDiscountOutput,
+  rewriteValidationOutput,
+  rewriteCartTransformOutput,
+  rewriteShippingDiscountOutput,
+  migrateFunctionTest,
+  parseGraphql,
+  parseGraphqlSchema,
+  validateGraphqlQuery,
+  rewriteGraphqlFields,
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    error(err.message);
+    process.exit(1);
+  });
+}
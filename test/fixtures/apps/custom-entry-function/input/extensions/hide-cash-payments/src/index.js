@@ -0,0 +1 @@
+export { hideCashPayments } from "./payments";
@@ -0,0 +1,22 @@
+// @ts-check
+
+/**
+ * @typedef {import("../generated/api").RunInput} RunInput
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ */
+
+const NO_CHANGES = { operations: [] };
+
+/**
+ * Hide cash payment methods on large orders.
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function hideCashPayments(input) {
+  if (parseFloat(input.cart.cost.totalAmount.amount) < 500) return NO_CHANGES;
+  return {
+    operations: input.paymentMethods
+      .filter((method) => method.name.includes("Cash"))
+      .map((method) => ({ hide: { paymentMethodId: method.id } })),
+  };
+}
@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { hideCashPayments } from "./payments";
+
+describe("hide cash payments", () => {
+  it("hides cash on large orders", () => {
+    const result = hideCashPayments({
+      cart: { cost: { totalAmount: { amount: "750.00" } } },
+      paymentMethods: [
+        { id: "gid://shopify/PaymentCustomizationPaymentMethod/1", name: "Cash on Delivery" },
+        { id: "gid://shopify/PaymentCustomizationPaymentMethod/2", name: "Card" },
+      ],
+    });
+    expect(result).toEqual({
+      operations: [{ hide: { paymentMethodId: "gid://shopify/PaymentCustomizationPaymentMethod/1" } }],
+    });
+  });
+});
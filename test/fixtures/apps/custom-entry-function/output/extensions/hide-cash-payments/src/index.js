@@ -0,0 +1 @@
+export { cartPaymentMethodsTransformRun } from "./payments";
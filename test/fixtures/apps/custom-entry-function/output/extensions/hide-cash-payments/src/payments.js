@@ -0,0 +1,22 @@
+// @ts-check
+
+/**
+ * @typedef {import("../generated/api").CartPaymentMethodsTransformRunInput} CartPaymentMethodsTransformRunInput
+ * @typedef {import("../generated/api").CartPaymentMethodsTransformRunResult} CartPaymentMethodsTransformRunResult
+ */
+
+const NO_CHANGES = { operations: [] };
+
+/**
+ * Hide cash payment methods on large orders.
+ * @param {CartPaymentMethodsTransformRunInput} input
+ * @returns {CartPaymentMethodsTransformRunResult}
+ */
+export function cartPaymentMethodsTransformRun(input) {
+  if (parseFloat(input.cart.cost.totalAmount.amount) < 500) return NO_CHANGES;
+  return {
+    operations: input.paymentMethods
+      .filter((method) => method.name.includes("Cash"))
+      .map((method) => ({ paymentMethodHide: { paymentMethodId: method.id } })),
+  };
+}
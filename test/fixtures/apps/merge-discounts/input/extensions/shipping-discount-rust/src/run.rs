@@ -0,0 +1,11 @@
+use super::schema;
+use shopify_function::prelude::*;
+use shopify_function::Result;
+
+#[shopify_function]
+fn run(_input: schema::run::Input) -> Result<schema::FunctionRunResult> {
+    Ok(schema::FunctionRunResult {
+        discount_application_strategy: schema::DiscountApplicationStrategy::First,
+        discounts: vec![],
+    })
+}
@@ -0,0 +1,24 @@
+// @ts-check
+import { DiscountClass } from "../generated/api";
+import { orderDiscount } from "./order_discount";
+import { productDiscount } from "./product_discount";
+
+/**
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunInput} CartLinesDiscountsGenerateRunInput
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunResult} CartLinesDiscountsGenerateRunResult
+ */
+
+/**
+ * Runs the order-discount and product-discount discount functions, each for discounts of its class.
+ * @param {CartLinesDiscountsGenerateRunInput} input
+ * @returns {CartLinesDiscountsGenerateRunResult}
+ */
+export function cartLinesDiscountsGenerateRun(input) {
+  const classes = input.discount.discountClasses;
+  return {
+    operations: [
+      ...(classes.includes(DiscountClass.Order) ? orderDiscount(input).operations : []),
+      ...(classes.includes(DiscountClass.Product) ? productDiscount(input).operations : []),
+    ],
+  };
+}
@@ -0,0 +1,33 @@
+// @ts-check
+import { OrderDiscountSelectionStrategy } from "../generated/api";
+
+/**
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunInput} CartLinesDiscountsGenerateRunInput
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunResult} CartLinesDiscountsGenerateRunResult
+ */
+
+/**
+ * @param {CartLinesDiscountsGenerateRunInput} input
+ * @returns {CartLinesDiscountsGenerateRunResult}
+ */
+export function orderDiscount(input) {
+  if (Number(input.cart.cost.subtotalAmount.amount) < 100) {
+    return { operations: [] };
+  }
+  return {
+    operations: [
+      {
+        orderDiscountsAdd: {
+          candidates: [
+            {
+              targets: [{ orderSubtotal: { excludedCartLineIds: [] } }],
+              value: { fixedAmount: { amount: "5.0" } },
+              message: "$5 off orders over $100",
+            },
+          ],
+          selectionStrategy: OrderDiscountSelectionStrategy.First,
+        },
+      },
+    ],
+  };
+}
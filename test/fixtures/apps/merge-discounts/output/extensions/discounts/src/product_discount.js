@@ -0,0 +1,54 @@
+// @ts-check
+import { ProductDiscountSelectionStrategy } from "../generated/api";
+
+/**
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunInput} CartLinesDiscountsGenerateRunInput
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunResult} CartLinesDiscountsGenerateRunResult
+ */
+
+/** @type {CartLinesDiscountsGenerateRunResult} */
+const EMPTY_DISCOUNT = {
+  operations: [],
+};
+
+/**
+ * @param {CartLinesDiscountsGenerateRunInput} input
+ * @returns {CartLinesDiscountsGenerateRunResult}
+ */
+export function productDiscount(input) {
+  const targets = input.cart.lines
+    .filter((line) => line.quantity >= 2 && line.merchandise.__typename == "ProductVariant")
+    .map((line) => {
+      const variant = line.merchandise;
+      return {
+        cartLine: {
+          id: line.id,
+        },
+      };
+    });
+
+  if (!targets.length) {
+    return EMPTY_DISCOUNT;
+  }
+
+  return {
+    operations: [
+      {
+        productDiscountsAdd: {
+          candidates: [
+            {
+              targets,
+              value: {
+                percentage: {
+                  value: "10.0",
+                },
+              },
+              message: "10% off",
+            },
+          ],
+          selectionStrategy: ProductDiscountSelectionStrategy.First,
+        },
+      },
+    ],
+  };
+}
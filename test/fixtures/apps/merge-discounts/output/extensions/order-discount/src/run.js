@@ -0,0 +1,27 @@
+// @ts-check
+import { DiscountApplicationStrategy } from "../generated/api";
+
+/**
+ * @typedef {import("../generated/api").RunInput} RunInput
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ */
+
+/**
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  if (Number(input.cart.cost.subtotalAmount.amount) < 100) {
+    return { discountApplicationStrategy: DiscountApplicationStrategy.First, discounts: [] };
+  }
+  return {
+    discountApplicationStrategy: DiscountApplicationStrategy.First,
+    discounts: [
+      {
+        targets: [{ orderSubtotal: { excludedVariantIds: [] } }],
+        value: { fixedAmount: { amount: "5.0" } },
+        message: "$5 off orders over $100",
+      },
+    ],
+  };
+}
@@ -0,0 +1,49 @@
+// @ts-check
+import { DiscountApplicationStrategy } from "../generated/api";
+
+/**
+ * @typedef {import("../generated/api").RunInput} RunInput
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ */
+
+/** @type {FunctionRunResult} */
+const EMPTY_DISCOUNT = {
+  discountApplicationStrategy: DiscountApplicationStrategy.First,
+  discounts: [],
+};
+
+/**
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  const targets = input.cart.lines
+    .filter((line) => line.quantity >= 2 && line.merchandise.__typename == "ProductVariant")
+    .map((line) => {
+      const variant = line.merchandise;
+      return {
+        productVariant: {
+          id: variant.id,
+        },
+      };
+    });
+
+  if (!targets.length) {
+    return EMPTY_DISCOUNT;
+  }
+
+  return {
+    discounts: [
+      {
+        targets,
+        value: {
+          percentage: {
+            value: "10.0",
+          },
+        },
+        message: "10% off",
+      },
+    ],
+    discountApplicationStrategy: DiscountApplicationStrategy.First,
+  };
+}
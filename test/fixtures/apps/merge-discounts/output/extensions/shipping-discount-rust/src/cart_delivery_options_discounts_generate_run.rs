@@ -0,0 +1,11 @@
+use super::schema;
+use shopify_function::prelude::*;
+use shopify_function::Result;
+
+#[shopify_function]
+fn cart_delivery_options_discounts_generate_run(_input: schema::cart_delivery_options_discounts_generate_run::Input) -> Result<schema::CartDeliveryOptionsDiscountsGenerateRunResult> {
+    Ok(schema::CartDeliveryOptionsDiscountsGenerateRunResult {
+        discount_application_strategy: schema::DiscountApplicationStrategy::First,
+        discounts: vec![],
+    })
+}
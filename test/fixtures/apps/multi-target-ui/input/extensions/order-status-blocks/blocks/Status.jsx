@@ -0,0 +1,4 @@
+import { reactExtension } from "@shopify/ui-extensions-react/customer-account";
+import { StatusBanner } from "../src/shared";
+
+export default reactExtension("customer-account.order-status.block.render", () => <StatusBanner />);
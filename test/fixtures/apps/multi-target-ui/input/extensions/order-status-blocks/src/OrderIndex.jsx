@@ -0,0 +1,11 @@
+import { reactExtension, BlockStack, Text } from "@shopify/ui-extensions-react/customer-account";
+
+export default reactExtension("customer-account.order-index.block.render", () => <OrderIndex />);
+
+function OrderIndex() {
+  return (
+    <BlockStack spacing="tight">
+      <Text>Your orders</Text>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,8 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+
+import { StatusBanner } from "../src/shared";
+
+export default async () => {
+  render(<StatusBanner />, document.body);
+};
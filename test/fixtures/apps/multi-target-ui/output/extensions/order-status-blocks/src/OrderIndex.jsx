@@ -0,0 +1,14 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+
+export default async () => {
+  render(<OrderIndex />, document.body);
+};
+
+function OrderIndex() {
+  return (
+    <s-stack gap="small" direction="block">
+      <s-text>Your orders</s-text>
+    </s-stack>
+  );
+}
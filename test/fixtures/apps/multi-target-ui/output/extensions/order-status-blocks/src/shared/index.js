@@ -0,0 +1 @@
+export { StatusBanner } from "./StatusBanner";
@@ -0,0 +1,24 @@
+// @ts-check
+
+/**
+ * @typedef {import("../generated/api").FetchInput} FetchInput
+ * @typedef {import("../generated/api").FunctionFetchResult} FunctionFetchResult
+ */
+
+/**
+ * Ask the pickup point service whether the cart's zip codes are served.
+ * @param {FetchInput} input
+ * @returns {FunctionFetchResult}
+ */
+export function fetch(input) {
+  const zips = input.cart.deliveryGroups.map((group) => group.deliveryAddress?.zip).filter(Boolean);
+  return {
+    request: {
+      method: "POST",
+      url: "https://pickup.example.com/served",
+      headers: [{ name: "Content-Type", value: "application/json" }],
+      body: JSON.stringify({ zips }),
+      policy: { readTimeoutMs: 2000 },
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { fetch } from "./fetch";
+
+/**
+ * @typedef {import("../generated/api").FunctionFetchResult} FunctionFetchResult
+ */
+
+describe("pickup point fetch", () => {
+  it("posts the cart's zip codes", () => {
+    /** @type {FunctionFetchResult} */
+    const result = fetch({
+      cart: { deliveryGroups: [{ deliveryAddress: { zip: "10115" } }] },
+    });
+    expect(JSON.parse(result.request.body)).toEqual({ zips: ["10115"] });
+  });
+
+  it("does not call the service itself", () => {
+    const calls = [];
+    const real = globalThis.fetch;
+    globalThis.fetch = (url) => calls.push(url);
+    fetch({ cart: { deliveryGroups: [] } });
+    globalThis.fetch = real;
+    expect(calls).toEqual([]);
+  });
+});
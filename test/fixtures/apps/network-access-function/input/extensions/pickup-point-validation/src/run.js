@@ -0,0 +1,20 @@
+// @ts-check
+
+/**
+ * @typedef {import("../generated/api").RunInput} RunInput
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ */
+
+/**
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  const served = input.fetchResult?.status === 200 && JSON.parse(input.fetchResult.body ?? "{}").served;
+  if (served) {
+    return { errors: [] };
+  }
+  return {
+    errors: [{ localizedMessage: "No pickup point serves this address", target: "cart" }],
+  };
+}
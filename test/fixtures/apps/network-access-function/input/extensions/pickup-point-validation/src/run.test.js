@@ -0,0 +1,22 @@
+import { describe, it, expect, beforeAll } from "vitest";
+import { run } from "./run";
+
+describe("pickup point validation", () => {
+  let body;
+  beforeAll(async () => {
+    // The fixture service answers like the real one
+    const response = await fetch("http://localhost:4010/served");
+    body = await response.text();
+  });
+
+  it("blocks addresses without a pickup point", () => {
+    const result = run({ fetchResult: { status: 200, body: JSON.stringify({ served: false }) } });
+    expect(result).toEqual({
+      errors: [{ localizedMessage: "No pickup point serves this address", target: "cart" }],
+    });
+  });
+
+  it("accepts the fixture service's answer", () => {
+    expect(run({ fetchResult: { status: 200, body } })).toEqual({ errors: [] });
+  });
+});
@@ -0,0 +1,20 @@
+// @ts-check
+
+/**
+ * @typedef {import("../generated/api").CartValidationsGenerateRunInput} CartValidationsGenerateRunInput
+ * @typedef {import("../generated/api").CartValidationsGenerateRunResult} CartValidationsGenerateRunResult
+ */
+
+/**
+ * @param {CartValidationsGenerateRunInput} input
+ * @returns {CartValidationsGenerateRunResult}
+ */
+export function cartValidationsGenerateRun(input) {
+  const served = input.fetchResult?.status === 200 && JSON.parse(input.fetchResult.body ?? "{}").served;
+  if (served) {
+    return { operations: [{ validationAdd: { errors: [] } }] };
+  }
+  return {
+    operations: [{ validationAdd: { errors: [{ message: "No pickup point serves this address", target: "$.cart" }] } }],
+  };
+}
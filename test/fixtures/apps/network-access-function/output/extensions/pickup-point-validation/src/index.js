@@ -0,0 +1,2 @@
+export * from "./cart_validations_generate_fetch";
+export * from "./cart_validations_generate_run";
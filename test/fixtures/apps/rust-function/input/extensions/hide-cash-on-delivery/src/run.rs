@@ -0,0 +1,37 @@
+use super::schema;
+use shopify_function::prelude::*;
+use shopify_function::Result;
+
+// Hides "Cash on Delivery" at checkout (target "purchase.payment-customization.run")
+#[shopify_function]
+fn run(input: schema::run::Input) -> Result<schema::FunctionRunResult> {
+    let operations = input
+        .payment_methods()
+        .iter()
+        .filter(|method| method.name().contains("Cash on Delivery"))
+        .map(|method| {
+            schema::Operation::Hide(schema::HideOperation {
+                payment_method_id: method.id().clone(),
+                placements: None,
+            })
+        })
+        .collect();
+
+    Ok(schema::FunctionRunResult { operations })
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use shopify_function::run_function_with_input;
+
+    #[test]
+    fn test_no_cash_method() -> Result<()> {
+        let result = run_function_with_input(
+            run,
+            r#"{ "paymentMethods": [{ "id": "gid://shopify/PaymentCustomizationPaymentMethod/1", "name": "Card" }] }"#,
+        )?;
+        assert_eq!(result, schema::FunctionRunResult { operations: vec![] });
+        Ok(())
+    }
+}
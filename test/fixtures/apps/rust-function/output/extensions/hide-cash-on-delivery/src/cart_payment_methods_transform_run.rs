@@ -0,0 +1,37 @@
+use super::schema;
+use shopify_function::prelude::*;
+use shopify_function::Result;
+
+// Hides "Cash on Delivery" at checkout (target "cart.payment-methods.transform.run")
+#[shopify_function]
+fn cart_payment_methods_transform_run(input: schema::cart_payment_methods_transform_run::Input) -> Result<schema::CartPaymentMethodsTransformRunResult> {
+    let operations = input
+        .payment_methods()
+        .iter()
+        .filter(|method| method.name().contains("Cash on Delivery"))
+        .map(|method| {
+            schema::Operation::PaymentMethodHide(schema::PaymentMethodHideOperation {
+                payment_method_id: method.id().clone(),
+                placements: None,
+            })
+        })
+        .collect();
+
+    Ok(schema::CartPaymentMethodsTransformRunResult { operations })
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use shopify_function::run_function_with_input;
+
+    #[test]
+    fn test_no_cash_method() -> Result<()> {
+        let result = run_function_with_input(
+            cart_payment_methods_transform_run,
+            r#"{ "paymentMethods": [{ "id": "gid://shopify/PaymentCustomizationPaymentMethod/1", "name": "Card" }] }"#,
+        )?;
+        assert_eq!(result, schema::CartPaymentMethodsTransformRunResult { operations: vec![] });
+        Ok(())
+    }
+}
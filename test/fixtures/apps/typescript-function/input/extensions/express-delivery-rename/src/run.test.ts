@@ -0,0 +1,14 @@
+import { describe, it, expect } from "vitest";
+import { run } from "./run.js";
+import type { FunctionRunResult } from "../generated/api";
+
+describe("delivery customization function", () => {
+  it("returns no operations without express options", () => {
+    const result = run({
+      cart: { deliveryGroups: [{ deliveryOptions: [{ handle: "standard", title: "Standard" }] }] },
+    });
+    const expected: FunctionRunResult = { operations: [] };
+
+    expect(result).toEqual(expected);
+  });
+});
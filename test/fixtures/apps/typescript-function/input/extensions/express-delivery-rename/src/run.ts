@@ -0,0 +1,23 @@
+import type {
+  RunInput,
+  FunctionRunResult,
+  Operation,
+} from "../generated/api";
+
+const NO_CHANGES: FunctionRunResult = {
+  operations: [],
+};
+
+export const run = (input: RunInput): FunctionRunResult => {
+  const operations: Operation[] = input.cart.deliveryGroups
+    .flatMap(group => group.deliveryOptions)
+    .filter(option => option.title?.includes("Express"))
+    .map(option => ({
+      rename: {
+        deliveryOptionHandle: option.handle,
+        title: `${option.title} (order before 2pm)`,
+      },
+    }));
+
+  return operations.length > 0 ? { operations } : NO_CHANGES;
+};
@@ -0,0 +1,14 @@
+import { describe, it, expect } from "vitest";
+import { cartDeliveryOptionsTransformRun } from "./cart_delivery_options_transform_run.js";
+import type { CartDeliveryOptionsTransformRunResult } from "../generated/api";
+
+describe("delivery customization function", () => {
+  it("returns no operations without express options", () => {
+    const result = cartDeliveryOptionsTransformRun({
+      cart: { deliveryGroups: [{ deliveryOptions: [{ handle: "standard", title: "Standard" }] }] },
+    });
+    const expected: CartDeliveryOptionsTransformRunResult = { operations: [] };
+
+    expect(result).toEqual(expected);
+  });
+});
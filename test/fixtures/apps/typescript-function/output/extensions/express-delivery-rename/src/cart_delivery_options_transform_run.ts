@@ -0,0 +1,23 @@
+import type {
+  CartDeliveryOptionsTransformRunInput,
+  CartDeliveryOptionsTransformRunResult,
+  Operation,
+} from "../generated/api";
+
+const NO_CHANGES: CartDeliveryOptionsTransformRunResult = {
+  operations: [],
+};
+
+export const cartDeliveryOptionsTransformRun = (input: CartDeliveryOptionsTransformRunInput): CartDeliveryOptionsTransformRunResult => {
+  const operations: Operation[] = input.cart.deliveryGroups
+    .flatMap(group => group.deliveryOptions)
+    .filter(option => option.title?.includes("Express"))
+    .map(option => ({
+      deliveryOptionRename: {
+        deliveryOptionHandle: option.handle,
+        title: `${option.title} (order before 2pm)`,
+      },
+    }));
+
+  return operations.length > 0 ? { operations } : NO_CHANGES;
+};
@@ -0,0 +1 @@
+export * from './cart_validations_generate_run';
@@ -0,0 +1,16 @@
+import { describe, it, expect } from "vitest";
+import { run } from "./run.js";
+import type { FunctionRunResult, RunInput } from "../generated/api";
+
+describe("payment customization function", () => {
+  it("hides cash on delivery above the threshold", () => {
+    const result: FunctionRunResult = run({
+      cart: { cost: { totalAmount: { amount: "250.0" } } },
+      paymentMethods: [{ id: "gid://shopify/PaymentCustomizationPaymentMethod/1", name: "Cash on Delivery" }],
+    } as RunInput);
+
+    expect(result).toEqual({
+      operations: [{ hide: { paymentMethodId: "gid://shopify/PaymentCustomizationPaymentMethod/1" } }],
+    });
+  });
+});
@@ -0,0 +1,16 @@
+import { describe, it, expect } from "vitest";
+import { cartPaymentMethodsTransformRun } from "./cart_payment_methods_transform_run.js";
+import type { CartPaymentMethodsTransformRunResult, CartPaymentMethodsTransformRunInput } from "../generated/api";
+
+describe("payment customization function", () => {
+  it("hides cash on delivery above the threshold", () => {
+    const result: CartPaymentMethodsTransformRunResult = cartPaymentMethodsTransformRun({
+      cart: { cost: { totalAmount: { amount: "250.0" } } },
+      paymentMethods: [{ id: "gid://shopify/PaymentCustomizationPaymentMethod/1", name: "Cash on Delivery" }],
+    } as CartPaymentMethodsTransformRunInput);
+
+    expect(result).toEqual({
+      operations: [{ paymentMethodHide: { paymentMethodId: "gid://shopify/PaymentCustomizationPaymentMethod/1" } }],
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { run } from "./run";
+import { DiscountApplicationStrategy } from "../generated/api";
+
+/**
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ */
+
+const input = {
+  cart: {
+    lines: [
+      { id: "gid://shopify/CartLine/1", quantity: 3, merchandise: { __typename: "ProductVariant", id: "gid://shopify/ProductVariant/10" } },
+    ],
+  },
+  discountNode: { metafield: { value: "{\"percentage\":10}" } },
+};
+
+describe("product discount function", () => {
+  it("discounts every variant in the cart", () => {
+    const result = run(input);
+    const expected = /** @type {FunctionRunResult} */ ({
+      discountApplicationStrategy: DiscountApplicationStrategy.First,
+      discounts: [
+        {
+          targets: [{ productVariant: { id: "gid://shopify/ProductVariant/10" } }],
+          value: { percentage: { value: "10.0" } },
+        },
+      ],
+    });
+
+    expect(result).toEqual(expected);
+  });
+
+  it("returns no discounts without a configuration", () => {
+    const result = run({ ...input, discountNode: { metafield: null } });
+    expect(result).toEqual({ discountApplicationStrategy: DiscountApplicationStrategy.First, discounts: [] });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import { cartLinesDiscountsGenerateRun } from "./cart_lines_discounts_generate_run";
+import { ProductDiscountSelectionStrategy } from "../generated/api";
+
+/**
+ * @typedef {import("../generated/api").CartLinesDiscountsGenerateRunResult} CartLinesDiscountsGenerateRunResult
+ */
+
+const input = {
+  cart: {
+    lines: [
+      { id: "gid://shopify/CartLine/1", quantity: 3, merchandise: { __typename: "ProductVariant", id: "gid://shopify/ProductVariant/10" } },
+    ],
+  },
+  discountNode: { metafield: { value: "{\"percentage\":10}" } },
+};
+
+describe("product discount function", () => {
+  it("discounts every variant in the cart", () => {
+    const result = cartLinesDiscountsGenerateRun(input);
+    const expected = /** @type {CartLinesDiscountsGenerateRunResult} */ ({
+      operations: [
+        {
+          productDiscountsAdd: {
+            candidates: [
+              {
+                targets: [{ cartLine: { id: "gid://shopify/CartLine/1" } }],
+                value: { percentage: { value: "10.0" } },
+              },
+            ],
+            selectionStrategy: ProductDiscountSelectionStrategy.First,
+          },
+        },
+      ],
+    });
+
+    expect(result).toEqual(expected);
+  });
+
+  it("returns no discounts without a configuration", () => {
+    const result = cartLinesDiscountsGenerateRun({ ...input, discountNode: { metafield: null } });
+    expect(result).toEqual({ operations: [] });
+  });
+});
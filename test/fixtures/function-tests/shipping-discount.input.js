@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import { run } from "./run";
+
+describe("shipping discount function", () => {
+  it("gives free standard shipping", () => {
+    const result = run({ cart: { deliveryGroups: [{ deliveryOptions: [{ handle: "standard" }] }] } });
+    expect(result).toEqual({
+      discounts: [
+        {
+          targets: [{ deliveryOption: { handle: "standard" } }],
+          value: { percentage: { value: 100 } },
+          message: "Free shipping",
+        },
+      ],
+    });
+  });
+});
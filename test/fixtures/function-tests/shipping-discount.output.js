@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { cartDeliveryOptionsDiscountsGenerateRun } from "./cart_delivery_options_discounts_generate_run";
+
+describe("shipping discount function", () => {
+  it("gives free standard shipping", () => {
+    const result = cartDeliveryOptionsDiscountsGenerateRun({ cart: { deliveryGroups: [{ deliveryOptions: [{ handle: "standard" }] }] } });
+    expect(result).toEqual({
+      operations: [
+        {
+          deliveryDiscountsAdd: {
+            selectionStrategy: "ALL",
+            candidates: [
+              {
+                targets: [{ deliveryOption: { handle: "standard" } }],
+                value: { percentage: { value: 100 } },
+                message: "Free shipping",
+                associatedDiscountCode: null,
+              },
+            ],
+          },
+        },
+      ],
+    });
+  });
+});
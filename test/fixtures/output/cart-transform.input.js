@@ -0,0 +1,23 @@
+// @ts-check
+
+export function run(input) {
+  const operations = input.cart.lines.map((line) => ({
+    expand: {
+      cartLineId: line.id,
+      expandedCartItems: [
+        {
+          merchandiseId: "gid://shopify/ProductVariant/1",
+          quantity: 1,
+          price: { adjustment: { fixedPricePerUnit: { amount: "5.00" } } },
+          sku: "A-1",
+        },
+      ],
+      price: { percentageDecrease: { value: 10 } },
+      title: "Bundle",
+    },
+  }));
+  const update = { cartLineId: "x", price: { adjustment: { fixedPricePerUnit: { amount: "1.00" } } }, image: { url: "u" } };
+  operations.push({ update });
+  operations.push({ merge: { cartLines: [{ cartLineId: "a", quantity: 1 }], parentVariantId: "p", ...extra, title: "T" } });
+  return { operations };
+}
@@ -0,0 +1,9 @@
+import type { RunInput, FunctionRunResult } from "../generated/api";
+
+export function run(input: RunInput): FunctionRunResult {
+  const excludedVariantIds: string[] = JSON.parse(input.discountNode.metafield?.value ?? "[]");
+  return {
+    discountApplicationStrategy: "ALL",
+    discounts: [{ targets: [{ orderSubtotal: { excludedVariantIds } }], value: { fixedAmount: { amount: 5 } } }],
+  };
+}
@@ -0,0 +1,17 @@
+import type { RunInput, FunctionRunResult } from "../generated/api";
+
+export function run(input: RunInput): FunctionRunResult {
+  const excludedVariantIds: string[] = JSON.parse(input.discountNode.metafield?.value ?? "[]");
+  return {
+    operations: [
+      {
+        orderDiscountsAdd: {
+          candidates: [
+            { targets: [{ orderSubtotal: { excludedCartLineIds: excludedVariantIds } }], value: { fixedAmount: { amount: 5 } } },
+          ],
+          selectionStrategy: "MAXIMUM",
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,7 @@
+export function run(input) {
+  const discounts = input.cart.deliveryGroups.map((group) => ({
+    value: { fixedAmount: { amount: 5 } },
+    targets: [{ deliveryGroup: { id: group.id } }],
+  }));
+  return { discounts };
+}
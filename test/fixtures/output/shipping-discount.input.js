@@ -0,0 +1,11 @@
+export function run(input) {
+  return {
+    discounts: [
+      {
+        value: { percentage: { value: 10 } },
+        targets: [{ deliveryGroup: { id: input.cart.deliveryGroups[0].id } }],
+        message: "10% off shipping",
+      },
+    ],
+  };
+}
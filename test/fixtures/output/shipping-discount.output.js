@@ -0,0 +1,19 @@
+export function run(input) {
+  return {
+    operations: [
+      {
+        deliveryDiscountsAdd: {
+          selectionStrategy: "ALL",
+          candidates: [
+            {
+              value: { percentage: { value: 10 } },
+              targets: [{ deliveryGroup: { id: input.cart.deliveryGroups[0].id } }],
+              message: "10% off shipping",
+              associatedDiscountCode: null,
+            },
+          ],
+        },
+      },
+    ],
+  };
+}
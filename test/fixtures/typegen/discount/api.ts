@@ -0,0 +1,193 @@
+// Generated by migrate-extensions.js typegen from schema.graphql and src/cart_lines_discounts_generate_run.graphql.
+// Do not edit; run `node migrate-extensions.js typegen` again instead.
+export type Maybe<T> = T | null;
+export type InputMaybe<T> = Maybe<T>;
+export type Exact<T extends { [key: string]: unknown }> = { [K in keyof T]: T[K] };
+
+/** All built-in and custom scalars, mapped to their actual values */
+export type Scalars = {
+  ID: { input: string; output: string; }
+  String: { input: string; output: string; }
+  Boolean: { input: boolean; output: boolean; }
+  Int: { input: number; output: number; }
+  Float: { input: number; output: number; }
+  Decimal: { input: any; output: any; }
+  Void: { input: any; output: any; }
+};
+
+export type Input = {
+  __typename?: 'Input';
+  cart: Cart;
+  discount: Discount;
+};
+
+export type Cart = {
+  __typename?: 'Cart';
+  lines: Array<CartLine>;
+  buyerIdentity?: Maybe<BuyerIdentity>;
+};
+
+export type BuyerIdentity = {
+  __typename?: 'BuyerIdentity';
+  email?: Maybe<Scalars['String']['output']>;
+  customer?: Maybe<Customer>;
+};
+
+export type Customer = {
+  __typename?: 'Customer';
+  hasTags: Array<HasTagResponse>;
+  displayName: Scalars['String']['output'];
+};
+
+export type HasTagResponse = {
+  __typename?: 'HasTagResponse';
+  tag: Scalars['String']['output'];
+  hasTag: Scalars['Boolean']['output'];
+};
+
+export type CartLine = {
+  __typename?: 'CartLine';
+  id: Scalars['ID']['output'];
+  quantity: Scalars['Int']['output'];
+  attribute?: Maybe<Attribute>;
+  merchandise: Merchandise;
+};
+
+export type Attribute = {
+  __typename?: 'Attribute';
+  key: Scalars['String']['output'];
+  value?: Maybe<Scalars['String']['output']>;
+};
+
+export type Merchandise = ProductVariant | CustomProduct;
+
+export type ProductVariant = {
+  __typename?: 'ProductVariant';
+  id: Scalars['ID']['output'];
+  sku?: Maybe<Scalars['String']['output']>;
+};
+
+export type CustomProduct = {
+  __typename?: 'CustomProduct';
+  title: Scalars['String']['output'];
+};
+
+export type Discount = {
+  __typename?: 'Discount';
+  discountClasses: Array<DiscountClass>;
+  metafield?: Maybe<Metafield>;
+};
+
+export type Metafield = {
+  __typename?: 'Metafield';
+  value: Scalars['String']['output'];
+};
+
+export enum DiscountClass {
+  Order = 'ORDER',
+  Product = 'PRODUCT',
+  Shipping = 'SHIPPING'
+}
+
+export enum ProductDiscountSelectionStrategy {
+  All = 'ALL',
+  First = 'FIRST',
+  Maximum = 'MAXIMUM'
+}
+
+export type MutationRoot = {
+  __typename?: 'MutationRoot';
+  cartLinesDiscountsGenerateRun: Scalars['Void']['output'];
+};
+
+export type CartLinesDiscountsGenerateRunResult = {
+  operations: Array<CartOperation>;
+};
+
+export type CartOperation = {
+  productDiscountsAdd?: InputMaybe<ProductDiscountsAddOperation>;
+};
+
+export type ProductDiscountsAddOperation = {
+  candidates: Array<ProductDiscountCandidate>;
+  selectionStrategy: ProductDiscountSelectionStrategy;
+};
+
+export type ProductDiscountCandidate = {
+  message?: InputMaybe<Scalars['String']['input']>;
+  targets: Array<ProductDiscountCandidateTarget>;
+  value: ProductDiscountCandidateValue;
+  associatedDiscountCode?: InputMaybe<AssociatedDiscountCode>;
+  tags?: InputMaybe<Array<InputMaybe<Scalars['String']['input']>>>;
+};
+
+export type ProductDiscountCandidateTarget = {
+  cartLine?: InputMaybe<CartLineTarget>;
+};
+
+export type CartLineTarget = {
+  id: Scalars['ID']['input'];
+  quantity?: InputMaybe<Scalars['Int']['input']>;
+};
+
+export type ProductDiscountCandidateValue = {
+  fixedAmount?: InputMaybe<ProductDiscountCandidateFixedAmount>;
+  percentage?: InputMaybe<Percentage>;
+};
+
+export type ProductDiscountCandidateFixedAmount = {
+  amount: Scalars['Decimal']['input'];
+  appliesToEachItem?: InputMaybe<Scalars['Boolean']['input']>;
+};
+
+export type Percentage = {
+  value: Scalars['Decimal']['input'];
+};
+
+export type AssociatedDiscountCode = {
+  code: Scalars['String']['input'];
+};
+
+export type CartLinesDiscountsGenerateRunInputVariables = Exact<{ [key: string]: never; }>;
+
+export type CartLinesDiscountsGenerateRunInput = {
+  __typename?: 'Input';
+  cart: {
+    __typename?: 'Cart';
+    lines: Array<{
+      __typename?: 'CartLine';
+      id: string;
+      quantity: number;
+      giftWrap?: {
+        __typename?: 'Attribute';
+        value?: string | null;
+      } | null;
+      merchandise: {
+        __typename: 'ProductVariant';
+        id: string;
+        sku?: string | null;
+      } | {
+        __typename: 'CustomProduct';
+      };
+    }>;
+    buyerIdentity?: {
+      __typename?: 'BuyerIdentity';
+      customer?: {
+        __typename?: 'Customer';
+        hasTags: Array<{
+          __typename?: 'HasTagResponse';
+          tag: string;
+          hasTag: boolean;
+        }>;
+      } | null;
+    } | null;
+  };
+  discount: {
+    __typename?: 'Discount';
+    discountClasses: Array<DiscountClass>;
+    metafield?: {
+      __typename?: 'Metafield';
+      value: string;
+    } | null;
+  };
+};
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import {
+  reactExtension,
+  Banner,
+  BlockStack,
+  Text,
+  TextField,
+  TextBlock,
+  Checkbox,
+  Button,
+  Link,
+  Grid,
+  useCartLines,
+  useSettings,
+  useApplyAttributeChange,
+  useBuyerJourneyIntercept,
+} from '@shopify/ui-extensions-react/checkout';
+import { Map } from './components';
+
+export default reactExtension(
+  'purchase.checkout.block.render',
+  () => <Extension />,
+);
+
+function Extension() {
+  const lines = useCartLines();
+  const { title } = useSettings();
+  const applyAttributeChange = useApplyAttributeChange();
+  const [value, setValue] = useState('');
+  const [checked, setChecked] = useState(false);
+
+  useBuyerJourneyIntercept(({ canBlockProgress }) => {
+    if (canBlockProgress && !value) {
+      return { behavior: 'block', reason: 'empty' };
+    }
+    return { behavior: 'allow' };
+  });
+
+  return (
+    <BlockStack spacing="loose">
+      <Banner status="warning" title={`Hello ${title > 2 ? "a/b" : '>'}`}>
+        <Text appearance="subdued" size="small">{lines.length} items</Text>
+        <TextBlock>Block</TextBlock>
+      </Banner>
+      <TextField
+        label="Note"
+        multiline={3}
+        onChange={(value) => {
+          setValue({ value });
+          applyAttributeChange({ key: 'note', type: 'updateAttribute', value });
+        }}
+      />
+      <Checkbox onChange={(c) => setChecked(c)}>Agree</Checkbox>
+      <Button kind="secondary" onPress={() => setValue(`${value}>`)} renderIcon={() => <Text>x</Text>}>Go</Button>
+      <Link to="/x" external>Go</Link>
+      <Grid columns={2} spacing="tight"><Map /></Grid>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,48 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+
+import { Map } from './components';
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+function Extension() {
+  const lines = shopify.lines.value;
+  const { title } = shopify.settings.value;
+  const applyAttributeChange = shopify.applyAttributeChange;
+  const [value, setValue] = useState('');
+  const [checked, setChecked] = useState(false);
+
+  useEffect(() => {
+    let teardown;
+    shopify.buyerJourney.intercept(({ canBlockProgress }) => {
+    if (canBlockProgress && !value) {
+      return { behavior: 'block', reason: 'empty' };
+    }
+    return { behavior: 'allow' };
+  }).then(td => { teardown = td; });
+    return () => { if (teardown) teardown(); };
+  });
+
+  return (
+    <s-stack gap="large" direction="block">
+      <s-banner tone="warning" title={`Hello ${title > 2 ? "a/b" : '>'}`}>
+        <s-text emphasis="subdued" size="small">{lines.length} items</s-text>
+        <s-paragraph>Block</s-paragraph>
+      </s-banner>
+      <s-text-field
+        label="Note"
+        onInput={(e) => {
+          setValue({ value: e.target.value });
+          applyAttributeChange({ key: 'note', type: 'updateAttribute', value: e.target.value });
+        }}
+      />
+      <s-checkbox onChange={(e) => setChecked(e.target.checked)}>Agree</s-checkbox>
+      <s-button variant="secondary" onClick={() => setValue(`${value}>`)} renderIcon={() => <s-text>x</s-text>}>Go</s-button>
+      <s-link href="/x" target="_blank">Go</s-link>
+      <s-grid gridTemplateColumns="repeat(2, 1fr)" gap="small"><Map /></s-grid>
+    </s-stack>
+  );
+}
@@ -0,0 +1,6 @@
+import { Banner, useOrder } from "@shopify/ui-extensions-react/customer-account";
+
+export function StatusBanner() {
+  const order = useOrder();
+  return <Banner status="info">{order.name}</Banner>;
+}
@@ -0,0 +1,7 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+
+export function StatusBanner() {
+  const order = shopify.order.value;
+  return <s-banner tone="info">{order.name}</s-banner>;
+}
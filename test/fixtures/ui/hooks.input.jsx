@@ -0,0 +1,30 @@
+import { useState } from 'react';
+import {
+  reactExtension,
+  Text,
+  useShippingAddress,
+  useApplyCartLinesChange,
+  useCurrency,
+  useMetafield,
+  useExtensionCapability,
+  useTranslate,
+  useDeliveryGroup,
+  useSubscription,
+  useBuyerJourneyIntercept,
+} from '@shopify/ui-extensions-react/checkout';
+
+export default reactExtension('purchase.checkout.block.render', () => <Extension />);
+
+function Extension() {
+  const { countryCode, city } = useShippingAddress();
+  const applyCartLinesChange = useApplyCartLinesChange();
+  const translate = useTranslate();
+  const gift = useMetafield({ namespace: 'custom', key: 'gift' });
+  const ns = 'x';
+  const other = useMetafield({ namespace: ns, key });
+  const canBlock = useExtensionCapability('block_progress');
+  const group = useDeliveryGroup(groups?.[0]);
+  const value = useSubscription(foo);
+  useBuyerJourneyIntercept(() => ({ behavior: 'allow' }));
+  return <Text>{useCurrency().isoCode} {city} {translate('hi')} {gift?.value}</Text>;
+}
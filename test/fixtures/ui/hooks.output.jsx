@@ -0,0 +1,26 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useEffect } from 'preact/hooks';
+import { useDeliveryGroup, useSubscription } from '@shopify/ui-extensions/checkout/preact';
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+function Extension() {
+  const { countryCode, city } = shopify.shippingAddress.value;
+  const applyCartLinesChange = shopify.applyCartLinesChange;
+  const translate = shopify.i18n.translate;
+  const gift = shopify.metafields.value.find((metafield) => metafield.namespace === 'custom' && metafield.key === 'gift');
+  const ns = 'x';
+  const other = shopify.metafields.value.find((metafield) => metafield.namespace === ns && metafield.key === key);
+  const canBlock = shopify.extension.capabilities.value.includes('block_progress');
+  const group = useDeliveryGroup(shopify.deliveryGroups.value[0]);
+  const value = useSubscription(foo);
+  useEffect(() => {
+    let teardown;
+    shopify.buyerJourney.intercept(() => ({ behavior: 'allow' })).then(td => { teardown = td; });
+    return () => { if (teardown) teardown(); };
+  });
+  return <s-text>{shopify.currency.value.isoCode} {city} {translate('hi')} {gift?.value}</s-text>;
+}
@@ -0,0 +1,23 @@
+import React, { createContext, useContext, useReducer, useLayoutEffect as useLE, memo, forwardRef, Fragment, lazy, Suspense, useState, type ReactNode } from 'react';
+import { reactExtension, Text } from '@shopify/ui-extensions-react/checkout';
+
+const Ctx = createContext<number>(0);
+const Lazy = lazy(() => import('./Other'));
+
+export default reactExtension('purchase.checkout.block.render', () => <Extension />);
+
+const Inner = memo(forwardRef((props: { children: ReactNode }, ref) => {
+  const n = useContext(Ctx);
+  useLE(() => {}, []);
+  const [s] = React.useState<React.ReactNode>(null);
+  return <React.Fragment><Text>{n}</Text>{props.children}</React.Fragment>;
+}));
+
+function Extension() {
+  const [state, dispatch] = useReducer((a: number) => a + 1, 0);
+  return (
+    <Ctx.Provider value={state}>
+      <Suspense fallback={<Fragment />}><Lazy /><Inner>x</Inner></Suspense>
+    </Ctx.Provider>
+  );
+}
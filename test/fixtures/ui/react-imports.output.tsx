@@ -0,0 +1,27 @@
+import '@shopify/ui-extensions/preact';
+import { render, createContext, Fragment } from 'preact';
+import { useContext, useLayoutEffect as useLE, useState, useReducer } from 'preact/hooks';
+import { lazy, memo, forwardRef, type ReactNode, Suspense } from 'preact/compat';
+
+const Ctx = createContext<number>(0);
+const Lazy = lazy(() => import('./Other'));
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+const Inner = memo(forwardRef((props: { children: ReactNode }, ref) => {
+  const n = useContext(Ctx);
+  useLE(() => {}, []);
+  const [s] = useState<ReactNode>(null);
+  return <Fragment><s-text>{n}</s-text>{props.children}</Fragment>;
+}));
+
+function Extension() {
+  const [state, dispatch] = useReducer((a: number) => a + 1, 0);
+  return (
+    <Ctx.Provider value={state}>
+      <Suspense fallback={<Fragment />}><Lazy /><Inner>x</Inner></Suspense>
+    </Ctx.Provider>
+  );
+}
@@ -0,0 +1,12 @@
+import { useEffect, useCallback, useMemo } from 'react';
+import { useApi } from '@shopify/ui-extensions-react/checkout';
+
+function A() {
+  const { query, i18n, storage, lines } = useApi();
+  useEffect(() => { query('x'); }, [query]);
+  useEffect(() => { query('x'); }, [query, i18n]);
+  const f = useCallback(() => i18n.translate('a'), [other, i18n, storage]);
+  const g = useMemo(() => storage, [a, storage, i18n, b, query]);
+  const h = useMemo(() => storage, [a, storage, lines.current, query]);
+  return null;
+}
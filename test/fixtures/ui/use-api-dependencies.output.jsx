@@ -0,0 +1,12 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useEffect, useCallback, useMemo } from 'preact/hooks';
+
+function A() {
+  useEffect(() => { shopify.query('x'); }, []);
+  useEffect(() => { shopify.query('x'); }, []);
+  const f = useCallback(() => shopify.i18n.translate('a'), [other]);
+  const g = useMemo(() => shopify.storage, [a, b]);
+  const h = useMemo(() => shopify.storage, [a, shopify.lines.value]);
+  return null;
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import {
+  reactExtension,
+  Text,
+  useApi,
+  useSubscription,
+} from '@shopify/ui-extensions-react/checkout';
+
+export default reactExtension('purchase.checkout.block.render', () => <Extension />);
+
+function Extension() {
+  const { query, sessionToken, i18n, storage, lines: cartLines, cost } = useApi<'purchase.checkout.block.render'>();
+  const items = useSubscription(cartLines);
+  const total = useSubscription(cost.totalAmount);
+  const first = cartLines.current[0];
+  useEffect(() => {
+    sessionToken.get().then((token) => storage.write('t', { token }));
+    query(`{ shop { name } }`);
+  }, [query]);
+  return <Text>{i18n.translate('items', { count: items.length })} {first.id}</Text>;
+}
+
+function Other() {
+  const { query } = useApi();
+  const [query2] = useState(() => query);
+  return null;
+}
+
+function Clash() {
+  const { extension, ...rest } = useApi();
+  return extension.target;
+}
@@ -0,0 +1,28 @@
+import '@shopify/ui-extensions/preact';
+import { render } from 'preact';
+import { useEffect, useState } from 'preact/hooks';
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+function Extension() {
+  const items = shopify.lines.value;
+  const total = shopify.cost.totalAmount.value;
+  const first = shopify.lines.value[0];
+  useEffect(() => {
+    shopify.sessionToken.get().then((token) => shopify.storage.write('t', { token }));
+    shopify.query(`{ shop { name } }`);
+  }, []);
+  return <s-text>{shopify.i18n.translate('items', { count: items.length })} {first.id}</s-text>;
+}
+
+function Other() {
+  const [query2] = useState(() => shopify.query);
+  return null;
+}
+
+function Clash() {
+  const { extension, ...rest } = shopify;
+  return extension.target;
+}
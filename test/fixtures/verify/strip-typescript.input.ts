@@ -0,0 +1,52 @@
+import type { RunInput, FunctionRunResult } from "../generated/api";
+import { type Target, DiscountApplicationStrategy } from "../generated/api";
+import { formatMessage } from "./messages";
+
+export type Config = { percentage: number; message?: string };
+interface LineFilter {
+  (line: RunInput["cart"]["lines"][number]): boolean;
+}
+declare const DEBUG: boolean;
+
+const EMPTY_DISCOUNT: FunctionRunResult = {
+  discountApplicationStrategy: DiscountApplicationStrategy.First,
+  discounts: [],
+};
+
+abstract class Rule implements LineFilter {
+  private readonly minimum: number;
+  protected label?: string;
+  total!: number;
+
+  constructor(minimum: number) {
+    this.minimum = minimum;
+  }
+
+  public matches<T extends { quantity: number }>(line: T): boolean {
+    return line.quantity >= this.minimum;
+  }
+
+  abstract describe(): string;
+}
+
+function readConfig(input: RunInput): Config {
+  const raw = input.discountNode.metafield?.value ?? "{}";
+  return <Config>JSON.parse(raw);
+}
+
+export function run(input: RunInput): FunctionRunResult {
+  const config = readConfig(input);
+  const targets: Target[] = input.cart.lines
+    .filter((line) => (line.merchandise as { __typename: string }).__typename === "ProductVariant")
+    .map((line) => ({ productVariant: { id: line.merchandise!.id } }) satisfies Target);
+
+  if (!config.percentage) return EMPTY_DISCOUNT;
+  return {
+    discountApplicationStrategy: DiscountApplicationStrategy.First,
+    discounts: [{
+      targets,
+      value: { percentage: { value: config.percentage.toString() } },
+      message: formatMessage(config.message!),
+    }],
+  };
+}
@@ -0,0 +1,50 @@
+
+import { DiscountApplicationStrategy } from "../generated/api";
+import { formatMessage } from "./messages";
+
+
+
+
+
+const EMPTY_DISCOUNT = {
+  discountApplicationStrategy: DiscountApplicationStrategy.First,
+  discounts: [],
+};
+
+class Rule  {
+  minimum;
+  label;
+  total;
+
+  constructor(minimum) {
+    this.minimum = minimum;
+  }
+
+  matches(line) {
+    return line.quantity >= this.minimum;
+  }
+
+  
+}
+
+function readConfig(input) {
+  const raw = input.discountNode.metafield?.value ?? "{}";
+  return JSON.parse(raw);
+}
+
+export function run(input) {
+  const config = readConfig(input);
+  const targets = input.cart.lines
+    .filter((line) => (line.merchandise).__typename === "ProductVariant")
+    .map((line) => ({ productVariant: { id: line.merchandise.id } }));
+
+  if (!config.percentage) return EMPTY_DISCOUNT;
+  return {
+    discountApplicationStrategy: DiscountApplicationStrategy.First,
+    discounts: [{
+      targets,
+      value: { percentage: { value: config.percentage.toString() } },
+      message: formatMessage(config.message),
+    }],
+  };
+}
@@ -0,0 +1,23 @@
+import messages from "./messages.json";
+import * as api from "../generated/api";
+import { DiscountApplicationStrategy as Strategy, "default" as fallback } from "../generated/api";
+export * from "./helpers";
+export * as utils from "./utils";
+export { formatMessage as format } from "./messages";
+
+const NO_CHANGES = { discountApplicationStrategy: Strategy.First, discounts: [] };
+
+export const VERSION = 2, [FIRST_LINE] = [0];
+
+export function run(input) {
+  const percentage = Number(input.discountNode.metafield?.value ?? 0);
+  if (!percentage) return NO_CHANGES;
+  return {
+    discountApplicationStrategy: api.DiscountApplicationStrategy.Maximum,
+    discounts: [{ targets: [], value: { percentage: { value: percentage } }, message: messages.title || fallback }],
+  };
+}
+
+export { NO_CHANGES, run as legacyRun };
+
+export default class Discount {}
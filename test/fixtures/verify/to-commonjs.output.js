@@ -0,0 +1,25 @@
+"use strict"; Object.defineProperty(exports, "__esModule", { value: true }); const __import0 = require("./messages.json"); const messages = __import0 && __import0.__esModule ? __import0.default : __import0;
+const __import1 = require("../generated/api"); const api = __import1;
+const __import2 = require("../generated/api"); const Strategy = __import2["DiscountApplicationStrategy"]; const fallback = __import2["default"];
+const __import3 = require("./helpers"); for (const key of Object.keys(__import3)) if (key !== "default") exports[key] = __import3[key];
+const __import4 = require("./utils");
+const __import5 = require("./messages");
+
+const NO_CHANGES = { discountApplicationStrategy: Strategy.First, discounts: [] };
+
+const VERSION = 2, [FIRST_LINE] = [0];
+
+function run(input) {
+  const percentage = Number(input.discountNode.metafield?.value ?? 0);
+  if (!percentage) return NO_CHANGES;
+  return {
+    discountApplicationStrategy: api.DiscountApplicationStrategy.Maximum,
+    discounts: [{ targets: [], value: { percentage: { value: percentage } }, message: messages.title || fallback }],
+  };
+}
+
+
+
+class Discount {}
+
+exports["utils"] = __import4; exports["format"] = __import5["formatMessage"]; exports["VERSION"] = VERSION; exports["FIRST_LINE"] = FIRST_LINE; exports["run"] = run; exports["NO_CHANGES"] = NO_CHANGES; exports["legacyRun"] = run; exports["default"] = Discount;
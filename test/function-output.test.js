@@ -0,0 +1,41 @@
+"use strict";
+
+const { test } = require("node:test");
+const {
+  rewriteDiscountOutput,
+  rewriteValidationOutput,
+  rewriteCartTransformOutput,
+  rewriteShippingDiscountOutput,
+  migrateFunctionTest,
+  FUNCTION_TARGET_MAP,
+} = require("../migrate-extensions");
+const { listFixtures, assertMatchesFixture } = require("./helpers");
+
+// The fixture name's prefix picks the rewriter (and the legacy target for
+// product and order discounts).
+const REWRITERS = {
+  "product-discount": (content, file) => rewriteDiscountOutput(content, "purchase.product-discount.run", file),
+  "order-discount": (content, file) => rewriteDiscountOutput(content, "purchase.order-discount.run", file),
+  "validation": (content, file) => rewriteValidationOutput(content, file),
+  "cart-transform": (content, file) => rewriteCartTransformOutput(content, file),
+  "shipping-discount": (content, file) => rewriteShippingDiscountOutput(content, file),
+};
+
+for (const fixture of listFixtures("output")) {
+  const prefix = Object.keys(REWRITERS).find(key => fixture.name === key || fixture.name.startsWith(`${key}-`));
+  test(`${fixture.name} output`, () => {
+    if (!prefix) throw new Error(`No rewriter for fixture ${fixture.file}`);
+    assertMatchesFixture(fixture, REWRITERS[prefix](fixture.input, fixture.file));
+  });
+}
+
+// Function tests are named after their legacy target (product-discount →
+// purchase.product-discount.run)
+for (const fixture of listFixtures("function-tests")) {
+  test(`${fixture.name} test file`, () => {
+    const oldTarget = `purchase.${fixture.name.replace(/-\d+$/, "")}.run`;
+    const warnings = [];
+    const content = migrateFunctionTest(fixture.input, oldTarget, FUNCTION_TARGET_MAP[oldTarget], fixture.file, warnings);
+    assertMatchesFixture(fixture, { content, warnings });
+  });
+}
@@ -0,0 +1,63 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { listAppFixtures, copyApp } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "migrate-extensions.js");
+
+function run(cmd, args, cwd) {
+  const result = spawnSync(cmd, args, { cwd, encoding: "utf8" });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  return result.stdout.trim();
+}
+
+// A copy of the validation-function app as the single commit of a new repository
+function gitApp() {
+  const appRoot = copyApp(listAppFixtures().find(f => f.name === "validation-function"));
+  run("git", ["init", "-q", "-b", "main"], appRoot);
+  run("git", ["config", "user.name", "Test"], appRoot);
+  run("git", ["config", "user.email", "test@example.com"], appRoot);
+  run("git", ["add", "-A"], appRoot);
+  run("git", ["commit", "-q", "-m", "Initial commit"], appRoot);
+  return appRoot;
+}
+
+const branches = (appRoot) => run("git", ["branch", "--format=%(refname:short)"], appRoot).split("\n");
+
+test("--git commits each migrated extension on a new branch and warns about untracked outputs", () => {
+  const appRoot = gitApp();
+  try {
+    const out = run(process.execPath, [CLI, "--git", "--auto-approve"], appRoot);
+
+    assert.equal(run("git", ["rev-parse", "--abbrev-ref", "HEAD"], appRoot), branches(appRoot).find(b => b !== "main"));
+    assert.match(run("git", ["log", "-1", "--format=%s"], appRoot), /^Migrate cart-checkout-validation to API /);
+    assert.match(out, /Add migration\.json and \.shopify-migrate to \.gitignore/);
+
+    const { runs } = JSON.parse(fs.readFileSync(path.join(appRoot, "migration.json"), "utf8"));
+    assert.match(runs[0].git.branch, /^shopify-migrate\//);
+  } finally {
+    fs.rmSync(appRoot, { recursive: true, force: true });
+  }
+});
+
+test("--git creates no branch when nothing needs migrating", () => {
+  const appRoot = gitApp();
+  try {
+    fs.writeFileSync(path.join(appRoot, ".gitignore"), "migration.json\n.shopify-migrate/\n");
+    run("git", ["add", "-A"], appRoot);
+    run("git", ["commit", "-q", "-m", "Ignore migration outputs"], appRoot);
+    run(process.execPath, [CLI, "--auto-approve"], appRoot);
+    run("git", ["add", "-A"], appRoot);
+    run("git", ["commit", "-q", "-m", "Migrate"], appRoot);
+
+    const out = run(process.execPath, [CLI, "--git", "--auto-approve"], appRoot);
+    assert.deepEqual(branches(appRoot), ["main"]);
+    assert.doesNotMatch(out, /\.gitignore/);
+  } finally {
+    fs.rmSync(appRoot, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  parseGraphql,
+  parseGraphqlSchema,
+  validateGraphqlQuery,
+  rewriteGraphqlFields,
+} = require("../migrate-extensions");
+
+const FIXTURES = path.join(__dirname, "fixtures", "graphql");
+const SCHEMA = fs.readFileSync(path.join(FIXTURES, "schema.graphql"), "utf8");
+const QUERY = fs.readFileSync(path.join(FIXTURES, "query.graphql"), "utf8");
+
+// Field names and aliases of a selection set, with inline fragments and
+// spreads spelled out
+function outline(selections) {
+  return selections.map(s => {
+    if (s.kind === "spread") return `...${s.name}`;
+    if (s.kind === "inline") return { [`... on ${s.typeCondition}`]: outline(s.selections) };
+    const name = s.alias ? `${s.alias}: ${s.name}` : s.name;
+    return s.selections ? { [name]: outline(s.selections) } : name;
+  });
+}
+
+test("parseGraphql reads operations, fragments, aliases and arguments and skips comments", () => {
+  const doc = parseGraphql(QUERY);
+  assert.equal(doc.operations.length, 1);
+  assert.equal(doc.operations[0].name, "RunInput");
+  assert.deepEqual(outline(doc.operations[0].selections), [
+    { cart: [
+      { lines: ["lineId: id", "quantity", { merchandise: ["__typename", "...Variant", { "... on CustomProduct": ["title"] }] }] },
+      { "giftWrap: attribute": ["value"] },
+    ] },
+    { discountNode: [{ metafield: ["value"] }] },
+  ]);
+
+  assert.deepEqual(doc.fragments.map(f => [f.name, f.typeCondition]), [["Variant", "ProductVariant"]]);
+  assert.deepEqual(outline(doc.fragments[0].selections), ["id", { product: ["vip: hasAnyTag"] }]);
+
+  const giftWrap = doc.operations[0].selections[0].selections[1];
+  assert.equal(QUERY.slice(giftWrap.nameStart, giftWrap.nameEnd), "attribute");
+});
+
+test("parseGraphql reports where invalid GraphQL fails", () => {
+  assert.throws(() => parseGraphql("query {\n  cart {\n    lines\n"), /^Error: Invalid GraphQL at line 4, column 1: /);
+  assert.throws(() => parseGraphql("query { cart: }"), /^Error: Invalid GraphQL at line 1, column 15: expected name$/);
+});
+
+test("validateGraphqlQuery accepts a valid query with fragments, aliases and arguments", () => {
+  assert.deepEqual(validateGraphqlQuery(QUERY, parseGraphqlSchema(SCHEMA)), []);
+});
+
+test("validateGraphqlQuery reports unknown fields, fragments and types, and wrong subselections", () => {
+  const query = `query Input {
+  cart {
+    lines {
+      cost
+      merchandise {
+        ...Missing
+        ... on GiftCard { id }
+      }
+    }
+    cost
+  }
+  localization { country }
+}
+
+fragment Variant on ProductVariant {
+  sku
+}
+`;
+  assert.deepEqual(validateGraphqlQuery(query, parseGraphqlSchema(SCHEMA)), [
+    { line: 4, message: 'Field "cost" does not exist on type "CartLine"' },
+    { line: 6, message: 'Unknown fragment "Missing"' },
+    { line: 7, message: 'Unknown type "GiftCard"' },
+    { line: 10, message: 'Field "cost" of type "CartCost" must select subfields' },
+    { line: 12, message: 'Field "country" of type "Country" must select subfields' },
+    { line: 16, message: 'Field "sku" does not exist on type "ProductVariant"' },
+  ]);
+});
+
+test("validateGraphqlQuery looks renamed fields up under their legacy name", () => {
+  const renamed = QUERY.replace("discountNode {", "discount {");
+  const schema = parseGraphqlSchema(SCHEMA);
+  assert.deepEqual(validateGraphqlQuery(renamed, schema), [
+    { line: 19, message: 'Field "discount" does not exist on type "Input"' },
+  ]);
+  assert.deepEqual(validateGraphqlQuery(renamed, schema, { discount: "discountNode" }), []);
+});
+
+test("rewriteGraphqlFields renames and drops fields and keeps everything else as it was", () => {
+  const { content, renamed } = rewriteGraphqlFields(QUERY, {
+    discountNode: "discount",
+    "cart.giftWrap": "ignored: matched by field name, not alias",
+    "cart.attribute": null,
+    "cart.lines.id": "cartLineId",
+  });
+
+  assert.equal(content, QUERY
+    .replace("discountNode {", "discount {")
+    .replace("lineId: id # aliased", "lineId: cartLineId # aliased")
+    .replace(/    giftWrap: attribute\(key: "gift_wrap"\) \{\n      value\n    \}\n/, ""));
+  assert.deepEqual(renamed, [
+    { path: "cart.lines.id", from: "id", to: "cartLineId", line: 5 },
+    { path: "cart.attribute", from: "attribute", to: null, line: 15 },
+    { path: "discountNode", from: "discountNode", to: "discount", line: 19 },
+  ]);
+});
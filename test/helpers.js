@@ -0,0 +1,117 @@
+"use strict";
+
+// Fixture helpers for the regression tests.
+//
+// A fixture is a pair of files in test/fixtures/<group>/: `<name>.input.<ext>`
+// and `<name>.output.<ext>`, plus `<name>.warnings.json` with the warnings the
+// migration is expected to report. An app fixture is a directory
+// test/fixtures/apps/<name>/ with `input/`, an app before the migration,
+// `output/`, the same app after it, and `plan.json`, a summary of its plan.
+//
+// Run `UPDATE_FIXTURES=1 npm test` to rewrite the expected files from the
+// current output, then review the diff.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("node:assert/strict");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const UPDATE = process.env.UPDATE_FIXTURES === "1";
+
+function listFixtures(group) {
+  const dir = path.join(FIXTURES_DIR, group);
+  return fs.readdirSync(dir)
+    .map(file => /^(.+)\.input(\.\w+)$/.exec(file))
+    .filter(Boolean)
+    .map(([file, name, ext]) => ({
+      name,
+      file,
+      input: fs.readFileSync(path.join(dir, file), "utf8"),
+      outputPath: path.join(dir, `${name}.output${ext}`),
+      warningsPath: path.join(dir, `${name}.warnings.json`),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function readExpected(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${path.relative(FIXTURES_DIR, file)} is missing — run with UPDATE_FIXTURES=1 to create it`);
+  }
+  return fs.readFileSync(file, "utf8");
+}
+
+// Compares a `{ content, warnings }` result with the fixture's expected files,
+// or writes them when UPDATE_FIXTURES=1.
+function assertMatchesFixture(fixture, result) {
+  const warnings = JSON.stringify(result.warnings, null, 2) + "\n";
+  if (UPDATE) {
+    fs.writeFileSync(fixture.outputPath, result.content);
+    fs.writeFileSync(fixture.warningsPath, warnings);
+    return;
+  }
+  assert.equal(result.content, readExpected(fixture.outputPath));
+  assert.deepEqual(result.warnings, JSON.parse(readExpected(fixture.warningsPath)));
+}
+
+function listAppFixtures() {
+  const dir = path.join(FIXTURES_DIR, "apps");
+  return fs.readdirSync(dir)
+    .sort()
+    .map(name => ({
+      name,
+      input: path.join(dir, name, "input"),
+      output: path.join(dir, name, "output"),
+      planPath: path.join(dir, name, "plan.json"),
+      // planMigration options beyond the API version, if the case has any
+      options: fs.existsSync(path.join(dir, name, "options.json"))
+        ? JSON.parse(fs.readFileSync(path.join(dir, name, "options.json"), "utf8"))
+        : {},
+    }));
+}
+
+// Copy of an app fixture's input in a new temporary directory
+function copyApp(fixture) {
+  const appRoot = fs.mkdtempSync(path.join(os.tmpdir(), `shopify-migrate-${fixture.name}-`));
+  fs.cpSync(fixture.input, appRoot, { recursive: true });
+  return appRoot;
+}
+
+// Every file below dir as relative path → content (a Buffer with raw: true).
+// Paths in skip are left out.
+function readTree(dir, { raw = false, skip = [] } = {}) {
+  const files = {};
+  const walk = (prefix) => {
+    for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+      const file = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (skip.includes(file)) continue;
+      if (entry.isDirectory()) walk(file);
+      else files[file] = fs.readFileSync(path.join(dir, file), raw ? null : "utf8");
+    }
+  };
+  walk("");
+  return files;
+}
+
+// Compares a migrated app and the summary of its plan with the fixture's
+// output/ and plan.json, or writes them when UPDATE_FIXTURES=1.
+function assertMatchesApp(fixture, appRoot, summary) {
+  if (UPDATE) {
+    fs.rmSync(fixture.output, { recursive: true, force: true });
+    fs.cpSync(appRoot, fixture.output, { recursive: true });
+    fs.writeFileSync(fixture.planPath, JSON.stringify(summary, null, 2) + "\n");
+    return;
+  }
+  if (!fs.existsSync(fixture.output)) readExpected(fixture.output);
+  assert.deepEqual(readTree(appRoot), readTree(fixture.output));
+  assert.deepEqual(summary, JSON.parse(readExpected(fixture.planPath)));
+}
+
+module.exports = {
+  listFixtures,
+  assertMatchesFixture,
+  listAppFixtures,
+  copyApp,
+  readTree,
+  assertMatchesApp,
+};
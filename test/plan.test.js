@@ -0,0 +1,83 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_API_VERSION, planMigration, planDiscountMerge, applyPlan } = require("../migrate-extensions");
+const { listAppFixtures, copyApp, readTree, assertMatchesApp } = require("./helpers");
+
+// What plan.json records of a plan: everything but contents and paths, which
+// the migrated files already show. Function targets are old → new, UI
+// targets their status. A discount merge comes last.
+function summarizePlan(plan) {
+  const summaries = plan.extensions.map(ext => ({
+    name: ext.name,
+    type: ext.type,
+    migrate: ext.migrate,
+    ...(ext.reason ? { reason: ext.reason } : {}),
+    changes: (ext.changes || []).map(c => `${c.file}: ${c.desc}`),
+    ...(ext.targets ? { targets: ext.targets.map(t => (t.oldTarget
+      ? `${t.oldTarget} → ${t.newTarget}`
+      : `${t.target}: ${t.status}${t.files.length > 0 ? ` (${t.files.join(", ")})` : ""}`)) } : {}),
+    warnings: ext.warnings || [],
+  }));
+  const merge = plan.discountMerge;
+  if (!merge) return summaries;
+  return [...summaries, {
+    name: merge.name || "(discount merge)",
+    migrate: merge.migrate,
+    ...(merge.reason ? { reason: merge.reason } : {}),
+    sources: merge.sources,
+    targets: (merge.targets || []).map(t => `${t.target}: ${t.module} (from ${t.sources.join(", ")})`),
+    changes: (merge.changes || []).map(c => `${c.file}: ${c.desc}`),
+    warnings: merge.warnings,
+  }];
+}
+
+for (const fixture of listAppFixtures()) {
+  test(`planMigration and applyPlan: ${fixture.name}`, () => {
+    const appRoot = copyApp(fixture);
+    try {
+      const plan = planMigration(appRoot, { apiVersion: DEFAULT_API_VERSION, ...fixture.options });
+      assert.deepEqual(readTree(appRoot), readTree(fixture.input), "planning wrote to the app");
+
+      // Merged discount sources stay as they are
+      const merged = plan.discountMerge && plan.discountMerge.migrate ? plan.discountMerge.sources : [];
+      plan.extensions.filter(ext => ext.migrate && !merged.includes(ext.name)).forEach(applyPlan);
+      if (merged.length > 0) applyPlan(plan.discountMerge);
+      assertMatchesApp(fixture, appRoot, summarizePlan(plan));
+    } finally {
+      fs.rmSync(appRoot, { recursive: true, force: true });
+    }
+  });
+}
+
+test("applyPlan leaves the extension untouched when a source changed since planning", () => {
+  const fixture = listAppFixtures().find(f => f.name === "validation-function");
+  const appRoot = copyApp(fixture);
+  try {
+    const plan = planMigration(appRoot, { apiVersion: DEFAULT_API_VERSION });
+    const ext = plan.extensions.find(e => e.migrate);
+    const edited = ext.changes.find(c => c.from && c.to && c.from !== c.to);
+    fs.appendFileSync(path.join(ext.extension.path, edited.from), "\n// edited after planning\n");
+    const before = readTree(appRoot, { raw: true });
+
+    assert.throws(() => applyPlan(ext), /changed on disk since the migration was planned/);
+    assert.deepEqual(readTree(appRoot, { raw: true }), before);
+  } finally {
+    fs.rmSync(appRoot, { recursive: true, force: true });
+  }
+});
+
+test("planDiscountMerge needs at least two legacy discount functions", () => {
+  const fixture = listAppFixtures().find(f => f.name === "merge-discounts");
+  const { extensions } = planMigration(fixture.input, { apiVersion: DEFAULT_API_VERSION });
+  const productOnly = extensions.map(e => e.extension).filter(e => e.name !== "order-discount");
+
+  const plan = planDiscountMerge(productOnly, "discounts", DEFAULT_API_VERSION);
+  assert.equal(plan.migrate, false);
+  assert.deepEqual(plan.sources, []);
+  assert.match(plan.reason, /found 1$/);
+  assert.deepEqual(plan.warnings, ["Rust discount functions are not merged: shipping-discount-rust"]);
+});
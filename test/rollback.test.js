@@ -0,0 +1,51 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { listAppFixtures, copyApp, readTree } = require("./helpers");
+
+const CLI = path.join(__dirname, "..", "migrate-extensions.js");
+const TOOL_OUTPUTS = ["migration.json", ".shopify-migrate"];
+
+function cli(cwd, ...args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: "utf8" });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  return result.stdout;
+}
+
+test("rollback restores every file of a migrated app byte for byte, after the app was moved", () => {
+  const fixture = listAppFixtures().find(f => f.name === "validation-function");
+  const appRoot = copyApp(fixture);
+  const moved = fs.mkdtempSync(path.join(os.tmpdir(), "shopify-migrate-moved-"));
+  try {
+    const original = readTree(appRoot, { raw: true });
+
+    // A dry run writes nothing, not even migration.json
+    cli(appRoot, "--dry-run", "--auto-approve");
+    assert.deepEqual(readTree(appRoot, { raw: true }), original);
+
+    cli(appRoot, "--auto-approve");
+    assert.notDeepEqual(readTree(appRoot, { raw: true, skip: TOOL_OUTPUTS }), original);
+    // A second run finds nothing to do and is added as a run of its own
+    cli(appRoot, "--auto-approve");
+    const { runs } = JSON.parse(fs.readFileSync(path.join(appRoot, "migration.json"), "utf8"));
+    assert.equal(runs.length, 2);
+    assert.equal(runs[0].extensions[0].path, path.join("extensions", "cart-checkout-validation"));
+
+    // Paths in migration.json are relative, so a moved (or cloned) app rolls back
+    fs.cpSync(appRoot, moved, { recursive: true });
+    fs.rmSync(appRoot, { recursive: true, force: true });
+    cli(moved, "rollback");
+    assert.deepEqual(readTree(moved, { raw: true, skip: TOOL_OUTPUTS }), original);
+
+    // A second rollback has nothing left to restore
+    assert.match(cli(moved, "rollback"), /Nothing to roll back/);
+  } finally {
+    fs.rmSync(appRoot, { recursive: true, force: true });
+    fs.rmSync(moved, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseToml, setTomlValue, planMigration } = require("../migrate-extensions");
+
+const EXTENSION_TOML = `# Generated by the Shopify CLI
+api_version = "2024-07" # bumped by the migration
+
+[[extensions]]
+name = "Checkout banner"
+handle = "checkout-banner"
+type = "ui_extension"
+
+  # Main block
+  [[extensions.targeting]]
+  target = "purchase.checkout.block.render"
+  module = './src/Checkout.jsx'
+
+  [[extensions.targeting]]
+  target = "purchase.thank-you.block.render"
+  module = "./src/ThankYou.jsx"
+
+  [extensions.capabilities]
+  api_access = true
+
+[extensions.settings]
+fields = [
+  { key = "title", type = "single_line_text_field" },
+]
+`;
+
+test("parseToml reads tables, arrays of tables and inline values", () => {
+  const { data } = parseToml(EXTENSION_TOML);
+  assert.equal(data.api_version, "2024-07");
+  assert.equal(data.extensions.length, 1);
+  assert.deepEqual(data.extensions[0].targeting.map(t => t.module), ["./src/Checkout.jsx", "./src/ThankYou.jsx"]);
+  assert.deepEqual(data.extensions[0].capabilities, { api_access: true });
+  assert.deepEqual(data.extensions[0].settings.fields, [{ key: "title", type: "single_line_text_field" }]);
+});
+
+test("parseToml reports where invalid TOML fails", () => {
+  assert.throws(() => parseToml("a = \n"), /^Error: Invalid TOML at line 1, column 5: expected a value$/);
+  assert.throws(() => parseToml("[x]\nb = \"s\nc = 1\n"), /line 2, column 7: newline in single-line string/);
+});
+
+test("setTomlValue replaces a value and keeps everything else byte for byte", () => {
+  const out = setTomlValue(EXTENSION_TOML, ["api_version"], "2025-07");
+  assert.equal(out, EXTENSION_TOML.replace('"2024-07"', '"2025-07"'));
+
+  const moved = setTomlValue(EXTENSION_TOML, ["extensions", 0, "targeting", 0, "module"], "./src/Checkout.tsx");
+  assert.equal(moved, EXTENSION_TOML.replace("'./src/Checkout.jsx'", '"./src/Checkout.tsx"'));
+  assert.equal(parseToml(moved).data.extensions[0].targeting[0].module, "./src/Checkout.tsx");
+});
+
+test("setTomlValue adds a missing key after the last key of its table", () => {
+  const out = setTomlValue(EXTENSION_TOML, ["extensions", 0, "capabilities", "network_access"], true);
+  assert.equal(out, EXTENSION_TOML.replace("api_access = true\n", "api_access = true\n  network_access = true\n"));
+  assert.deepEqual(parseToml(out).data.extensions[0].capabilities, { api_access: true, network_access: true });
+});
+
+test("setTomlValue round-trips: setting the current value changes nothing", () => {
+  const { data } = parseToml(EXTENSION_TOML);
+  let out = setTomlValue(EXTENSION_TOML, ["api_version"], data.api_version);
+  data.extensions[0].targeting.forEach((target, index) => {
+    out = setTomlValue(out, ["extensions", 0, "targeting", index, "target"], target.target);
+  });
+  assert.equal(out, EXTENSION_TOML);
+});
+
+test("setTomlValue throws when the table does not exist", () => {
+  assert.throws(() => setTomlValue(EXTENSION_TOML, ["extensions", 0, "targeting", 2, "module"], "./x.js"), /table/);
+  assert.throws(() => setTomlValue("a = 1\n", ["nope", "b"], 1), /^Error: No \[nope\] table in TOML to add "b" to$/);
+});
+
+test("planMigration skips an extension whose TOML cannot be parsed", () => {
+  const appRoot = fs.mkdtempSync(path.join(os.tmpdir(), "shopify-migrate-toml-"));
+  try {
+    fs.mkdirSync(path.join(appRoot, "extensions", "broken"), { recursive: true });
+    fs.writeFileSync(path.join(appRoot, "extensions", "broken", "shopify.extension.toml"), "api_version = \n");
+    const [ext] = planMigration(appRoot).extensions;
+    assert.equal(ext.migrate, false);
+    assert.match(ext.reason, /^Could not read shopify\.extension\.toml: Invalid TOML at line 1/);
+  } finally {
+    fs.rmSync(appRoot, { recursive: true, force: true });
+  }
+});
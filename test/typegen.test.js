@@ -0,0 +1,24 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { loadExtension, planFunctionTypegen } = require("../migrate-extensions");
+const { assertMatchesFixture } = require("./helpers");
+
+// Each case is a function extension with a schema.graphql and the
+// generated/api.ts expected from it
+const DIR = path.join(__dirname, "fixtures", "typegen");
+
+for (const name of fs.readdirSync(DIR).sort()) {
+  test(`planFunctionTypegen: ${name}`, () => {
+    const plan = planFunctionTypegen(loadExtension(path.join(DIR, name, "extension")));
+    assert.equal(plan.generate, true, plan.reason);
+    assert.deepEqual(plan.changes.map(c => c.to), ["generated/api.ts"]);
+    assertMatchesFixture(
+      { outputPath: path.join(DIR, name, "api.ts"), warningsPath: path.join(DIR, name, "warnings.json") },
+      { content: plan.changes[0].after, warnings: plan.warnings }
+    );
+  });
+}
@@ -0,0 +1,30 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { migrateUISourceFile } = require("../migrate-extensions");
+const { listFixtures, assertMatchesFixture } = require("./helpers");
+
+// Fixtures named `customer-account-*` are migrated for the customer account
+// surface, all others for checkout.
+for (const fixture of listFixtures("ui")) {
+  test(`migrateUISourceFile: ${fixture.name}`, () => {
+    const surface = fixture.name.startsWith("customer-account-") ? "customer-account" : "checkout";
+    assertMatchesFixture(fixture, migrateUISourceFile(fixture.input, surface, fixture.file));
+  });
+}
+
+test("migrateUISourceFile is idempotent on its own output", () => {
+  for (const fixture of listFixtures("ui")) {
+    const surface = fixture.name.startsWith("customer-account-") ? "customer-account" : "checkout";
+    const once = migrateUISourceFile(fixture.input, surface, fixture.file).content;
+    assert.equal(migrateUISourceFile(once, surface, fixture.file).content, once, fixture.name);
+  }
+});
+
+test("migrateUISourceFile leaves unparsable files unchanged", () => {
+  const content = "export default function () { return <div>; }\n";
+  const result = migrateUISourceFile(content, "checkout", "Broken.jsx");
+  assert.equal(result.content, content);
+  assert.match(result.warnings[0], /^Broken\.jsx could not be parsed/);
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  loadExtension,
+  planFunctionMigration,
+  verifyFunctionMigration,
+  stripTypeScript,
+  toCommonJs,
+  normalizeLegacyOutput,
+  structuralDiff,
+} = require("../migrate-extensions");
+const { listFixtures, assertMatchesFixture } = require("./helpers");
+
+// The fixture name's prefix picks the step of --verify it checks.
+// normalize-* inputs are { target, input, output } with a legacy output.
+const STEPS = {
+  "strip-typescript": (content, file) => stripTypeScript(content, file),
+  "to-commonjs": (content, file) => toCommonJs(content, file),
+  "normalize": (content) => {
+    const { target, input, output } = JSON.parse(content);
+    return JSON.stringify(normalizeLegacyOutput(target, output, input), null, 2) + "\n";
+  },
+};
+
+for (const fixture of listFixtures("verify")) {
+  const prefix = Object.keys(STEPS).find(key => fixture.name === key || fixture.name.startsWith(`${key}-`));
+  test(`verify: ${fixture.name}`, () => {
+    if (!prefix) throw new Error(`No verify step for fixture ${fixture.file}`);
+    assertMatchesFixture(fixture, { content: STEPS[prefix](fixture.input, fixture.file), warnings: [] });
+  });
+}
+
+test("stripTypeScript rejects TypeScript that compiles to code", () => {
+  assert.throws(() => stripTypeScript("export enum Tier {\n  Gold,\n}\n", "src/run.ts"), /src\/run\.ts:1: enums are not supported/);
+  assert.throws(() => stripTypeScript("namespace Rules {}\n", "src/run.ts"), /namespaces are not supported/);
+});
+
+test("structuralDiff lists differences by path", () => {
+  assert.deepEqual(structuralDiff({ a: [1, 2], b: "x" }, { a: [1, 2], b: "x" }), []);
+  assert.deepEqual(structuralDiff(
+    { operations: [{ add: { value: 1, message: "a" } }] },
+    { operations: [{ add: { value: 2 } }, { hide: {} }] }
+  ), [
+    { path: "$.operations[0].add.value", expected: 1, actual: 2 },
+    { path: "$.operations[0].add.message", expected: "a", actual: undefined },
+    { path: "$.operations[1]", expected: undefined, actual: { hide: {} } },
+  ]);
+  assert.deepEqual(structuralDiff([1], { 0: 1 }), [{ path: "$", expected: [1], actual: { 0: 1 } }]);
+});
+
+test("verifyFunctionMigration verifies each target of a function on its own", () => {
+  const ext = loadExtension(path.join(__dirname, "fixtures", "apps", "network-access-function", "input", "extensions", "pickup-point-validation"));
+  const result = verifyFunctionMigration(ext, planFunctionMigration(ext, "2026-01"));
+
+  assert.equal(result.verified, true);
+  const [fetch, run] = result.targets;
+  assert.equal(fetch.target, "purchase.validation.fetch");
+  assert.deepEqual(fetch.fixtures.map(f => [f.name, f.ok]), [["src/fetch.test.js:11", true], ["src/fetch.test.js:21", true]]);
+  // Its inputs are computed, so the run target has nothing to compare
+  assert.equal(run.target, "purchase.validation.run");
+  assert.equal(run.verified, false);
+  assert.match(run.reason, /^No fixtures: no literal run\(\) inputs in src\/run\.test\.js/);
+});